@@ -0,0 +1,136 @@
+/**
+ * DSE Alerts
+ *
+ * Shared by background.js (evaluates alerts while the market is open) and dashboard.js (manages them).
+ * 1. Alert definitions live in chrome.storage.sync so they follow the user's Chrome profile.
+ * 2. Each check compares the latest snapshot row (and, for spread alerts, the latest intraday tick)
+ *    with every enabled alert. An alert fires when its condition becomes true; it fires again only after
+ *    the condition has been false in between.
+ * 3. Fired alerts are appended to a history list in chrome.storage.local (newest first).
+ */
+
+const ALERTS_STORAGE_KEY = "alerts";
+const ALERT_STATE_STORAGE_KEY = "alertState";
+const ALERT_HISTORY_STORAGE_KEY = "alertHistory";
+const ALERT_HISTORY_LIMIT = 200;
+
+// type -> how to read and describe it; value is the user's threshold
+const ALERT_TYPES = {
+    priceAbove: { label: "Price crosses above", unit: "TZS", test: (row, v) => row.LAST >= v, crossing: true },
+    priceBelow: { label: "Price crosses below", unit: "TZS", test: (row, v) => row.LAST > 0 && row.LAST <= v, crossing: true },
+    dodMove: { label: "DoD move beyond ±", unit: "%", test: (row, v) => row.DoD !== null && Math.abs(row.DoD) * 100 >= v },
+    rvolAbove: { label: "RVOL above", unit: "x", test: (row, v) => (row.rvol || 0) > v },
+    signalIs: { label: "Signal changes to", unit: "", test: (row, v) => signalLabels(row).includes(v), crossing: true },
+    spreadAbove: { label: "Spread widens beyond", unit: "TZS", test: (row, v, tick) => !!tick && tick.spread > v, needsTick: true }
+};
+
+// Labels offered for signalIs; any label from the SignalRules sheet also works
+const ALERT_SIGNAL_CHOICES = ["BREAKOUT", "STRONG_SELL", "HYPE_RISK", "CONFIRMED_UP"];
+
+function signalLabels(row) {
+    return [row.displaySignal, row.momentumSignal, row.hypeRisk].filter(Boolean).map(String);
+}
+
+async function getAlerts() {
+    return (await chrome.storage.sync.get(ALERTS_STORAGE_KEY))[ALERTS_STORAGE_KEY] || [];
+}
+
+async function saveAlerts(alerts) {
+    await chrome.storage.sync.set({ [ALERTS_STORAGE_KEY]: alerts });
+}
+
+async function addAlert(security, type, value) {
+    if (!ALERT_TYPES[type]) throw new Error("Unknown alert type: " + type);
+    const alerts = await getAlerts();
+    const alert = {
+        id: crypto.randomUUID(),
+        security: security.trim().toUpperCase(),
+        type: type,
+        value: type === 'signalIs' ? value.toString().trim().toUpperCase() : Number(value),
+        enabled: true,
+        createdAt: new Date().toISOString()
+    };
+    alerts.push(alert);
+    await saveAlerts(alerts);
+    return alert;
+}
+
+async function removeAlert(id) {
+    await saveAlerts((await getAlerts()).filter(a => a.id !== id));
+    const state = (await chrome.storage.local.get(ALERT_STATE_STORAGE_KEY))[ALERT_STATE_STORAGE_KEY] || {};
+    delete state[id];
+    await chrome.storage.local.set({ [ALERT_STATE_STORAGE_KEY]: state });
+}
+
+async function setAlertEnabled(id, enabled) {
+    const alerts = await getAlerts();
+    alerts.forEach(a => { if (a.id === id) a.enabled = enabled; });
+    await saveAlerts(alerts);
+}
+
+async function getAlertHistory() {
+    return (await chrome.storage.local.get(ALERT_HISTORY_STORAGE_KEY))[ALERT_HISTORY_STORAGE_KEY] || [];
+}
+
+async function clearAlertHistory() {
+    await chrome.storage.local.remove(ALERT_HISTORY_STORAGE_KEY);
+}
+
+function describeAlert(alert) {
+    const type = ALERT_TYPES[alert.type];
+    const value = alert.type === 'signalIs' ? alert.value.replace(/_/g, ' ') : alert.value.toLocaleString();
+    const unit = type.unit === 'TZS' ? ' TZS' : type.unit;
+    return `${alert.security}: ${type.label} ${value}${unit}`;
+}
+
+/**
+ * Evaluates the enabled alerts against snapshot rows and latest ticks ({ SECURITY: tick }).
+ * Returns the alerts that fire now, each with the row that triggered it; the edge state is stored.
+ */
+async function evaluateAlerts(rows, ticks) {
+    const alerts = (await getAlerts()).filter(a => a.enabled);
+    if (alerts.length === 0) return [];
+
+    const stored = await chrome.storage.local.get(ALERT_STATE_STORAGE_KEY);
+    const state = stored[ALERT_STATE_STORAGE_KEY] || {};
+    const bySecurity = new Map(rows.map(r => [r.SECURITY, r]));
+    const fired = [];
+
+    alerts.forEach(alert => {
+        const row = bySecurity.get(alert.security);
+        if (!row) return;
+        const type = ALERT_TYPES[alert.type];
+        const now = type.test(row, alert.value, ticks[alert.security]);
+        const before = state[alert.id];
+
+        // Crossing alerts (price levels, signal changes) need a reading on the other side first, so they only fire on a real change
+        const firstLook = before === undefined;
+        if (now && !before && !(firstLook && type.crossing)) {
+            fired.push({ alert: alert, row: row, tick: ticks[alert.security] || null });
+        }
+        state[alert.id] = now;
+    });
+
+    await chrome.storage.local.set({ [ALERT_STATE_STORAGE_KEY]: state });
+    return fired;
+}
+
+/**
+ * Prepends fired alerts to the history list.
+ */
+async function recordAlertHistory(fired) {
+    if (fired.length === 0) return;
+    const history = await getAlertHistory();
+    const entries = fired.map(f => ({
+        id: f.alert.id,
+        security: f.alert.security,
+        description: describeAlert(f.alert),
+        price: f.row.LAST,
+        dod: f.row.DoD,
+        signal: f.row.displaySignal || f.row.momentumSignal || null,
+        firedAt: new Date().toISOString()
+    }));
+    await chrome.storage.local.set({
+        [ALERT_HISTORY_STORAGE_KEY]: entries.concat(history).slice(0, ALERT_HISTORY_LIMIT)
+    });
+}
@@ -1,82 +1,151 @@
 /**
  * DSE Analytics Backend
  * 
- * 1. Reads raw market data from the existing spreadsheet.
- * 2. Calculates DoD (1 day), MoM (21 days), and YoY (252 days) returns.
- * 3. Serves the processed data as JSON for the Chrome Extension.
- * 4. Can optionally write these analytics back to the sheet or generate charts.
+ * 1. Reads daily closes (DailyCloses, maintained from raw ticks by daily_backend.js).
+ * 2. Calculates DoD, MoM, YoY and WTD/MTD/YTD returns anchored on the TradingCalendar (calendar_backend.js).
+ * 3. Adjusts prices for corporate actions (corporate_actions_backend.js) before any computation.
+ * 4. Adds risk metrics (risk_backend.js), technical indicators (indicators_backend.js) and rule-driven
+ *    signals (signals_backend.js).
+ * 5. Serves the processed data as JSON for the Chrome Extension (versioned routes in api_backend.js).
+ * 6. Can optionally write these analytics back to the sheet or generate charts.
+ * 7. Also runs outside Google: local_server.js serves the same doGet/doPost from Node.js over CSV or SQLite files.
+ *
+ * Deployment settings are Script Properties (Project Settings > Script Properties), so a test deployment
+ * can use its own spreadsheet without code changes. A property that is not set keeps its default below.
  */
 
-const SPREADSHEET_ID = "1kFx5T2t07OlAdFhp9ic906N5Ie3p18kiS2RgZG4pCDs"; // Provided by user
+const SCRIPT_SETTING_DEFAULTS = {
+    SPREADSHEET_ID: "1kFx5T2t07OlAdFhp9ic906N5Ie3p18kiS2RgZG4pCDs",
+    MARKET_OPEN: "10:00",
+    MARKET_CLOSE: "16:00",
+    INTRADAY_MAX_RANGE_DAYS: 31
+};
+
+let scriptSettings = null;
+
+/**
+ * A deployment setting from Script Properties, falling back to SCRIPT_SETTING_DEFAULTS.
+ * Numeric defaults make the property a number.
+ */
+function getScriptSetting(name) {
+    if (!scriptSettings) scriptSettings = PropertiesService.getScriptProperties().getProperties();
+    const fallback = SCRIPT_SETTING_DEFAULTS[name];
+    const stored = scriptSettings[name];
+    if (stored === undefined || stored === null || stored.toString().trim() === "") return fallback;
+    if (typeof fallback === "number") {
+        const num = Number(stored);
+        return isNaN(num) ? fallback : num;
+    }
+    return stored.toString().trim();
+}
+
+const SPREADSHEET_ID = getScriptSetting("SPREADSHEET_ID");
 
-// Configuration for trading days
-const TRADING_DAYS = {
-    DOD: 1,
-    MOM: 21,
-    YOY: 252
+// DSE trading session (script time zone); decides whether a day's chart is "live"
+const MARKET_SESSION = {
+    open: getScriptSetting("MARKET_OPEN"),
+    close: getScriptSetting("MARKET_CLOSE")
 };
 
+// Longest intraday window one request may replay
+const INTRADAY_MAX_RANGE_DAYS = getScriptSetting("INTRADAY_MAX_RANGE_DAYS");
+
 /**
- * Handle POST requests from the Chrome Extension Scraper
+ * Handle POST requests from the Chrome Extension.
+ * - { action: "login", key } exchanges an access key for a session token (auth_backend.js).
+ * - { action: "transactions", token, rows } records portfolio transactions (portfolio_backend.js).
+ * - { keyId, ts, nonce, signature, data } is a signed tick batch from the scraper (background.js).
+ * Validation, de-duplication and the batch write live in ingest_backend.js.
  */
 function doPost(e) {
     try {
-        const rawData = JSON.parse(e.postData.contents);
+        const body = JSON.parse(e.postData.contents);
         const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-        const sheet = ss.getSheets()[0];
 
-        // Ensure headers exist if sheet is empty
-        if (sheet.getLastRow() === 0) {
-            sheet.appendRow(["SECURITY", "LAST", "TIME", "TIMESTAMP", "VOL", "BID", "ASK", "BID QTY", "ASK QTY"]);
+        if (body && body.action === "login") {
+            return ContentService.createTextOutput(JSON.stringify({
+                status: "success",
+                data: login(ss, body.key)
+            })).setMimeType(ContentService.MimeType.JSON);
         }
 
+        // Portfolio transactions from the dashboard (portfolio_backend.js): session token, write permission
+        if (body && body.action === "transactions") {
+            const session = verifySession(body.token);
+            requirePermission(session, "write");
+            return ContentService.createTextOutput(JSON.stringify({
+                status: "success",
+                ...recordTransactions(ss, body.rows, session)
+            })).setMimeType(ContentService.MimeType.JSON);
+        }
+
+        const caller = verifySignedRequest(ss, body || {});
+        requirePermission(caller, "write");
+
         // Handle single object or array of objects
+        const rawData = JSON.parse(body.data);
         const dataArray = Array.isArray(rawData) ? rawData : [rawData];
-        const now = new Date();
-
-        dataArray.forEach(item => {
-            // Mapping incoming data to sheet columns
-            const clean = (v) => v ? (v.toString().replace(/,/g, '').trim()) : 0;
-
-            sheet.appendRow([
-                (item.security || item.ticker || item.symbol || "").toUpperCase(),
-                clean(item.last || item.price || 0),
-                item.time || Utilities.formatDate(now, Session.getScriptTimeZone(), "HH:mm:ss"),
-                now,
-                clean(item.vol || item.volume || 0),
-                clean(item.bid || 0),
-                clean(item.ask || item.offer || 0),
-                clean(item.bidQty || 0),
-                clean(item.askQty || 0)
-            ]);
-        });
+
+        // One lock around the write and the version bump, taken before the clock is read: versions then follow
+        // the order the batches landed in, and no reader sees a version that misses rows already written
+        const lock = LockService.getScriptLock();
+        lock.waitLock(30000);
+        let result;
+        try {
+            const now = new Date();
+            result = ingestTicks(ss, dataArray, now);
+            updateDailyCloses(ss, result.ticks);
+            if (result.accepted > 0) publishDataVersion(now, result.accepted);
+        } finally {
+            lock.releaseLock();
+        }
 
         return ContentService.createTextOutput(JSON.stringify({
             status: "success",
-            rows_added: dataArray.length
+            accepted: result.accepted,
+            duplicates: result.duplicates,
+            rejected: result.rejected,
+            rejections: result.rejections
         })).setMimeType(ContentService.MimeType.JSON);
 
     } catch (err) {
         return ContentService.createTextOutput(JSON.stringify({
             status: "error",
+            code: err.code || "SERVER_ERROR",
             message: err.toString()
         })).setMimeType(ContentService.MimeType.JSON);
     }
 }
 
+/**
+ * Handle GET requests. ?action=... is the versioned API (api_backend.js);
+ * without an action the original responses (all computed rows / ?security= intraday) are kept.
+ * &format=csv returns either as a CSV download (export_backend.js).
+ */
 function doGet(e) {
+    if (e.parameter.action) return handleApiRequest(e);
+
     try {
+        const session = verifySession(e.parameter.token);
+        requirePermission(session, "read");
+
         const security = e.parameter.security;
         let data;
 
         if (security) {
-            // New: Fetch full intraday history for a specific stock
-            data = getIntradayHistory(security);
+            // New: Fetch full intraday history for a specific stock (optionally ?date= or ?from=&to=)
+            data = getIntradayHistory(security, {
+                date: e.parameter.date,
+                from: e.parameter.from,
+                to: e.parameter.to
+            });
         } else {
             // Default: Fetch aggregated analytics
             data = getComputedAnalytics();
         }
 
+        if (e.parameter.format === "csv") return csvExportResponse(security ? `intraday-${security}` : null, { data: data });
+
         return ContentService.createTextOutput(JSON.stringify({
             status: "success",
             data: data
@@ -84,19 +153,43 @@ function doGet(e) {
     } catch (err) {
         return ContentService.createTextOutput(JSON.stringify({
             status: "error",
+            code: err.code || "SERVER_ERROR",
             message: err.toString()
         })).setMimeType(ContentService.MimeType.JSON);
     }
 }
 
 /**
- * Helper to fetch raw intraday data for the latest day for a specific stock.
+ * Helper to fetch raw intraday data for a specific stock.
+ * options: { date } for one session, { from, to } (yyyy-MM-dd) for a multi-day replay,
+ * or nothing for the latest session the security traded in.
+ * Only the partitions covering the range are read (storage_backend.js).
+ * Each point carries its session date; the first point of every session has sessionStart = true.
  */
-function getIntradayHistory(securitySymbol) {
+function getIntradayHistory(securitySymbol, options) {
     console.log("Fetching intraday for: " + securitySymbol);
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const sheet = ss.getSheets()[0];
-    const values = sheet.getDataRange().getValues();
+    const tz = Session.getScriptTimeZone();
+    options = options || {};
+
+    // 1. Resolve the session(s) to replay; default is the LATEST date this security has data for
+    let fromDate = options.date || options.from || null;
+    let toDate = options.date || options.to || null;
+    if (!fromDate && !toDate) {
+        fromDate = toDate = findLatestTickDate(ss, securitySymbol);
+        if (!fromDate) {
+            console.log("No data found for: " + securitySymbol);
+            return [];
+        }
+    }
+    fromDate = fromDate || toDate;
+    toDate = toDate || Utilities.formatDate(new Date(), tz, "yyyy-MM-dd");
+
+    const spanDays = (new Date(toDate).getTime() - new Date(fromDate).getTime()) / 86400000;
+    if (spanDays < 0) throw new Error("Intraday range starts after it ends");
+    if (spanDays >= INTRADAY_MAX_RANGE_DAYS) throw new Error(`Intraday range is limited to ${INTRADAY_MAX_RANGE_DAYS} days`);
+
+    const values = [TICK_HEADERS].concat(readTickRows(ss, fromDate, toDate));
     if (values.length < 2) return [];
 
     const headers = values[0].map(h => h.toString().trim().toUpperCase());
@@ -109,7 +202,6 @@ function getIntradayHistory(securitySymbol) {
     const secIdx = findIdx(["SECURITY", "SYMBOL", "TICKER", "SEC"]);
     const lastIdx = findIdx(["LAST", "PRICE", "CLOSE", "LTP"]);
     const tsIdx = findIdx(["TIMESTAMP", "DATE", "TS"]);
-    const timeIdx = findIdx(["TIME", "CLOCK"]);
     const volIdx = findIdx(["VOL", "VOLUME", "VOL.", "QTY"]);
     const bidIdx = findIdx(["BID", "BUY"]);
     const askIdx = findIdx(["ASK", "OFFER", "SELL"]);
@@ -121,29 +213,9 @@ function getIntradayHistory(securitySymbol) {
         return [];
     }
 
-    // 1. Find the LATEST date that this specific security has data for
-    let targetDateStr = null;
+    // 2. Filter data for that security, grouped by session date
     const searchSymbol = securitySymbol.trim().toUpperCase();
-
-    for (let i = values.length - 1; i >= 1; i--) {
-        const rowSec = (values[i][secIdx] || "").toString().trim().toUpperCase();
-        if (rowSec === searchSymbol) {
-            const ts = values[i][tsIdx];
-            if (!ts) continue;
-            targetDateStr = ts instanceof Date ?
-                Utilities.formatDate(ts, Session.getScriptTimeZone(), "yyyy-MM-dd") :
-                ts.toString().split(" ")[0];
-            if (targetDateStr) break;
-        }
-    }
-
-    if (!targetDateStr) {
-        console.log("No data found for: " + securitySymbol);
-        return [];
-    }
-
-    // 2. Filter data for that security on that specific date
-    let rawTicks = [];
+    const sessions = {};
     const cleanVal = (v) => {
         if (v === null || v === undefined || v === "") return 0;
         if (typeof v === 'number') return v;
@@ -157,21 +229,22 @@ function getIntradayHistory(securitySymbol) {
         if (!rowTS) return;
 
         const rowDateStr = rowTS instanceof Date ?
-            Utilities.formatDate(rowTS, Session.getScriptTimeZone(), "yyyy-MM-dd") :
+            Utilities.formatDate(rowTS, tz, "yyyy-MM-dd") :
             rowTS.toString().split(" ")[0];
 
-        if (rowSec === searchSymbol && rowDateStr === targetDateStr) {
+        if (rowSec === searchSymbol && rowDateStr >= fromDate && rowDateStr <= toDate) {
             let label = "";
-            if (rowTS instanceof Date) label = Utilities.formatDate(rowTS, Session.getScriptTimeZone(), "HH:mm");
+            if (rowTS instanceof Date) label = Utilities.formatDate(rowTS, tz, "HH:mm");
             else {
                 const d = new Date(rowTS);
-                label = !isNaN(d.getTime()) ? Utilities.formatDate(d, Session.getScriptTimeZone(), "HH:mm") : rowTS.toString().split(" ")[1] || "??";
+                label = !isNaN(d.getTime()) ? Utilities.formatDate(d, tz, "HH:mm") : rowTS.toString().split(" ")[1] || "??";
             }
 
             const sortTime = rowTS instanceof Date ? rowTS.getTime() : new Date(rowTS).getTime();
             const cleanVol = cleanVal(row[volIdx]);
 
-            rawTicks.push({
+            (sessions[rowDateStr] = sessions[rowDateStr] || []).push({
+                date: rowDateStr,
                 time: label,
                 price: cleanVal(row[lastIdx]),
                 sortVal: sortTime,
@@ -184,18 +257,76 @@ function getIntradayHistory(securitySymbol) {
         }
     });
 
-    if (rawTicks.length === 0) return [];
+    const results = [];
+    Object.keys(sessions).sort().forEach(dateStr => {
+        const sessionPoints = processIntradaySession(sessions[dateStr]);
+        if (sessionPoints.length > 0) sessionPoints[0].sessionStart = true;
+        results.push(...sessionPoints);
+    });
+    if (results.length === 0) return [];
+
+    // 5. EXTEND TO PRESENT: only while the session being shown is still trading
+    const lastTick = results[results.length - 1];
+    const now = new Date();
+    const nowTimeStr = Utilities.formatDate(now, tz, "HH:mm");
+
+    if (lastTick.time !== nowTimeStr && isLiveSession(lastTick.date, now)) {
+        results.push({
+            ...lastTick,
+            time: nowTimeStr,
+            sortVal: now.getTime(),
+            sessionStart: false,
+            synthetic: true
+        });
+    }
+
+    console.log(`Returning ${results.length} unique points for timeline.`);
+    return results;
+}
+
+/**
+ * True when dateStr is today and the exchange clock is inside MARKET_SESSION.
+ */
+function isLiveSession(dateStr, now) {
+    const tz = Session.getScriptTimeZone();
+    if (dateStr !== Utilities.formatDate(now, tz, "yyyy-MM-dd")) return false;
+    const hhmm = Utilities.formatDate(now, tz, "HH:mm");
+    return hhmm >= MARKET_SESSION.open && hhmm <= MARKET_SESSION.close;
+}
 
+/**
+ * One session's raw ticks -> chart points (cumulative volume, spread, imbalance, session statistics),
+ * keeping a point only when the minute or the price changes.
+ *
+ * Session statistics are running values as of each point: open (first traded price), change from open (fraction, like the daily returns),
+ * session high/low, turnover (TZS, price x incremental volume) and VWAP (turnover / volume).
+ * They are accumulated over every raw tick, so deduplicated points lose nothing.
+ */
+function processIntradaySession(rawTicks) {
     // 3. Sort ticks by capture time
     rawTicks.sort((a, b) => a.sortVal - b.sortVal);
 
     // 4. Calculate Spread/Imbalance & Deduplicate
     const results = [];
     let cumulativeVol = 0;
+    let turnover = 0;
+    let open = null;
+    let high = null;
+    let low = null;
 
     rawTicks.forEach(tick => {
+        // The tick sheet stores cumulative day volume; only the increase traded at this price
+        const tradedVol = Math.max(0, tick.rawVol - cumulativeVol);
         cumulativeVol = Math.max(cumulativeVol, tick.rawVol);
 
+        if (tick.price > 0) {
+            if (open === null) open = tick.price;
+            high = high === null ? tick.price : Math.max(high, tick.price);
+            low = low === null ? tick.price : Math.min(low, tick.price);
+            turnover += tick.price * tradedVol;
+        }
+        const vwap = cumulativeVol > 0 && turnover > 0 ? turnover / cumulativeVol : tick.price;
+
         const spread = (tick.ask > 0 && tick.bid > 0) ? (tick.ask - tick.bid) : 0;
         const totalDepth = tick.bidQty + tick.askQty;
         const imbalance = totalDepth > 0 ? ((tick.bidQty - tick.askQty) / totalDepth).toFixed(2) : 0;
@@ -204,7 +335,13 @@ function getIntradayHistory(securitySymbol) {
             ...tick,
             volume: cumulativeVol,
             spread: spread,
-            imbalance: parseFloat(imbalance)
+            imbalance: parseFloat(imbalance),
+            open: open,
+            high: high,
+            low: low,
+            changeFromOpen: open ? parseFloat(((tick.price - open) / open).toFixed(4)) : 0,
+            turnover: Math.round(turnover),
+            vwap: parseFloat(vwap.toFixed(2))
         };
 
         if (results.length === 0) {
@@ -222,33 +359,45 @@ function getIntradayHistory(securitySymbol) {
         }
     });
 
-    // 5. EXTEND TO PRESENT: If the last trade was 1 hour ago, add a point for "Now"
-    const lastTick = results[results.length - 1];
-    const now = new Date();
-    const nowTimeStr = Utilities.formatDate(now, Session.getScriptTimeZone(), "HH:mm");
-
-    if (lastTick.time !== nowTimeStr && targetDateStr === Utilities.formatDate(now, Session.getScriptTimeZone(), "yyyy-MM-dd")) {
-        results.push({
-            ...lastTick,
-            time: nowTimeStr,
-            sortVal: now.getTime()
-        });
-    }
-
-    console.log(`Returning ${results.length} unique points for timeline.`);
     return results;
 }
 
 /**
- * Main function to read raw data, compute returns, and return the structured array.
+ * Main function to read the daily-close table, compute returns, signals and indicators, and return the structured array.
+ * DailyCloses is maintained incrementally by doPost (daily_backend.js); it is rebuilt from raw ticks if empty.
+ * indicatorConfig overrides the indicator lengths (indicators_backend.js); defaults when omitted.
+ * riskOptions.riskFreeRate overrides the RISK_FREE_RATE script property (risk_backend.js).
  */
-function getComputedAnalytics() {
+function getComputedAnalytics(indicatorConfig, riskOptions) {
     console.log("Opening spreadsheet: " + SPREADSHEET_ID);
     const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const sheet = ss.getSheets()[0];
-    if (!sheet) throw new Error("No sheets found. Check Spreadsheet ID and permissions.");
 
-    const values = sheet.getDataRange().getValues();
+    let dailyData = readDailyCloses(ss);
+    if (dailyData.length === 0) {
+        rebuildDailyCloses();
+        dailyData = readDailyCloses(ss);
+    }
+
+    console.log("Daily rows loaded: " + dailyData.length);
+    // Everything below runs on split/bonus-adjusted prices; raw prices are restored at the end
+    const calendar = loadTradingCalendar(ss);
+    applyCorporateActions(dailyData, loadCorporateActions(ss));
+    const withReturns = computeTotalReturns(computeReturns(dailyData, calendar), calendar);
+    const withRisk = computeRiskMetrics(withReturns, {
+        benchmark: loadBenchmarkReturns(ss),
+        riskFreeRate: riskOptions && riskOptions.riskFreeRate !== null && riskOptions.riskFreeRate !== undefined ?
+            riskOptions.riskFreeRate : getRiskFreeRate()
+    });
+    // Signals run last so their rules can use any computed field (returns, risk, indicators)
+    const withIndicators = computeIndicators(withRisk, indicatorConfig);
+    return restoreRawPrices(computeMarketSignals(withIndicators, loadSignalRules(ss)));
+}
+
+/**
+ * Reads raw ticks (every partition in range, see storage_backend.js) into { SECURITY, LAST, VOL, TIMESTAMP, TIME } rows.
+ */
+function loadRawTickRows(ss, fromDate, toDate) {
+    const values = [TICK_HEADERS].concat(readTickRows(ss, fromDate || null, toDate || null));
     if (values.length < 2) return [];
 
     const headers = values[0].map(h => h.toString().trim().toUpperCase());
@@ -267,24 +416,19 @@ function getComputedAnalytics() {
         throw new Error("Missing required columns: SECURITY, LAST, and TIMESTAMP/DATE are required.");
     }
 
-    const rawData = values.slice(1).map(row => {
+    return values.slice(1).map(row => {
         const obj = {};
         obj.SECURITY = row[map.security];
         obj.LAST = row[map.last];
-        obj.VOL = row[map.vol] !== -1 ? row[map.vol] : 0;
+        obj.VOL = map.vol !== -1 ? row[map.vol] : 0;
         obj.TIMESTAMP = row[map.ts];
         obj.TIME = map.time !== -1 ? row[map.time] : null;
         return obj;
     });
-
-    console.log("Daily rows aggregated: " + rawData.length);
-    const dailyData = aggregateDailyCloses(rawData);
-    const withReturns = computeReturns(dailyData);
-    return computeMarketSignals(withReturns);
 }
 
 /**
- * Aggregates intraday tick data into daily closes per SECURITY.
+ * Aggregates intraday tick data into daily closes (with open/high/low) per SECURITY.
  */
 function aggregateDailyCloses(data) {
     const daily = {};
@@ -325,12 +469,29 @@ function aggregateDailyCloses(data) {
             const cleanPrice = clean(row.LAST);
 
             if (!daily[key]) {
-                daily[key] = { ...row, SECURITY: security, LAST: cleanPrice, VOL: cleanVol, _time: currentTickTime };
-            } else if (currentTickTime >= daily[key]._time) {
-                const totalVol = Math.max(daily[key].VOL, cleanVol);
-                daily[key] = { ...row, SECURITY: security, LAST: cleanPrice, VOL: totalVol, _time: currentTickTime };
+                daily[key] = {
+                    ...row, SECURITY: security, DATE: dateStr, LAST: cleanPrice, VOL: cleanVol, _time: currentTickTime,
+                    OPEN: cleanPrice, HIGH: cleanPrice, LOW: cleanPrice, TICKS: 1, _openTime: currentTickTime
+                };
+                return;
+            }
+
+            // Open/High/Low/Tick count survive whichever tick becomes the close
+            const prev = daily[key];
+            const session = {
+                OPEN: currentTickTime < prev._openTime ? cleanPrice : prev.OPEN,
+                _openTime: Math.min(prev._openTime, currentTickTime),
+                HIGH: Math.max(prev.HIGH, cleanPrice),
+                LOW: cleanPrice > 0 && (prev.LOW === 0 || cleanPrice < prev.LOW) ? cleanPrice : prev.LOW,
+                TICKS: prev.TICKS + 1
+            };
+
+            if (currentTickTime >= prev._time) {
+                const totalVol = Math.max(prev.VOL, cleanVol);
+                daily[key] = { ...row, SECURITY: security, DATE: dateStr, LAST: cleanPrice, VOL: totalVol, _time: currentTickTime, ...session };
             } else {
-                daily[key].VOL = Math.max(daily[key].VOL, cleanVol);
+                Object.assign(prev, session);
+                prev.VOL = Math.max(prev.VOL, cleanVol);
             }
         } catch (err) {
             console.error(`Row ${idx} error: ${err.message}`);
@@ -341,9 +502,13 @@ function aggregateDailyCloses(data) {
 }
 
 /**
- * Core Logic: Groups by stock, sorts by time, computes returns.
+ * Core Logic: Groups by stock, sorts by date, computes calendar-anchored returns (calendar_backend.js).
+ * Each row gets DoD, WTD, MoM, MTD, YoY, YTD, returnBases (period -> date of the comparison close)
+ * and staleReturns (periods whose comparison close is older than the anchor trading day).
  */
-function computeReturns(data) {
+function computeReturns(data, calendar) {
+    calendar = calendar || { closed: new Set(), open: new Set() };
+
     // Group by SECURITY
     const grouped = {};
     data.forEach(row => {
@@ -353,24 +518,32 @@ function computeReturns(data) {
         grouped[security].push(row);
     });
 
-    // Sort each stock by time
+    // Sort each stock by session date
     Object.values(grouped).forEach(rows => {
-        rows.sort((a, b) => {
-            const getTime = (r) => {
-                if (r.TIMESTAMP instanceof Date) return r.TIMESTAMP.getTime();
-                const d = new Date(r.TIMESTAMP);
-                return isNaN(d.getTime()) ? 0 : d.getTime();
-            };
-            return getTime(a) - getTime(b);
-        });
+        rows.sort((a, b) => a.DATE.localeCompare(b.DATE));
     });
 
-    // Compute returns
+    // Anchors only depend on the date, so they are shared by every security
+    const anchorCache = {};
+
     Object.values(grouped).forEach(rows => {
-        rows.forEach((row, i) => {
-            row.DoD = calcReturn(rows, i, TRADING_DAYS.DOD);
-            row.MoM = calcReturn(rows, i, TRADING_DAYS.MOM);
-            row.YoY = calcReturn(rows, i, TRADING_DAYS.YOY);
+        rows.forEach(row => {
+            const anchors = anchorCache[row.DATE] || (anchorCache[row.DATE] = returnAnchors(calendar, row.DATE));
+            row.returnBases = {};
+            row.staleReturns = [];
+
+            RETURN_PERIODS.forEach(period => {
+                // Anchors are always before the row's own date, so the search never returns row i or later
+                const baseIdx = findCloseOnOrBefore(rows, anchors[period]);
+                if (baseIdx === -1) {
+                    row[period] = null;
+                    return;
+                }
+                const base = rows[baseIdx];
+                row[period] = closeReturn(row.LAST, base.LAST);
+                row.returnBases[period] = base.DATE;
+                if (base.DATE < anchors[period]) row.staleReturns.push(period);
+            });
         });
     });
 
@@ -383,27 +556,13 @@ function computeReturns(data) {
     return result;
 }
 
-function calcReturn(rows, index, lag) {
-    if (index < lag) return null;
-
-    const clean = (v) => {
-        if (v === null || v === undefined) return 0;
-        if (typeof v === 'number') return v;
-        return parseFloat(v.toString().replace(/,/g, '')) || 0;
-    };
-
-    const today = clean(rows[index].LAST);
-    const past = clean(rows[index - lag].LAST);
-
-    if (today === 0 || past === 0) return null;
-
-    return (today - past) / past;
-}
-
 /**
  * NEW: Adaptive trading signals based on Relative Volume and Momentum.
+ * Computes avgVol30 and rvol, then evaluates the signal rules (SignalRules sheet, or the defaults).
  */
-function computeMarketSignals(data) {
+function computeMarketSignals(data, signalRules) {
+    signalRules = signalRules || buildSignalRules(DEFAULT_SIGNAL_RULES);
+
     // Group by SECURITY
     const grouped = {};
     data.forEach(row => {
@@ -440,35 +599,8 @@ function computeMarketSignals(data) {
             // 2. Relative Volume (RVOL)
             row.rvol = (row.avgVol30 && row.avgVol30 > 0) ? (row.VOL / row.avgVol30) : null;
 
-            // 3. Liquidity Score
-            if (row.avgVol30 >= 100000) row.liquidityScore = "HIGH";
-            else if (row.avgVol30 >= 20000) row.liquidityScore = "MEDIUM";
-            else row.liquidityScore = "LOW";
-
-            // 4. Momentum Signal
-            const rvol = row.rvol || 0;
-            const dod = row.DoD || 0;
-            if (dod > 0 && rvol > 1.5) row.momentumSignal = "CONFIRMED_UP";
-            else if (dod > 0 && rvol <= 1) row.momentumSignal = "WEAK_UP";
-            else if (dod < 0 && rvol > 1.5) row.momentumSignal = "STRONG_SELL";
-            else row.momentumSignal = "NEUTRAL";
-
-            // 5. Hype Risk
-            if (dod > 0.08 && rvol < 1) row.hypeRisk = "HYPE_RISK";
-            else if (dod > 0.08 && rvol > 2) row.hypeRisk = "BREAKOUT";
-            else row.hypeRisk = "NORMAL";
-
-            // 6. Stable Accumulation
-            row.stableTrend = (dod >= 0 && dod <= 0.03 && rvol > 1.2);
-
-            // 7. Trade Score
-            let score = 0;
-            if (row.liquidityScore === "HIGH") score += 2;
-            if (row.momentumSignal === "CONFIRMED_UP") score += 2;
-            if (row.stableTrend === true) score += 1;
-            if (row.hypeRisk === "HYPE_RISK") score -= 2;
-            if (row.momentumSignal === "STRONG_SELL") score -= 1;
-            row.tradeScore = score;
+            // 3. Liquidity, momentum, hype, stability and trade score come from the rules (signals_backend.js)
+            applySignalRules(row, signalRules);
         });
     });
 
@@ -488,8 +620,11 @@ function computeMarketSignals(data) {
 function createDailyPerformanceChart(securitySymbol) {
     try {
         const ss = SpreadsheetApp.getActiveSpreadsheet() || SpreadsheetApp.openById(SPREADSHEET_ID);
-        const sourceSheet = ss.getSheets()[0];
-        const data = sourceSheet.getDataRange().getValues();
+
+        // 1. Get today's date (latest trading day in storage) and read only that partition
+        const targetDateStr = findLatestTickDate(ss);
+        if (!targetDateStr) return "No tick data stored yet.";
+        const data = [TICK_HEADERS].concat(readTickRows(ss, targetDateStr, targetDateStr));
         const headers = data[0];
 
         const secIdx = headers.indexOf("SECURITY");
@@ -501,13 +636,6 @@ function createDailyPerformanceChart(securitySymbol) {
             return "Required columns (SECURITY, LAST) missing.";
         }
 
-        // 1. Get today's date (latest date in sheet)
-        const latestRow = data[data.length - 1];
-        const latestTS = latestRow[tsIdx];
-        const targetDateStr = latestTS instanceof Date ?
-            Utilities.formatDate(latestTS, Session.getScriptTimeZone(), "yyyy-MM-dd") :
-            latestTS.toString().split(" ")[0];
-
         // 2. Filter for the specific security and target date
         const chartData = [["Time", "Price"]];
         data.slice(1).forEach(row => {
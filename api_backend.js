@@ -0,0 +1,487 @@
+/**
+ * DSE Versioned JSON API
+ *
+ * doGet routes ?action=... here; requests without an action keep the original v1 behaviour.
+ *
+ * Actions:  snapshot | daily | intraday | candles | returns | risk | market | corporate-actions |
+ *           signals | backtest | portfolio | portfolio-history | transactions | securities | session |
+ *           version | health
+ * Params:   from, to          yyyy-MM-dd, inclusive (returns: the custom period, from required)
+ *           date              yyyy-MM-dd, one intraday session (intraday/candles)
+ *           interval          candles only: 1m | 5m | 15m | 1h | 1D
+ *           securities        comma-separated symbols (security= is accepted for one)
+ *           fields            comma-separated field names to return (SECURITY/DATE are always kept)
+ *           cursor, limit     opaque cursor from page.nextCursor, page size (default 500, max 5000); a cursor
+ *                             keeps paging the data version of the first page (snapshot/daily cache it)
+ *           since             data version the client already holds (delta sync)
+ *           sma, ema, rsi, atr, macd, bb
+ *                             snapshot/daily: indicator lengths (see indicators_backend.js)
+ *           rf                snapshot/daily/risk: annual risk-free rate for the Sharpe ratio (e.g. 0.12)
+ *           format            json (default) | csv: the rows as a CSV download (export_backend.js)
+ *
+ * Every response is wrapped in the same envelope:
+ *   { status, apiVersion, action, generatedAt, version, unchanged, delta, data, page: { cursor, nextCursor, limit, total } }
+ *
+ * Delta sync: the data version is "<last ingest ms>-<stored tick count>-<config hash>". The first two parts are
+ * published by doPost; the hash covers the sheets the computed fields depend on (see getVersionedConfigSheets) and is
+ * cached for CONFIG_FINGERPRINT_TTL_SECONDS, so a hand edit of those sheets shows up within that time.
+ * If since equals the current version the response is { unchanged: true, data: null } and nothing is computed;
+ * if only the ingest parts moved, snapshot/daily/intraday return securities, rows and ticks changed after since
+ * (delta: true); after a config edit everything is returned again (delta: false). So are snapshot and daily while
+ * the Benchmark sheet is empty, as the equal-weighted fallback benchmark changes every row's beta (risk_backend.js).
+ */
+
+const API_VERSION = "2";
+const API_DEFAULT_LIMIT = 500;
+const API_MAX_LIMIT = 5000;
+
+// Actions that can be called without a session token
+const API_PUBLIC_ACTIONS = ["health"];
+
+// Actions that understand ?since= and can answer with a delta
+const API_DELTA_ACTIONS = ["snapshot", "daily", "intraday"];
+// Delta actions whose rows carry beta/correlation against the benchmark
+const API_BENCHMARK_ACTIONS = ["snapshot", "daily"];
+
+const DATA_VERSION_PROPERTY = "DATA_VERSION";
+const CONFIG_FINGERPRINT_CACHE_KEY = "configFingerprint";
+const CONFIG_FINGERPRINT_TTL_SECONDS = 60;
+
+// Computed rows of a paged snapshot/daily result, kept so later pages neither recompute nor shift
+const PAGE_CACHE_PREFIX = "pages_";
+const PAGE_CACHE_TTL_SECONDS = 10 * 60;
+const PAGE_CACHE_CHUNK_CHARS = 90000; // CacheService values are limited to 100KB
+const PAGE_CACHE_MAX_CHUNKS = 20;
+
+/**
+ * A malformed request; reported to the client as code "BAD_REQUEST".
+ */
+class ApiError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = "ApiError";
+        this.code = code || "BAD_REQUEST";
+    }
+}
+
+/**
+ * Built on demand so handlers defined in other backend files are resolved at call time.
+ */
+function getApiRoutes() {
+    return {
+        snapshot: apiSnapshot,
+        daily: apiDaily,
+        intraday: apiIntraday,
+        candles: apiCandles,
+        returns: apiReturns,
+        risk: apiRisk,
+        market: apiMarket,
+        "corporate-actions": apiCorporateActions,
+        signals: apiSignals,
+        backtest: apiBacktest,
+        portfolio: apiPortfolio,
+        "portfolio-history": apiPortfolioHistory,
+        transactions: apiTransactions,
+        securities: apiSecurities,
+        session: apiSession,
+        version: apiVersion,
+        health: apiHealth
+    };
+}
+
+function apiResponse(payload) {
+    return ContentService.createTextOutput(JSON.stringify(payload)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Entry point from doGet for requests carrying ?action=.
+ */
+function handleApiRequest(e) {
+    const action = (e.parameter.action || "").toString().trim().toLowerCase();
+    try {
+        const handler = getApiRoutes()[action];
+        if (!handler) throw new ApiError(`Unknown action "${action}"`, "NOT_FOUND");
+
+        let session = null;
+        if (!API_PUBLIC_ACTIONS.includes(action)) {
+            session = verifySession(e.parameter.token);
+            requirePermission(session, "read");
+        }
+
+        const params = parseApiParams(e.parameter);
+        const version = getDataVersion();
+        params.version = params.cursorVersion || version;
+        const envelope = {
+            status: "success",
+            apiVersion: API_VERSION,
+            action: action,
+            generatedAt: new Date().toISOString(),
+            version: params.version,
+            unchanged: false,
+            delta: false
+        };
+
+        if (params.format === "csv") {
+            params.since = null;
+            return csvExportResponse(action, handler(params, session));
+        }
+
+        if (params.since && API_DELTA_ACTIONS.includes(action)) {
+            if (params.since === version) return apiResponse({ ...envelope, unchanged: true, data: null, page: null });
+            const since = parseDataVersion(params.since);
+            const fullResync = API_BENCHMARK_ACTIONS.includes(action) &&
+                usesEqualWeightBenchmark(SpreadsheetApp.openById(SPREADSHEET_ID));
+            if (since.config === parseDataVersion(version).config && !fullResync) {
+                params.sinceMs = since.ingestMs;
+                envelope.delta = true;
+            }
+        }
+
+        const result = handler(params, session);
+        return apiResponse({ ...envelope, data: result.data, page: result.page || null });
+    } catch (err) {
+        return apiResponse({
+            status: "error",
+            apiVersion: API_VERSION,
+            action: action,
+            code: err.code || "SERVER_ERROR",
+            message: err.toString()
+        });
+    }
+}
+
+/**
+ * Validates and normalises the shared query parameters.
+ */
+function parseApiParams(p) {
+    const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+    const list = (v) => (v || "").toString().split(",").map(s => s.trim()).filter(Boolean);
+
+    const params = {
+        date: p.date ? p.date.toString().trim() : null,
+        from: p.from ? p.from.toString().trim() : null,
+        to: p.to ? p.to.toString().trim() : null,
+        securities: list(p.securities || p.security).map(s => s.toUpperCase()),
+        fields: list(p.fields),
+        since: p.since ? p.since.toString().trim() : null,
+        sinceMs: null,
+        indicators: parseIndicatorParams(p),
+        riskFreeRate: null,
+        format: p.format ? p.format.toString().trim().toLowerCase() : "json",
+        offset: 0,
+        cursorVersion: null,
+        limit: API_DEFAULT_LIMIT,
+        raw: p
+    };
+
+    if (params.date && !isDate(params.date)) throw new ApiError("date must be yyyy-MM-dd");
+    if (params.from && !isDate(params.from)) throw new ApiError("from must be yyyy-MM-dd");
+    if (params.to && !isDate(params.to)) throw new ApiError("to must be yyyy-MM-dd");
+    if (params.from && params.to && params.from > params.to) throw new ApiError("from must not be after to");
+
+    if (!EXPORT_FORMATS.includes(params.format)) throw new ApiError(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+
+    if (p.limit !== undefined && p.limit !== "") {
+        const limit = parseInt(p.limit, 10);
+        if (isNaN(limit) || limit < 1) throw new ApiError("limit must be a positive integer");
+        params.limit = Math.min(limit, API_MAX_LIMIT);
+    } else if (params.format === "csv") {
+        // An export is one file: every row, no cursor
+        params.limit = Infinity;
+    }
+
+    if (p.rf !== undefined && p.rf !== "") {
+        params.riskFreeRate = parseFloat(p.rf);
+        if (isNaN(params.riskFreeRate) || params.riskFreeRate < 0 || params.riskFreeRate > 1) {
+            throw new ApiError("rf must be an annual rate between 0 and 1 (e.g. 0.12)");
+        }
+    }
+
+    if (p.cursor) {
+        const cursor = decodeCursor(p.cursor);
+        params.offset = cursor.offset;
+        params.cursorVersion = cursor.version;
+    }
+    if (params.since) parseDataVersion(params.since);
+    return params;
+}
+
+/**
+ * Called after every ingest: moves the version to the ingest time and adds the stored tick count.
+ * The caller holds the script lock around its write and this call (doPost, rebuildDailyCloses). The time never
+ * moves backwards, since clients use it as the "changed after" bound of their next delta.
+ */
+function publishDataVersion(ingestTime, addedTicks) {
+    const props = PropertiesService.getScriptProperties();
+    const current = props.getProperty(DATA_VERSION_PROPERTY);
+    const parsed = current ? parseDataVersion(current) : { ingestMs: 0, count: 0 };
+    const version = `${Math.max(parsed.ingestMs, ingestTime.getTime())}-${parsed.count + (addedTicks || 0)}`;
+    props.setProperty(DATA_VERSION_PROPERTY, version);
+    return version;
+}
+
+/**
+ * Getters of the sheets whose edits change computed fields without any ingest. Built on demand like getApiRoutes.
+ * These are the getters the analytics read through, so a sheet they create on first use is hashed as created.
+ */
+function getVersionedConfigSheets() {
+    return [getSignalRulesSheet, getCorporateActionsSheet, getCalendarSheet, getBenchmarkSheet];
+}
+
+/**
+ * Short hash of the config sheets and the risk-free rate, so editing them moves the data version.
+ * Cached briefly: version checks and unchanged answers should not read four sheets each.
+ */
+function getConfigFingerprint() {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get(CONFIG_FINGERPRINT_CACHE_KEY);
+    if (cached) return cached;
+
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const parts = getVersionedConfigSheets().map(getSheet => getSheet(ss).getDataRange().getValues());
+    parts.push(PropertiesService.getScriptProperties().getProperty(RISK_FREE_RATE_PROPERTY));
+    const fingerprint = sha256Hex(JSON.stringify(parts)).slice(0, 8);
+    cache.put(CONFIG_FINGERPRINT_CACHE_KEY, fingerprint, CONFIG_FINGERPRINT_TTL_SECONDS);
+    return fingerprint;
+}
+
+/**
+ * For code that edits a config sheet, so the next request hashes the new content.
+ */
+function clearConfigFingerprint() {
+    CacheService.getScriptCache().remove(CONFIG_FINGERPRINT_CACHE_KEY);
+}
+
+function getDataVersion() {
+    const published = PropertiesService.getScriptProperties().getProperty(DATA_VERSION_PROPERTY) || "0-0";
+    return `${published}-${getConfigFingerprint()}`;
+}
+
+/**
+ * Versions from before the config hash was added parse with config null, so they never match a current one.
+ */
+function parseDataVersion(version) {
+    const m = (version || "").toString().match(/^(\d+)-(\d+)(?:-([0-9a-f]+))?$/);
+    if (!m) throw new ApiError("since must be a data version returned by the API");
+    return { ingestMs: parseInt(m[1], 10), count: parseInt(m[2], 10), config: m[3] || null };
+}
+
+/**
+ * True when a daily row changed after the client's version (always true without since).
+ */
+function changedSince(row, params) {
+    if (!params.sinceMs) return true;
+    const updated = row.UPDATED instanceof Date ? row.UPDATED.getTime() : new Date(row.UPDATED).getTime();
+    return isNaN(updated) || updated > params.sinceMs;
+}
+
+function encodeCursor(offset, version) {
+    return Utilities.base64EncodeWebSafe(JSON.stringify({ o: offset, v: version }));
+}
+
+/**
+ * { offset, version }; cursors from before the version was added carry version null.
+ */
+function decodeCursor(cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(cursor.toString())).getDataAsString());
+    } catch (e) {
+        throw new ApiError("cursor is invalid");
+    }
+    if (!decoded || typeof decoded.o !== 'number' || decoded.o < 0) throw new ApiError("cursor is invalid");
+    if (decoded.v !== undefined && decoded.v !== null) parseDataVersion(decoded.v);
+    return { offset: decoded.o, version: decoded.v || null };
+}
+
+/**
+ * The rows of a paged result: computed for the first page and cached under the data version, then read back
+ * for the following pages. A cursor whose version is no longer current cannot be recomputed, so once its cache
+ * has expired the client has to start again from the first page.
+ */
+function pagedRows(action, params, compute) {
+    const key = PAGE_CACHE_PREFIX + sha256Hex(JSON.stringify([action, params.version, params.securities, params.from,
+        params.to, params.sinceMs, params.indicators, params.riskFreeRate])).slice(0, 32);
+
+    if (params.offset > 0) {
+        const cached = readPageCache(key);
+        if (cached) return cached;
+        if (params.cursorVersion && params.cursorVersion !== getDataVersion()) {
+            throw new ApiError("cursor belongs to an older data version; request the first page again", "STALE_CURSOR");
+        }
+    }
+
+    const rows = compute();
+    if (rows.length > params.limit) writePageCache(key, rows);
+    return rows;
+}
+
+function readPageCache(key) {
+    const cache = CacheService.getScriptCache();
+    const chunks = parseInt(cache.get(key), 10);
+    if (!chunks) return null;
+
+    const keys = Array.from({ length: chunks }, (_, i) => `${key}_${i}`);
+    const parts = cache.getAll(keys);
+    if (keys.some(k => parts[k] === undefined || parts[k] === null)) return null;
+    return JSON.parse(keys.map(k => parts[k]).join(""));
+}
+
+/**
+ * Results too large for PAGE_CACHE_MAX_CHUNKS are not cached; their later pages are recomputed.
+ */
+function writePageCache(key, rows) {
+    const json = JSON.stringify(rows);
+    const chunks = Math.ceil(json.length / PAGE_CACHE_CHUNK_CHARS);
+    if (chunks > PAGE_CACHE_MAX_CHUNKS) return;
+
+    const entries = {};
+    for (let i = 0; i < chunks; i++) entries[`${key}_${i}`] = json.slice(i * PAGE_CACHE_CHUNK_CHARS, (i + 1) * PAGE_CACHE_CHUNK_CHARS);
+    const cache = CacheService.getScriptCache();
+    cache.putAll(entries, PAGE_CACHE_TTL_SECONDS);
+    cache.put(key, String(chunks), PAGE_CACHE_TTL_SECONDS);
+}
+
+/**
+ * Applies field selection and cursor pagination to a list result.
+ */
+function paginate(rows, params) {
+    const slice = rows.slice(params.offset, params.offset + params.limit).map(r => selectFields(r, params.fields));
+    const next = params.offset + params.limit;
+    return {
+        data: slice,
+        page: {
+            cursor: params.raw.cursor || null,
+            nextCursor: next < rows.length ? encodeCursor(next, params.version) : null,
+            limit: params.limit,
+            total: rows.length
+        }
+    };
+}
+
+function selectFields(row, fields) {
+    if (!fields || fields.length === 0) return row;
+    const picked = {};
+    ["SECURITY", "DATE"].concat(fields).forEach(f => {
+        if (row[f] !== undefined) picked[f] = row[f];
+    });
+    return picked;
+}
+
+function matchesSecurities(symbol, params) {
+    return params.securities.length === 0 || params.securities.includes(symbol);
+}
+
+/**
+ * Latest computed row per security, as of params.to when given.
+ */
+function apiSnapshot(params) {
+    const rows = pagedRows("snapshot", params, () => {
+        const latest = {};
+        getComputedAnalytics(params.indicators, { riskFreeRate: params.riskFreeRate }).forEach(row => {
+            if (!matchesSecurities(row.SECURITY, params)) return;
+            if (!inDateRange(row.DATE, params.from, params.to)) return;
+            if (!latest[row.SECURITY] || row.DATE > latest[row.SECURITY].DATE) latest[row.SECURITY] = row;
+        });
+
+        return Object.values(latest)
+            .filter(row => changedSince(row, params))
+            .sort((a, b) => a.SECURITY.localeCompare(b.SECURITY));
+    });
+    return paginate(rows, params);
+}
+
+/**
+ * Computed daily rows (close, returns, signals) for a date range.
+ */
+function apiDaily(params) {
+    const rows = pagedRows("daily", params, () => getComputedAnalytics(params.indicators, { riskFreeRate: params.riskFreeRate })
+        .filter(row => matchesSecurities(row.SECURITY, params) && inDateRange(row.DATE, params.from, params.to))
+        .filter(row => changedSince(row, params))
+        .sort((a, b) => a.DATE.localeCompare(b.DATE) || a.SECURITY.localeCompare(b.SECURITY)));
+    return paginate(rows, params);
+}
+
+/**
+ * Intraday ticks for one or more securities: one session (date), a replay window (from/to),
+ * or the latest session of each security when neither is given.
+ * With since, only points captured after it are returned; clients replace points with the same capture time (sortVal).
+ */
+function apiIntraday(params) {
+    if (params.securities.length === 0) throw new ApiError("intraday needs security or securities");
+
+    const range = params.date ? { date: params.date } : { from: params.from, to: params.to };
+    const start = range.date || range.from;
+    const end = range.date || range.to;
+    if (start && end && (new Date(end) - new Date(start)) / 86400000 >= INTRADAY_MAX_RANGE_DAYS) {
+        throw new ApiError(`intraday ranges are limited to ${INTRADAY_MAX_RANGE_DAYS} days`);
+    }
+
+    const rows = [];
+    params.securities.forEach(symbol => {
+        getIntradayHistory(symbol, range).forEach(tick => {
+            if (params.sinceMs && tick.sortVal <= params.sinceMs && !tick.synthetic) return;
+            rows.push({ SECURITY: symbol, DATE: tick.date, ...tick });
+        });
+    });
+    return paginate(rows, params);
+}
+
+/**
+ * One row per security: coverage of stored history and the latest close.
+ */
+function apiSecurities(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const meta = {};
+
+    readDailyCloses(ss).forEach(row => {
+        if (!matchesSecurities(row.SECURITY, params)) return;
+        const m = meta[row.SECURITY] || (meta[row.SECURITY] = {
+            SECURITY: row.SECURITY, firstDate: row.DATE, lastDate: row.DATE, tradingDays: 0, lastClose: row.LAST, lastVolume: row.VOL
+        });
+        m.tradingDays++;
+        if (row.DATE < m.firstDate) m.firstDate = row.DATE;
+        if (row.DATE >= m.lastDate) {
+            m.lastDate = row.DATE;
+            m.lastClose = row.LAST;
+            m.lastVolume = row.VOL;
+        }
+    });
+
+    const rows = Object.values(meta).sort((a, b) => a.SECURITY.localeCompare(b.SECURITY));
+    return paginate(rows, params);
+}
+
+/**
+ * Just the current data version, for clients that only want to know whether to refresh.
+ */
+function apiVersion() {
+    return { data: { version: getDataVersion() } };
+}
+
+/**
+ * Liveness and data freshness; callable without a token.
+ */
+function apiHealth() {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const daily = readDailyCloses(ss);
+
+    let lastIngest = null;
+    daily.forEach(row => {
+        const ts = row.TIMESTAMP instanceof Date ? row.TIMESTAMP : new Date(row.TIMESTAMP);
+        if (!isNaN(ts.getTime()) && (!lastIngest || ts > lastIngest)) lastIngest = ts;
+    });
+
+    return {
+        data: {
+            ok: true,
+            apiVersion: API_VERSION,
+            serverTime: new Date().toISOString(),
+            timeZone: Session.getScriptTimeZone(),
+            lastIngest: lastIngest ? lastIngest.toISOString() : null,
+            dailyRows: daily.length,
+            version: getDataVersion(),
+            partitions: readPartitionRegistry(ss).length
+        }
+    };
+}
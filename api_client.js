@@ -0,0 +1,447 @@
+/**
+ * DSE Backend API Client
+ *
+ * Shared by index.html, dashboard.js, popup.js and background.js.
+ * 1. Exchanges an access key for a session token and keeps it in chrome.storage.local.
+ * 2. Sends the token on every GET (and on portfolio transaction POSTs) to the backend.
+ * 3. Signs tick batches posted by the scraper (HMAC-SHA256, see auth_backend.js).
+ * 4. Delta-syncs the snapshot and intraday series using the backend's data version.
+ * 5. Persists the last snapshot and every intraday series in IndexedDB. Pages render the cached copy at once
+ *    (readCachedSnapshot) and, while the backend is unreachable or over quota, the sync helpers answer
+ *    from the cache with { cached: true, cachedAt } instead of failing.
+ * 6. Reads the backend URL from the active profile (options.html): named backends, each with an optional
+ *    access key and display preferences. Switching to a profile with a key signs in to the new backend first and
+ *    only then replaces the previous backend's session.
+ */
+
+// Backend used until a profile is set up on the options page (the deployed Web App URL from analytics_backend.js)
+const DEFAULT_BACKEND_URL = "https://script.google.com/macros/s/AKfycbyGbGdLL8_VyfL-y9v7wFlQSEuGMHETics49oehlZud7ajn-QP_9Lo_DTZWbBh0UY8h/exec";
+
+// Profiles hold access keys, so they stay in chrome.storage.local rather than syncing
+const PROFILES_STORAGE_KEY = "profiles";
+const ACTIVE_PROFILE_STORAGE_KEY = "activeProfile";
+// What a profile can choose about the dashboard (dashboard.js applies them on load)
+const DEFAULT_DISPLAY_PREFERENCES = {
+    defaultView: "market",
+    chartInterval: "line",
+    showVwap: false
+};
+
+const SESSION_STORAGE_KEY = "session";
+// Where the snapshot cache lived before IndexedDB; removed on sign-out
+const SNAPSHOT_STORAGE_KEY = "snapshotCache";
+
+// IndexedDB offline cache: "snapshot" holds { version, rows, savedAt } under "latest",
+// "intraday" holds { version, ticks, savedAt } per intraday cache key
+const CACHE_DB_NAME = "dse-cache";
+const CACHE_DB_VERSION = 1;
+const CACHE_STORES = ["snapshot", "intraday"];
+// Kept apart from the session so the scraper keeps signing after the 6h session expires
+const SIGNING_STORAGE_KEY = "signingKey";
+
+/**
+ * Raised when the backend rejects our credentials; callers send the user back to index.html.
+ */
+class AuthRequiredError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AuthRequiredError";
+    }
+}
+
+function bufferToHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hmacSha256Hex(message, secret) {
+    const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    return bufferToHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+}
+
+async function getSession() {
+    const stored = await chrome.storage.local.get(SESSION_STORAGE_KEY);
+    const session = stored[SESSION_STORAGE_KEY];
+    if (!session || !session.token) return null;
+    if (session.expiresAt && new Date(session.expiresAt).getTime() < Date.now()) return null;
+    return session;
+}
+
+async function clearSession() {
+    await chrome.storage.local.remove(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Sign Out: forgets the session, the scraper's signing key and the offline cache.
+ */
+async function signOut() {
+    await chrome.storage.local.remove([SESSION_STORAGE_KEY, SIGNING_STORAGE_KEY, SNAPSHOT_STORAGE_KEY]);
+    await clearOfflineCache();
+}
+
+async function getProfiles() {
+    return (await chrome.storage.local.get(PROFILES_STORAGE_KEY))[PROFILES_STORAGE_KEY] || [];
+}
+
+async function saveProfiles(profiles) {
+    await chrome.storage.local.set({ [PROFILES_STORAGE_KEY]: profiles });
+}
+
+/**
+ * The profile in use: the one chosen with switchProfile, else the first; null while none is set up (the default
+ * backend is used). Changes to the stored profiles can therefore move the backend (options.js changeProfiles).
+ */
+async function getActiveProfile() {
+    const profiles = await getProfiles();
+    const id = (await chrome.storage.local.get(ACTIVE_PROFILE_STORAGE_KEY))[ACTIVE_PROFILE_STORAGE_KEY];
+    return profiles.find(p => p.id === id) || profiles[0] || null;
+}
+
+async function getBackendUrl() {
+    const profile = await getActiveProfile();
+    return (profile && profile.backendUrl) || DEFAULT_BACKEND_URL;
+}
+
+async function getDisplayPreferences() {
+    const profile = await getActiveProfile();
+    return { ...DEFAULT_DISPLAY_PREFERENCES, ...((profile && profile.display) || {}) };
+}
+
+/**
+ * Makes a profile the active one. The session and cached data belong to the previous backend, so they are
+ * replaced. A profile with a stored access key signs in first: if that fails, nothing changes and the error
+ * is thrown. Without a key the user is signed out and resolves to null; otherwise to the new session.
+ */
+async function switchProfile(id) {
+    const profile = (await getProfiles()).find(p => p.id === id);
+    if (!profile) throw new Error("Unknown profile");
+
+    const login = profile.accessKey ? await requestLogin(profile.backendUrl, profile.accessKey) : null;
+    await signOut();
+    await chrome.storage.local.set({ [ACTIVE_PROFILE_STORAGE_KEY]: id });
+    return login ? storeLogin(login) : null;
+}
+
+/**
+ * GET ?action=health on a backend (no token needed). Resolves to the health data or throws.
+ */
+async function checkBackendHealth(backendUrl) {
+    const response = await fetch(`${backendUrl}${backendUrl.includes('?') ? '&' : '?'}action=health`);
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    let json;
+    try {
+        json = await response.json();
+    } catch (e) {
+        throw new Error("Not a DSE backend (the response is not JSON)");
+    }
+    if (json.status !== "success") throw new Error(json.message || "Health check failed");
+    return json.data;
+}
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                CACHE_STORES.forEach(name => {
+                    if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                cacheDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return cacheDbPromise;
+}
+
+/**
+ * One IndexedDB request in its own transaction. Cache failures are logged and treated as a miss.
+ */
+async function cacheRequest(store, mode, makeRequest) {
+    try {
+        const db = await openCacheDb();
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(store, mode).objectStore(store));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (err) {
+        console.warn("Offline cache unavailable:", err);
+        return undefined;
+    }
+}
+
+function cacheGet(store, key) {
+    return cacheRequest(store, 'readonly', s => s.get(key));
+}
+
+function cachePut(store, key, value) {
+    return cacheRequest(store, 'readwrite', s => s.put(value, key));
+}
+
+async function clearOfflineCache() {
+    for (const store of CACHE_STORES) await cacheRequest(store, 'readwrite', s => s.clear());
+}
+
+/**
+ * The last snapshot synced on this machine ({ version, rows, savedAt }), or null.
+ */
+async function readCachedSnapshot() {
+    return (await cacheGet('snapshot', 'latest')) || null;
+}
+
+/**
+ * "cached as of HH:mm" label for a cache timestamp (adds the date when it is not from today).
+ */
+function describeCachedAt(savedAt) {
+    const d = new Date(savedAt);
+    if (isNaN(d.getTime())) return "cached";
+    const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+    return d.toDateString() === new Date().toDateString() ?
+        `cached as of ${time}` : `cached as of ${d.toLocaleDateString()} ${time}`;
+}
+
+/**
+ * Runs a sync; when the backend cannot be reached or answers with a server error, returns the cached
+ * data instead ({ status: "success", cached: true, cachedAt, error }). Sign-in problems are never masked.
+ */
+async function withOfflineFallback(sync, cached, toData) {
+    let failure;
+    try {
+        const json = await sync();
+        if (json.status === "success" || json.code === "BAD_REQUEST" || json.code === "NOT_FOUND") return json;
+        failure = json.message || "Backend error";
+    } catch (err) {
+        if (err instanceof AuthRequiredError) throw err;
+        failure = err.toString();
+    }
+    if (!cached) return { status: "error", code: "OFFLINE", message: failure };
+    return { status: "success", cached: true, cachedAt: cached.savedAt, error: failure, data: toData(cached) };
+}
+
+/**
+ * Signs in with an access key. Keys that may write also keep the signing secret the backend hands out
+ * at login (never the key itself) so background.js can post ticks.
+ */
+async function loginWithKey(key) {
+    return storeLogin(await requestLogin(await getBackendUrl(), key));
+}
+
+/**
+ * POST { action: "login" } to a backend without storing anything. Resolves to the login data or throws.
+ */
+async function requestLogin(backendUrl, key) {
+    const response = await fetch(backendUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({ action: 'login', key: key })
+    });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    const json = await response.json();
+    if (json.status !== "success") {
+        if (json.code === "UNAUTHORIZED") throw new AuthRequiredError(json.message);
+        throw new Error(json.message || "Login failed");
+    }
+    return json.data;
+}
+
+/**
+ * Keeps a successful login: the session, and the signing secret for keys that may write.
+ */
+async function storeLogin(login) {
+    const { signingSecret, ...session } = login;
+    await chrome.storage.local.set({ [SESSION_STORAGE_KEY]: session });
+
+    if ((session.permissions || []).includes('write') && signingSecret) {
+        const signingKey = { keyId: session.keyId, secret: signingSecret };
+        await chrome.storage.local.set({ [SIGNING_STORAGE_KEY]: signingKey });
+    } else {
+        await chrome.storage.local.remove(SIGNING_STORAGE_KEY);
+    }
+    return session;
+}
+
+/**
+ * GET against the backend with the session token attached. Resolves to the parsed JSON.
+ */
+async function apiGet(params) {
+    const session = await getSession();
+    if (!session) throw new AuthRequiredError("Not signed in");
+
+    const backendUrl = await getBackendUrl();
+    const query = new URLSearchParams({ ...(params || {}), token: session.token }).toString();
+    const url = `${backendUrl}${backendUrl.includes('?') ? '&' : '?'}${query}`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    const json = await response.json();
+    if (json.status === "error" && json.code === "UNAUTHORIZED") {
+        await clearSession();
+        throw new AuthRequiredError(json.message);
+    }
+    return json;
+}
+
+/**
+ * GET a paginated API action and follow page.nextCursor until every page is loaded.
+ * Resolves to the first envelope with data holding all rows.
+ */
+async function apiGetAll(params) {
+    const first = await apiGet(params);
+    if (first.status !== "success" || !first.page) return first;
+
+    let page = first.page;
+    const rows = [...first.data];
+    while (page && page.nextCursor) {
+        const next = await apiGet({ ...params, cursor: page.nextCursor });
+        if (next.status !== "success") return next;
+        rows.push(...next.data);
+        page = next.page;
+    }
+    return { ...first, data: rows, page: page };
+}
+
+/**
+ * Replaces rows of oldRows whose key matches a row in newRows and appends the rest.
+ */
+function mergeRows(oldRows, newRows, keyFn) {
+    const merged = new Map(oldRows.map(r => [keyFn(r), r]));
+    newRows.forEach(r => merged.set(keyFn(r), r));
+    return Array.from(merged.values());
+}
+
+/**
+ * Latest row per security. Sends the stored data version so the backend only returns
+ * securities that changed (or nothing at all); the merged snapshot is stored for the next call.
+ */
+async function syncSnapshot() {
+    const stored = await readCachedSnapshot();
+    return withOfflineFallback(async () => {
+        const params = { action: 'snapshot' };
+        if (stored && stored.version) params.since = stored.version;
+
+        const json = await apiGetAll(params);
+        if (json.status !== "success") return json;
+        if (json.unchanged) {
+            await cachePut('snapshot', 'latest', { ...stored, savedAt: new Date().toISOString() });
+            return { ...json, data: stored.rows };
+        }
+
+        const rows = json.delta ? mergeRows(stored.rows, json.data, r => r.SECURITY) : json.data;
+        await cachePut('snapshot', 'latest', { version: json.version, rows: rows, savedAt: new Date().toISOString() });
+        return { ...json, data: rows };
+    }, stored, cached => cached.rows);
+}
+
+// "symbol|date|from|to" -> { version, ticks, savedAt }, loaded from IndexedDB on first use
+const intradayCache = {};
+
+/**
+ * Intraday series for one security, fetching only points captured since the cached version.
+ * range is optional: { date } for one past session or { from, to } for a multi-day replay; without one the
+ * latest session is cached under one key, replaced when the next session begins.
+ * The synthetic "now" point is always replaced by the fresh one.
+ */
+async function syncIntraday(symbol, range) {
+    range = range || {};
+    const cacheKey = [symbol, range.date || '', range.from || '', range.to || ''].join('|');
+    if (!intradayCache[cacheKey]) intradayCache[cacheKey] = await cacheGet('intraday', cacheKey);
+    const cached = intradayCache[cacheKey];
+
+    return withOfflineFallback(async () => {
+        const params = { action: 'intraday', security: symbol };
+        ['date', 'from', 'to'].forEach(k => { if (range[k]) params[k] = range[k]; });
+        if (cached) params.since = cached.version;
+
+        const json = await apiGetAll(params);
+        if (json.status !== "success") return json;
+        if (json.unchanged) return { ...json, data: cached.ticks };
+
+        let base = json.delta ? cached.ticks.filter(t => !t.synthetic) : [];
+        // Without a range the key follows the latest session: once a new one starts, the cached ticks are an
+        // older session and the delta (everything since that version) holds the whole new one
+        const latestSession = !range.date && !range.from && !range.to;
+        if (latestSession && base.length > 0 && json.data.length > 0 && base[base.length - 1].DATE !== json.data[0].DATE) base = [];
+        // time is only HH:mm, so several ticks share it; sortVal is the capture time of each one
+        const ticks = mergeRows(base, json.data, t => `${t.DATE} ${t.sortVal}`).sort((a, b) => a.sortVal - b.sortVal);
+        intradayCache[cacheKey] = { version: json.version, ticks: ticks, savedAt: new Date().toISOString() };
+        await cachePut('intraday', cacheKey, intradayCache[cacheKey]);
+        return { ...json, data: ticks };
+    }, cached, c => c.ticks);
+}
+
+// "symbol|params" -> { version, rows } for the lifetime of the page
+const dailyCache = {};
+
+/**
+ * Daily analytics rows (close, returns, signals, indicators) for one security, delta-synced like syncIntraday.
+ * extraParams carries the indicator lengths; each combination is cached separately.
+ */
+async function syncDaily(symbol, extraParams) {
+    extraParams = extraParams || {};
+    const cacheKey = symbol + '|' + new URLSearchParams(extraParams).toString();
+    const cached = dailyCache[cacheKey];
+
+    const params = { action: 'daily', security: symbol, ...extraParams };
+    if (cached) params.since = cached.version;
+
+    const json = await apiGetAll(params);
+    if (json.status !== "success") return json;
+    if (json.unchanged) return { ...json, data: cached.rows };
+
+    const rows = (json.delta ? mergeRows(cached.rows, json.data, r => r.DATE) : json.data)
+        .sort((a, b) => a.DATE.localeCompare(b.DATE));
+    dailyCache[cacheKey] = { version: json.version, rows: rows };
+    return { ...json, data: rows };
+}
+
+/**
+ * POST an action with the session token attached (e.g. portfolio transactions). Resolves to the parsed JSON.
+ * The backend checks the key's permissions; callers check session.permissions first to explain refusals.
+ */
+async function apiPost(body) {
+    const session = await getSession();
+    if (!session) throw new AuthRequiredError("Not signed in");
+
+    const response = await fetch(await getBackendUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({ ...body, token: session.token })
+    });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Posts a tick batch as a signed request. Requires a key with write permission to have signed in.
+ */
+async function signedPost(items) {
+    const stored = await chrome.storage.local.get(SIGNING_STORAGE_KEY);
+    const signingKey = stored[SIGNING_STORAGE_KEY];
+    if (!signingKey) throw new AuthRequiredError("No signed-in key with write permission");
+
+    const data = JSON.stringify(items);
+    const ts = Date.now().toString();
+    const nonce = crypto.randomUUID();
+    const signature = await hmacSha256Hex(`${ts}\n${nonce}\n${data}`, signingKey.secret);
+
+    const response = await fetch(await getBackendUrl(), {
+        method: 'POST',
+        // text/plain keeps Apps Script from rejecting the request on a CORS preflight
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({ keyId: signingKey.keyId, ts: ts, nonce: nonce, signature: signature, data: data })
+    });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    const json = await response.json();
+    if (json.status === "error" && json.code === "UNAUTHORIZED") throw new AuthRequiredError(json.message);
+    return json;
+}
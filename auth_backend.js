@@ -0,0 +1,248 @@
+/**
+ * DSE API Access Control
+ *
+ * 1. Access keys are issued into the "Keys" sheet (only the SHA-256 of the key is stored).
+ * 2. A key is exchanged for a short-lived session token (POST { action: "login", key }).
+ * 3. doGet and portfolio transaction POSTs require a session token; tick POSTs are only accepted as signed
+ *    requests. Every use of a token re-checks its key, so revoking or expiring a key ends its sessions at once.
+ * 4. Scraper writes are signed: HMAC-SHA256 over "ts\nnonce\ndata". The signing secret is handed out at login
+ *    to keys that may write; it is the key hash peppered with the SIGNING_PEPPER Script Property, so the
+ *    Keys sheet alone is not enough to sign. Changing the pepper makes every scraper sign in again.
+ *
+ * Roles: "viewer" can read, "scraper" can read and push ticks, "admin" can do both.
+ */
+
+const KEYS_SHEET = "Keys";
+const KEYS_HEADERS = ["KEY_ID", "KEY_HASH", "OWNER", "ROLE", "EXPIRES", "CREATED", "REVOKED"];
+
+const ROLE_PERMISSIONS = {
+    viewer: ["read"],
+    scraper: ["read", "write"],
+    admin: ["read", "write"]
+};
+
+const SESSION_TTL_SECONDS = 6 * 60 * 60; // CacheService maximum
+const SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000;
+const SIGNING_PEPPER_PROPERTY = "SIGNING_PEPPER";
+
+/**
+ * Thrown for any failed credential check; doGet/doPost report it as code "UNAUTHORIZED".
+ */
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AuthError";
+        this.code = "UNAUTHORIZED";
+    }
+}
+
+function toHex(bytes) {
+    return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, "0")).join("");
+}
+
+function sha256Hex(str) {
+    return toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, str, Utilities.Charset.UTF_8));
+}
+
+function hmacSha256Hex(message, secret) {
+    return toHex(Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8));
+}
+
+/**
+ * Script Property mixed into every signing secret; created on first use.
+ */
+function getSigningPepper() {
+    const props = PropertiesService.getScriptProperties();
+    const stored = props.getProperty(SIGNING_PEPPER_PROPERTY);
+    if (stored) return stored;
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        let pepper = props.getProperty(SIGNING_PEPPER_PROPERTY);
+        if (!pepper) {
+            pepper = Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+            props.setProperty(SIGNING_PEPPER_PROPERTY, pepper);
+        }
+        return pepper;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Secret a write key signs with. Never the stored hash itself: that is readable by anyone with the sheet.
+ */
+function signingSecretFor(record) {
+    return hmacSha256Hex(record.keyHash, getSigningPepper());
+}
+
+/**
+ * Constant-time string comparison for signatures.
+ */
+function safeEquals(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+function getKeysSheet(ss) {
+    let sheet = ss.getSheetByName(KEYS_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(KEYS_SHEET);
+        sheet.appendRow(KEYS_HEADERS);
+    }
+    return sheet;
+}
+
+/**
+ * Looks up an active key record by a predicate over { keyId, keyHash, ... }.
+ */
+function findKeyRecord(ss, predicate) {
+    const values = getKeysSheet(ss).getDataRange().getValues();
+    const now = new Date();
+
+    for (let i = 1; i < values.length; i++) {
+        const row = values[i];
+        const record = {
+            keyId: row[0].toString(),
+            keyHash: row[1].toString(),
+            owner: row[2].toString(),
+            role: row[3].toString().trim().toLowerCase(),
+            expires: row[4] instanceof Date ? row[4] : (row[4] ? new Date(row[4]) : null),
+            revoked: row[6] === true || row[6].toString().toUpperCase() === "TRUE"
+        };
+        if (!predicate(record)) continue;
+
+        if (record.revoked) throw new AuthError("Access key has been revoked");
+        if (record.expires && !isNaN(record.expires.getTime()) && record.expires < now) {
+            throw new AuthError("Access key has expired");
+        }
+        if (!ROLE_PERMISSIONS[record.role]) throw new AuthError("Access key has an unknown role");
+        return record;
+    }
+    return null;
+}
+
+/**
+ * Run from the Apps Script editor to issue a key. The raw key is only in the returned object, never logged.
+ */
+function issueAccessKey(owner, role, validDays) {
+    role = (role || "viewer").toLowerCase();
+    if (!ROLE_PERMISSIONS[role]) throw new Error("Unknown role: " + role);
+
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const keyId = Utilities.getUuid().split("-")[0].toUpperCase();
+    const rawKey = "dse_" + Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+    const now = new Date();
+    const expires = validDays ? new Date(now.getTime() + validDays * 24 * 60 * 60 * 1000) : "";
+
+    getKeysSheet(ss).appendRow([keyId, sha256Hex(rawKey), owner || "", role, expires, now, false]);
+    console.log(`Issued ${role} key ${keyId} for ${owner}`);
+    return { keyId: keyId, key: rawKey, role: role, expires: expires };
+}
+
+function revokeAccessKey(keyId) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const sheet = getKeysSheet(ss);
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+        if (values[i][0].toString() === keyId) {
+            sheet.getRange(i + 1, 7).setValue(true);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Exchanges a raw access key for a session token. Keys that may write also get their signing secret.
+ */
+function login(ss, rawKey) {
+    if (!rawKey || typeof rawKey !== 'string') throw new AuthError("Access key is required");
+
+    const keyHash = sha256Hex(rawKey.trim());
+    const record = findKeyRecord(ss, r => safeEquals(r.keyHash, keyHash));
+    if (!record) throw new AuthError("Invalid access key");
+
+    const token = Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+    const session = { keyId: record.keyId, owner: record.owner, role: record.role };
+
+    // A session never outlives its key
+    const ttlMs = SESSION_TTL_SECONDS * 1000;
+    const expiresAt = record.expires && !isNaN(record.expires.getTime()) && record.expires.getTime() < Date.now() + ttlMs ?
+        record.expires : new Date(Date.now() + ttlMs);
+    const ttlSeconds = Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+    CacheService.getScriptCache().put("session_" + token, JSON.stringify(session), ttlSeconds);
+
+    const result = {
+        token: token,
+        keyId: record.keyId,
+        owner: record.owner,
+        role: record.role,
+        permissions: ROLE_PERMISSIONS[record.role],
+        expiresAt: expiresAt.toISOString()
+    };
+    if (ROLE_PERMISSIONS[record.role].includes("write")) result.signingSecret = signingSecretFor(record);
+    return result;
+}
+
+/**
+ * Resolves a session token, or throws AuthError. The key behind it must still be valid (not revoked or expired).
+ */
+function verifySession(token) {
+    if (!token) throw new AuthError("Session token is required");
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get("session_" + token);
+    if (!cached) throw new AuthError("Session expired, please sign in again");
+
+    const session = JSON.parse(cached);
+    let record;
+    try {
+        record = findKeyRecord(SpreadsheetApp.openById(SPREADSHEET_ID), r => r.keyId === session.keyId);
+        if (!record) throw new AuthError("Access key no longer exists");
+    } catch (err) {
+        if (err instanceof AuthError) cache.remove("session_" + token);
+        throw err;
+    }
+    // The role is read from the sheet too, so a changed role applies to open sessions
+    return { keyId: record.keyId, owner: record.owner, role: record.role };
+}
+
+/**
+ * Verifies a signed write: { keyId, ts, nonce, signature, data } where data is the JSON string posted.
+ * Rejects stale timestamps and replayed nonces.
+ */
+function verifySignedRequest(ss, envelope) {
+    const { keyId, ts, nonce, signature, data } = envelope;
+    if (!keyId || !ts || !nonce || !signature || typeof data !== 'string') {
+        throw new AuthError("Signed request is missing keyId, ts, nonce, signature or data");
+    }
+    if (Math.abs(Date.now() - Number(ts)) > SIGNATURE_MAX_SKEW_MS) {
+        throw new AuthError("Signed request timestamp is outside the allowed window");
+    }
+
+    const record = findKeyRecord(ss, r => r.keyId === keyId.toString());
+    if (!record) throw new AuthError("Unknown key id");
+
+    const expected = hmacSha256Hex(`${ts}\n${nonce}\n${data}`, signingSecretFor(record));
+    if (!safeEquals(expected, signature.toString().toLowerCase())) throw new AuthError("Invalid request signature");
+
+    const cache = CacheService.getScriptCache();
+    const nonceKey = "nonce_" + keyId + "_" + nonce;
+    if (cache.get(nonceKey)) throw new AuthError("Replayed request");
+    cache.put(nonceKey, "1", Math.ceil(SIGNATURE_MAX_SKEW_MS * 2 / 1000));
+
+    return { keyId: record.keyId, owner: record.owner, role: record.role };
+}
+
+/**
+ * Throws unless the session's role grants the permission ("read" or "write").
+ */
+function requirePermission(session, permission) {
+    const perms = ROLE_PERMISSIONS[session.role] || [];
+    if (!perms.includes(permission)) {
+        throw new AuthError(`Role "${session.role}" is not allowed to ${permission}`);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * DSE Background Service Worker
+ *
+ * 1. While the DSE session is open (market_hours.js: session times and trading calendar), reloads (or opens) the DSE market page on a schedule.
+ * 2. Receives the rows parsed by content_scraper.js.
+ * 3. Posts them to the backend doPost in signed batches (needs a "scraper" or "admin" key signed in).
+ * 4. While the session is open, checks the user's alerts (alerts.js) against the backend and raises
+ *    Chrome notifications; clicking one opens the security in dashboard.html.
+ */
+
+importScripts('api_client.js', 'market_hours.js', 'alerts.js');
+
+const DSE_MARKET_URL = "https://dse.co.tz/";
+const DSE_URL_PATTERNS = ["https://dse.co.tz/*", "https://www.dse.co.tz/*"];
+
+const SCRAPE_ALARM = "dse-scrape";
+const SCRAPE_INTERVAL_MINUTES = 1;
+const POST_BATCH_SIZE = 50;
+
+const ALERT_ALARM = "dse-alerts";
+const ALERT_INTERVAL_MINUTES = 2;
+
+chrome.runtime.onInstalled.addListener(scheduleScraper);
+chrome.runtime.onStartup.addListener(scheduleScraper);
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === SCRAPE_ALARM) refreshMarketPage();
+    if (alarm.name === ALERT_ALARM) checkAlerts().catch(err => console.error("Alert check failed:", err));
+});
+
+// Notification ids are "alert|<security>|<alert id>|<time>"
+chrome.notifications.onClicked.addListener(notificationId => {
+    const parts = notificationId.split('|');
+    if (parts[0] !== 'alert') return;
+    chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?security=${encodeURIComponent(parts[1])}`) });
+    chrome.notifications.clear(notificationId);
+});
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message && message.type === 'DSE_MARKET_ROWS') {
+        handleScrapedRows(message).catch(err => console.error("Scrape post failed:", err));
+    }
+});
+
+function scheduleScraper() {
+    chrome.alarms.create(SCRAPE_ALARM, { periodInMinutes: SCRAPE_INTERVAL_MINUTES });
+    chrome.alarms.create(ALERT_ALARM, { periodInMinutes: ALERT_INTERVAL_MINUTES });
+}
+
+/**
+ * Reloads the DSE tab so the content script scrapes fresh prices.
+ * Opens a pinned background tab if none is open.
+ */
+async function refreshMarketPage() {
+    if (!isMarketOpen(await loadMarketSchedule())) return;
+
+    const tabs = await chrome.tabs.query({ url: DSE_URL_PATTERNS });
+    if (tabs.length > 0) {
+        await chrome.tabs.reload(tabs[0].id);
+    } else {
+        await chrome.tabs.create({ url: DSE_MARKET_URL, active: false, pinned: true });
+    }
+}
+
+async function handleScrapedRows(message) {
+    const rows = message.rows || [];
+    const status = {
+        lastRunAt: new Date().toISOString(),
+        scrapedAt: message.scrapedAt,
+        rowsScraped: rows.length,
+        rowsPosted: 0,
+        accepted: 0,
+        duplicates: 0,
+        rejected: 0,
+        error: null
+    };
+
+    try {
+        if (!isMarketOpen(await loadMarketSchedule())) {
+            status.error = "Market closed, rows not posted";
+            return;
+        }
+        if (rows.length === 0) {
+            status.error = "No equities table found on " + message.url;
+            return;
+        }
+
+        for (let i = 0; i < rows.length; i += POST_BATCH_SIZE) {
+            const batch = rows.slice(i, i + POST_BATCH_SIZE);
+            const json = await postBatch(batch);
+            status.rowsPosted += batch.length;
+            status.accepted += json.accepted || 0;
+            status.duplicates += json.duplicates || 0;
+            status.rejected += json.rejected || 0;
+            if (json.rejected > 0) console.warn("Rows rejected by backend:", json.rejections);
+        }
+    } catch (err) {
+        status.error = err.toString();
+        throw err;
+    } finally {
+        await chrome.storage.local.set({ scraperStatus: status });
+    }
+}
+
+/**
+ * Evaluates the enabled alerts against the latest snapshot and notifies for every one that fires.
+ * Spread alerts also need the security's latest intraday tick. Skipped outside the session or when signed out.
+ */
+async function checkAlerts() {
+    if (!isMarketOpen(await loadMarketSchedule())) return;
+    const alerts = (await getAlerts()).filter(a => a.enabled);
+    if (alerts.length === 0 || !(await getSession())) return;
+
+    try {
+        const snapshot = await syncSnapshot();
+        if (snapshot.status !== "success") throw new Error(snapshot.message || "Snapshot failed");
+        // Offline cache: nothing new to compare against
+        if (snapshot.cached) return;
+
+        const ticks = {};
+        const tickSecurities = new Set(alerts.filter(a => ALERT_TYPES[a.type].needsTick).map(a => a.security));
+        for (const security of tickSecurities) {
+            const json = await syncIntraday(security);
+            const real = json.status === "success" ? json.data.filter(t => !t.synthetic) : [];
+            if (real.length > 0) ticks[security] = real[real.length - 1];
+        }
+
+        const fired = await evaluateAlerts(snapshot.data, ticks);
+        await recordAlertHistory(fired);
+        fired.forEach(notifyAlert);
+    } catch (err) {
+        // The session expired; alerts resume after the next sign-in
+        if (err instanceof AuthRequiredError) return;
+        throw err;
+    }
+}
+
+function notifyAlert(fired) {
+    const row = fired.row;
+    const details = [`Last ${Number(row.LAST).toLocaleString()} TZS`];
+    if (row.DoD !== null && row.DoD !== undefined) details.push(`DoD ${(row.DoD * 100).toFixed(2)}%`);
+    if (row.rvol) details.push(`RVOL ${row.rvol.toFixed(2)}x`);
+    if (fired.tick && fired.tick.spread > 0) details.push(`Spread ${fired.tick.spread.toLocaleString()}`);
+
+    chrome.notifications.create(`alert|${fired.alert.security}|${fired.alert.id}|${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icon128.png',
+        title: describeAlert(fired.alert),
+        message: details.join(' · '),
+        priority: 2
+    });
+}
+
+async function postBatch(batch) {
+    const json = await signedPost(batch);
+    if (json.status !== "success") throw new Error(json.message || "Backend rejected batch");
+    return json;
+}
@@ -0,0 +1,170 @@
+/**
+ * DSE Signal Backtest
+ *
+ * Replays the computed history (getComputedAnalytics, so the signals of each day only saw data up to that day)
+ * and measures the forward return 1, 5 and 21 sessions after every row, on corporate-action adjusted closes.
+ *
+ * Reported per signal group/label (SignalRules), per tradeScore value, and for ALL rows as the baseline:
+ *   COUNT        rows with a forward return at that horizon
+ *   HIT_RATE     share of rows that moved the way the signal points (up, or down for rules with a negative score)
+ *   AVG_RETURN   mean forward return
+ *   AVG_EXCESS   AVG_RETURN minus the ALL baseline at the same horizon
+ *
+ * runSignalBacktest() writes the "SignalBacktest" sheet (from the editor, or weekly after installBacktestTrigger());
+ * ?action=backtest only serves the last report: it is empty until the report has been generated, since a read
+ * must not start a recompute or write the sheet.
+ */
+
+const BACKTEST_SHEET = "SignalBacktest";
+const BACKTEST_HEADERS = ["GROUP", "LABEL", "DIRECTION", "HORIZON", "COUNT", "HIT_RATE", "AVG_RETURN", "AVG_EXCESS", "GENERATED"];
+const BACKTEST_HORIZONS = [1, 5, 21];
+
+function getBacktestSheet(ss) {
+    let sheet = ss.getSheetByName(BACKTEST_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(BACKTEST_SHEET);
+        sheet.appendRow(BACKTEST_HEADERS);
+    }
+    return sheet;
+}
+
+/**
+ * Adds row.forward = { 1: r, 5: r, 21: r } (null past the end of the series).
+ */
+function addForwardReturns(rows) {
+    const grouped = {};
+    rows.forEach(row => {
+        if (row.SECURITY) (grouped[row.SECURITY] = grouped[row.SECURITY] || []).push(row);
+    });
+    Object.values(grouped).forEach(series => {
+        series.sort((a, b) => a.DATE.localeCompare(b.DATE));
+        series.forEach((row, i) => {
+            row.forward = {};
+            BACKTEST_HORIZONS.forEach(h => {
+                const later = series[i + h];
+                const close = row.ADJ_LAST !== undefined ? row.ADJ_LAST : row.LAST;
+                const laterClose = later ? (later.ADJ_LAST !== undefined ? later.ADJ_LAST : later.LAST) : 0;
+                row.forward[h] = close > 0 && laterClose > 0 ? (laterClose - close) / close : null;
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Aggregates forward returns per bucket. Buckets: ALL, every signal group label, every tradeScore.
+ */
+function computeBacktest(rows, signalRules) {
+    addForwardReturns(rows);
+
+    // Direction of each label: the sign of its rule's score (0 counts as bullish)
+    const buckets = {};
+    const bucket = (group, label, direction) => {
+        const key = `${group}|${label}`;
+        return buckets[key] || (buckets[key] = {
+            group: group, label: label, direction: direction,
+            stats: BACKTEST_HORIZONS.reduce((acc, h) => { acc[h] = { count: 0, hits: 0, sum: 0 }; return acc; }, {})
+        });
+    };
+    const add = (b, row) => {
+        BACKTEST_HORIZONS.forEach(h => {
+            const r = row.forward[h];
+            if (r === null) return;
+            const s = b.stats[h];
+            s.count++;
+            s.sum += r;
+            if (b.direction === "DOWN" ? r < 0 : r > 0) s.hits++;
+        });
+    };
+
+    rows.forEach(row => {
+        add(bucket("ALL", "ALL", "UP"), row);
+        signalRules.forEach(group => {
+            const label = row[group.group];
+            const rule = group.rules.find(r => r.label === label);
+            if (!rule) return;
+            add(bucket(group.group, label, rule.score < 0 ? "DOWN" : "UP"), row);
+        });
+        const score = row.tradeScore || 0;
+        add(bucket("tradeScore", score, score < 0 ? "DOWN" : "UP"), row);
+    });
+
+    const baseline = buckets["ALL|ALL"];
+    const report = [];
+    Object.values(buckets).forEach(b => {
+        BACKTEST_HORIZONS.forEach(h => {
+            const s = b.stats[h];
+            const avg = s.count > 0 ? s.sum / s.count : null;
+            const base = baseline && baseline.stats[h].count > 0 ? baseline.stats[h].sum / baseline.stats[h].count : null;
+            report.push({
+                group: b.group,
+                label: b.label,
+                direction: b.direction,
+                horizon: h,
+                count: s.count,
+                hitRate: s.count > 0 ? parseFloat((s.hits / s.count).toFixed(4)) : null,
+                avgReturn: avg === null ? null : parseFloat(avg.toFixed(5)),
+                avgExcess: avg === null || base === null ? null : parseFloat((avg - base).toFixed(5))
+            });
+        });
+    });
+
+    const groupOrder = ["ALL"].concat(signalRules.map(g => g.group), ["tradeScore"]);
+    return report.sort((a, b) =>
+        groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group) ||
+        (a.group === "tradeScore" ? a.label - b.label : String(a.label).localeCompare(String(b.label))) ||
+        a.horizon - b.horizon);
+}
+
+/**
+ * Recomputes the backtest over the whole stored history and rewrites the report sheet.
+ */
+function runSignalBacktest() {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const report = computeBacktest(getComputedAnalytics(), loadSignalRules(ss));
+    const now = new Date();
+
+    const sheet = getBacktestSheet(ss);
+    sheet.clearContents();
+    sheet.getRange(1, 1, 1, BACKTEST_HEADERS.length).setValues([BACKTEST_HEADERS]);
+    if (report.length > 0) {
+        const values = report.map(r => [r.group, String(r.label), r.direction, r.horizon, r.count,
+            r.hitRate === null ? "" : r.hitRate, r.avgReturn === null ? "" : r.avgReturn,
+            r.avgExcess === null ? "" : r.avgExcess, now]);
+        sheet.getRange(2, 1, values.length, BACKTEST_HEADERS.length).setValues(values);
+    }
+    console.log(`Signal backtest: ${report.length} rows written.`);
+    return report.length;
+}
+
+/**
+ * Run once from the editor: refreshes the report every Saturday morning, after the week's last session.
+ */
+function installBacktestTrigger() {
+    ScriptApp.getProjectTriggers()
+        .filter(t => t.getHandlerFunction() === "runSignalBacktest")
+        .forEach(t => ScriptApp.deleteTrigger(t));
+    ScriptApp.newTrigger("runSignalBacktest").timeBased().onWeekDay(ScriptApp.WeekDay.SATURDAY).atHour(3).create();
+}
+
+/**
+ * ?action=backtest -> the last report, or no rows when runSignalBacktest has not run yet.
+ */
+function apiBacktest(params) {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(BACKTEST_SHEET);
+    if (!sheet || sheet.getLastRow() < 2) return paginate([], params);
+
+    const num = (v) => v === "" || v === null ? null : Number(v);
+    const rows = sheet.getDataRange().getValues().slice(1).map(row => ({
+        group: row[0].toString(),
+        label: row[1].toString(),
+        direction: row[2].toString(),
+        horizon: Number(row[3]),
+        count: Number(row[4]),
+        hitRate: num(row[5]),
+        avgReturn: num(row[6]),
+        avgExcess: num(row[7]),
+        generatedAt: row[8] instanceof Date ? row[8].toISOString() : row[8].toString()
+    }));
+    return paginate(rows, params);
+}
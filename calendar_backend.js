@@ -0,0 +1,208 @@
+/**
+ * DSE Trading Calendar & Calendar-Anchored Returns
+ *
+ * 1. The "TradingCalendar" sheet lists exceptions to the Mon-Fri week: DATE, STATUS (CLOSED | OPEN), DESCRIPTION.
+ *    Public holidays are CLOSED rows; an OPEN row marks a special weekend session.
+ * 2. Every return compares the close with the close of an anchor trading day found on the calendar:
+ *      DoD  previous trading day            MoM  same date one month earlier
+ *      WTD  last trading day of last week   YoY  same date one year earlier
+ *      MTD  last trading day of last month  YTD  last trading day of last year
+ *    (dates that fall on a closed day roll back to the trading day before).
+ * 3. The comparison close is the security's last close on or before the anchor. When that close is older
+ *    than the anchor (scraper outage, no trades) the period is listed in staleReturns.
+ */
+
+const CALENDAR_SHEET = "TradingCalendar";
+const CALENDAR_HEADERS = ["DATE", "STATUS", "DESCRIPTION"];
+
+// Days of the week the exchange is normally closed (0 = Sunday)
+const CALENDAR_WEEKEND = [0, 6];
+
+const RETURN_PERIODS = ["DoD", "WTD", "MoM", "MTD", "YoY", "YTD"];
+
+function getCalendarSheet(ss) {
+    let sheet = ss.getSheetByName(CALENDAR_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(CALENDAR_SHEET);
+        sheet.appendRow(CALENDAR_HEADERS);
+        sheet.getRange("A:A").setNumberFormat("@");
+    }
+    return sheet;
+}
+
+/**
+ * Reads the calendar exceptions into { closed: Set, open: Set } of yyyy-MM-dd strings.
+ */
+function loadTradingCalendar(ss) {
+    const calendar = { closed: new Set(), open: new Set() };
+    const values = getCalendarSheet(ss).getDataRange().getValues();
+
+    values.slice(1).forEach(row => {
+        const dateStr = formatDailyDate(row[0]);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return;
+        const status = (row[1] || "CLOSED").toString().trim().toUpperCase();
+        (status === "OPEN" ? calendar.open : calendar.closed).add(dateStr);
+    });
+    return calendar;
+}
+
+/**
+ * Date arithmetic on yyyy-MM-dd strings (UTC, so the script time zone cannot shift the day).
+ */
+function addCalendarDays(dateStr, days) {
+    const d = new Date(dateStr + "T00:00:00Z");
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().substring(0, 10);
+}
+
+/**
+ * Same day n months away, clamped to the end of shorter months (03-31 minus one month -> 02-28/29).
+ */
+function addCalendarMonths(dateStr, months) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    const target = new Date(Date.UTC(y, m - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(d, lastDay));
+    return target.toISOString().substring(0, 10);
+}
+
+function isTradingDay(calendar, dateStr) {
+    if (calendar.closed.has(dateStr)) return false;
+    if (calendar.open.has(dateStr)) return true;
+    return !CALENDAR_WEEKEND.includes(new Date(dateStr + "T00:00:00Z").getUTCDay());
+}
+
+function tradingDayOnOrBefore(calendar, dateStr) {
+    let d = dateStr;
+    // A year without a single trading day means the calendar sheet is broken, not that we should loop forever
+    for (let i = 0; i < 366; i++) {
+        if (isTradingDay(calendar, d)) return d;
+        d = addCalendarDays(d, -1);
+    }
+    throw new Error(`No trading day found in the year before ${dateStr}; check the ${CALENDAR_SHEET} sheet`);
+}
+
+/**
+ * Anchor trading day of every period in RETURN_PERIODS for a session date.
+ */
+function returnAnchors(calendar, dateStr) {
+    const weekday = new Date(dateStr + "T00:00:00Z").getUTCDay();
+    const monday = addCalendarDays(dateStr, -((weekday + 6) % 7));
+
+    return {
+        DoD: tradingDayOnOrBefore(calendar, addCalendarDays(dateStr, -1)),
+        WTD: tradingDayOnOrBefore(calendar, addCalendarDays(monday, -1)),
+        MoM: tradingDayOnOrBefore(calendar, addCalendarMonths(dateStr, -1)),
+        MTD: tradingDayOnOrBefore(calendar, addCalendarDays(dateStr.substring(0, 8) + "01", -1)),
+        YoY: tradingDayOnOrBefore(calendar, addCalendarMonths(dateStr, -12)),
+        YTD: tradingDayOnOrBefore(calendar, `${Number(dateStr.substring(0, 4)) - 1}-12-31`)
+    };
+}
+
+/**
+ * Index of the last row (sorted by DATE) dated on or before dateStr, or -1.
+ */
+function findCloseOnOrBefore(rows, dateStr) {
+    let lo = 0;
+    let hi = rows.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (rows[mid].DATE <= dateStr) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * Return of close over base close, or null when either is missing.
+ */
+function closeReturn(close, baseClose) {
+    const today = Number(close) || 0;
+    const past = Number(baseClose) || 0;
+    if (today === 0 || past === 0) return null;
+    return (today - past) / past;
+}
+
+/**
+ * Return over an arbitrary window for every security: from the last close before `from`
+ * (so the move on `from` itself is included) to the last close on or before `to` (default: latest).
+ * On rows adjusted by applyCorporateActions, return uses the adjusted closes, totalReturn includes
+ * dividends, and baseClose/close are the raw prices.
+ */
+function computePeriodReturns(data, calendar, from, to) {
+    const grouped = {};
+    data.forEach(row => {
+        if (row.SECURITY) (grouped[row.SECURITY] = grouped[row.SECURITY] || []).push(row);
+    });
+
+    const baseAnchor = tradingDayOnOrBefore(calendar, addCalendarDays(from, -1));
+    const results = [];
+
+    Object.keys(grouped).sort().forEach(security => {
+        const rows = grouped[security].sort((a, b) => a.DATE.localeCompare(b.DATE));
+        const endIdx = to ? findCloseOnOrBefore(rows, to) : rows.length - 1;
+        const baseIdx = findCloseOnOrBefore(rows, baseAnchor);
+        if (endIdx === -1 || baseIdx === -1 || baseIdx >= endIdx) return;
+
+        const end = rows[endIdx];
+        const base = rows[baseIdx];
+        const endAnchor = to ? tradingDayOnOrBefore(calendar, to) : end.DATE;
+        results.push({
+            SECURITY: security,
+            DATE: end.DATE,
+            from: from,
+            to: to || end.DATE,
+            baseDate: base.DATE,
+            baseClose: base.RAW_LAST !== undefined ? base.RAW_LAST : base.LAST,
+            close: end.RAW_LAST !== undefined ? end.RAW_LAST : end.LAST,
+            return: closeReturn(end.LAST, base.LAST),
+            totalReturn: end.TR_LAST !== undefined ? closeReturn(end.TR_LAST, base.TR_LAST) : null,
+            stale: base.DATE < baseAnchor || end.DATE < endAnchor
+        });
+    });
+    return results;
+}
+
+/**
+ * ?action=session -> the trading session schedule (exchange clock) with the calendar exceptions of the next year,
+ * so clients can tell when the market is open without asking again.
+ */
+function apiSession() {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const calendar = loadTradingCalendar(ss);
+    const tz = Session.getScriptTimeZone();
+    const now = new Date();
+    const today = Utilities.formatDate(now, tz, "yyyy-MM-dd");
+    const horizon = addCalendarDays(today, 366);
+    const upcoming = (dates) => Array.from(dates).filter(d => d >= today && d <= horizon).sort();
+
+    return {
+        data: {
+            timeZone: tz,
+            open: MARKET_SESSION.open,
+            close: MARKET_SESSION.close,
+            weekend: CALENDAR_WEEKEND,
+            closedDates: upcoming(calendar.closed),
+            openDates: upcoming(calendar.open),
+            today: today,
+            isOpen: isTradingDay(calendar, today) && isLiveSession(today, now)
+        }
+    };
+}
+
+/**
+ * ?action=returns&from=yyyy-MM-dd[&to=yyyy-MM-dd][&securities=...]
+ */
+function apiReturns(params) {
+    if (!params.from) throw new ApiError("returns needs from (and optionally to)");
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const daily = readDailyCloses(ss).filter(row => matchesSecurities(row.SECURITY, params));
+    const rows = computePeriodReturns(applyCorporateActions(daily, loadCorporateActions(ss)),
+        loadTradingCalendar(ss), params.from, params.to);
+    return paginate(rows, params);
+}
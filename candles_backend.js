@@ -0,0 +1,159 @@
+/**
+ * DSE OHLCV Candles
+ *
+ * Resamples raw ticks into open/high/low/close/volume candles at a fixed interval.
+ * Intraday intervals are built from the tick partitions; "1D" comes from DailyCloses
+ * (itself built from the raw ticks by daily_backend.js), adjusted for splits and bonus issues like the
+ * analytics (corporate_actions_backend.js), so the dashboard's indicator overlays share its price scale.
+ *
+ * Volume is per candle: the tick sheet stores cumulative day volume, so each candle's volume is
+ * the increase since the previous candle of the same session.
+ */
+
+// Interval -> bucket size in minutes ("1D" = one candle per trading day)
+const CANDLE_INTERVALS = {
+    "1m": 1,
+    "5m": 5,
+    "15m": 15,
+    "1h": 60,
+    "1D": null
+};
+
+// Default lookback for daily candles when no range is given
+const DAILY_CANDLE_LOOKBACK_DAYS = 180;
+
+/**
+ * Candles for one security.
+ * range: { date } | { from, to } | {} (latest session for intraday, last DAILY_CANDLE_LOOKBACK_DAYS for 1D)
+ */
+function getCandles(securitySymbol, interval, range) {
+    if (!Object.prototype.hasOwnProperty.call(CANDLE_INTERVALS, interval)) {
+        throw new ApiError(`interval must be one of ${Object.keys(CANDLE_INTERVALS).join(", ")}`);
+    }
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const symbol = securitySymbol.trim().toUpperCase();
+    range = range || {};
+
+    return CANDLE_INTERVALS[interval] === null ?
+        getDailyCandles(ss, symbol, range) :
+        getIntradayCandles(ss, symbol, CANDLE_INTERVALS[interval], range);
+}
+
+function getDailyCandles(ss, symbol, range) {
+    const tz = Session.getScriptTimeZone();
+    let from = range.date || range.from || null;
+    const to = range.date || range.to || null;
+    if (!from && !to) {
+        from = Utilities.formatDate(new Date(Date.now() - DAILY_CANDLE_LOOKBACK_DAYS * 86400000), tz, "yyyy-MM-dd");
+    }
+
+    // Adjusted over the whole history first: an action after the range still scales the candles in it
+    const rows = applyCorporateActions(readDailyCloses(ss).filter(row => row.SECURITY === symbol), loadCorporateActions(ss));
+    return rows
+        .filter(row => inDateRange(row.DATE, from, to))
+        .sort((a, b) => a.DATE.localeCompare(b.DATE))
+        .map(row => ({
+            date: row.DATE,
+            time: row.DATE,
+            start: new Date(row.DATE + "T00:00:00").getTime(),
+            open: row.OPEN || row.LAST,
+            high: row.HIGH || row.LAST,
+            low: row.LOW || row.LAST,
+            close: row.LAST,
+            rawClose: row.RAW_LAST,
+            adjFactor: row.ADJ_FACTOR,
+            volume: row.VOL,
+            ticks: row.TICKS
+        }));
+}
+
+function getIntradayCandles(ss, symbol, bucketMinutes, range) {
+    const tz = Session.getScriptTimeZone();
+    let from = range.date || range.from || null;
+    let to = range.date || range.to || null;
+    if (!from && !to) {
+        from = to = findLatestTickDate(ss, symbol);
+        if (!from) return [];
+    }
+    from = from || to;
+    to = to || Utilities.formatDate(new Date(), tz, "yyyy-MM-dd");
+
+    if ((new Date(to) - new Date(from)) / 86400000 >= INTRADAY_MAX_RANGE_DAYS) {
+        throw new ApiError(`intraday ranges are limited to ${INTRADAY_MAX_RANGE_DAYS} days`);
+    }
+
+    const ticks = readTickRows(ss, from, to)
+        .filter(row => (row[0] || "").toString().trim().toUpperCase() === symbol && row[3])
+        .map(row => {
+            const ts = row[3] instanceof Date ? row[3] : new Date(row[3]);
+            return { ts: ts.getTime(), date: Utilities.formatDate(ts, tz, "yyyy-MM-dd"), price: parseTickNumber(row[1]), vol: parseTickNumber(row[4]) || 0 };
+        })
+        .filter(t => !isNaN(t.ts) && t.price > 0)
+        .sort((a, b) => a.ts - b.ts);
+
+    const bucketMs = bucketMinutes * 60 * 1000;
+    const candles = [];
+    let current = null;
+    let prevCumVol = 0;
+
+    ticks.forEach(t => {
+        // Buckets are aligned to the script time zone's wall clock
+        const offsetMs = parseTzOffsetMs(Utilities.formatDate(new Date(t.ts), tz, "Z"));
+        const start = Math.floor((t.ts + offsetMs) / bucketMs) * bucketMs - offsetMs;
+        const newSession = !current || current.date !== t.date;
+
+        if (newSession || current.start !== start) {
+            // Volume before this candle: 0 at the start of a session, else where the last candle ended
+            prevCumVol = newSession ? 0 : current.cumVol;
+            current = {
+                date: t.date,
+                time: Utilities.formatDate(new Date(start), tz, "HH:mm"),
+                start: start,
+                open: t.price,
+                high: t.price,
+                low: t.price,
+                close: t.price,
+                volume: 0,
+                ticks: 0,
+                cumVol: prevCumVol,
+                sessionStart: newSession
+            };
+            candles.push(current);
+        }
+
+        current.high = Math.max(current.high, t.price);
+        current.low = Math.min(current.low, t.price);
+        current.close = t.price;
+        current.ticks++;
+        current.cumVol = Math.max(current.cumVol, t.vol);
+        current.volume = current.cumVol - prevCumVol;
+    });
+
+    return candles.map(c => {
+        const out = { ...c };
+        delete out.cumVol;
+        return out;
+    });
+}
+
+/**
+ * "+0300" -> milliseconds east of UTC.
+ */
+function parseTzOffsetMs(z) {
+    const m = (z || "").match(/^([+-])(\d{2})(\d{2})$/);
+    if (!m) return 0;
+    const ms = (parseInt(m[2], 10) * 60 + parseInt(m[3], 10)) * 60 * 1000;
+    return m[1] === "-" ? -ms : ms;
+}
+
+/**
+ * ?action=candles&security=CRDB&interval=5m[&date=|&from=&to=]
+ */
+function apiCandles(params) {
+    if (params.securities.length !== 1) throw new ApiError("candles needs exactly one security");
+    const interval = (params.raw.interval || "5m").toString();
+    const range = params.date ? { date: params.date } : { from: params.from, to: params.to };
+    const rows = getCandles(params.securities[0], interval, range)
+        .map(c => ({ SECURITY: params.securities[0], DATE: c.date, interval: interval, ...c }));
+    return paginate(rows, params);
+}
@@ -0,0 +1,175 @@
+/**
+ * DSE Market Page Scraper (Content Script)
+ *
+ * 1. Finds the live equities table on the DSE market page.
+ * 2. Maps each row to the { security, last, time, vol, bid, ask, bidQty, askQty } shape doPost expects.
+ * 3. Hands the rows to the background service worker, which posts them to the backend.
+ *
+ * parseEquitiesTable() only touches the DOM it is given, so it runs against saved HTML fixtures of the
+ * DSE page without network access: node test/content_scraper_check.js (fixtures in test/fixtures).
+ */
+
+// Header aliases as they appear on the DSE site (matched case-insensitively)
+const SCRAPER_COLUMNS = {
+    security: ["SECURITY", "SYMBOL", "COMPANY", "TICKER", "SEC", "CO."],
+    last: ["LAST", "LAST PRICE", "CLOSING PRICE", "CLOSE", "PRICE", "MARKET PRICE", "LTP"],
+    time: ["TIME", "LAST TRADE", "TRADE TIME", "UPDATED"],
+    vol: ["VOL", "VOL.", "VOLUME", "SHARES TRADED", "QTY"],
+    bid: ["BID", "BEST BID", "BUY", "BID PRICE"],
+    ask: ["ASK", "OFFER", "BEST OFFER", "SELL", "ASK PRICE", "OFFER PRICE"],
+    bidQty: ["BID QTY", "BID QUANTITY", "BUY QTY", "BID VOL", "BID_QTY"],
+    askQty: ["ASK QTY", "ASK QUANTITY", "OFFER QTY", "SELL QTY", "OFFER VOL", "ASK_QTY"]
+};
+
+const SCRAPER_WAIT_MS = 15000;
+
+/**
+ * Parses a DSE numeric cell ("1,250", "-", "") into a number, or null when empty.
+ */
+function parseMarketNumber(text) {
+    if (text === null || text === undefined) return null;
+    const str = text.toString().replace(/,/g, '').replace(/[^\d.\-]/g, '').trim();
+    if (str === '' || str === '-' || str === '.') return null;
+    const num = parseFloat(str);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Finds the equities table in a document (or any element) by its header row.
+ * Returns null when no table has at least a security and a price column.
+ */
+function findEquitiesTable(root) {
+    const tables = Array.from(root.querySelectorAll('table'));
+
+    for (const table of tables) {
+        const headerCells = getHeaderCells(table);
+        if (headerCells.length === 0) continue;
+
+        const headers = headerCells.map(c => normalizeHeader(c.textContent));
+        const map = mapColumns(headers);
+        if (map.security !== -1 && map.last !== -1) {
+            return { table, map };
+        }
+    }
+    return null;
+}
+
+function getHeaderCells(table) {
+    const theadRow = table.querySelector('thead tr');
+    if (theadRow) return Array.from(theadRow.querySelectorAll('th, td'));
+
+    const firstRow = table.querySelector('tr');
+    if (!firstRow) return [];
+    const ths = firstRow.querySelectorAll('th');
+    return ths.length > 0 ? Array.from(ths) : [];
+}
+
+function normalizeHeader(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+function mapColumns(headers) {
+    const map = {};
+    Object.keys(SCRAPER_COLUMNS).forEach(key => {
+        map[key] = headers.findIndex(h => SCRAPER_COLUMNS[key].includes(h));
+    });
+    return map;
+}
+
+/**
+ * Reads the equities table into doPost items.
+ * fallbackTime is used for rows that carry no trade time of their own.
+ */
+function parseEquitiesTable(root, fallbackTime) {
+    const found = findEquitiesTable(root);
+    if (!found) return [];
+
+    const { table, map } = found;
+    const bodyRows = table.tBodies.length > 0 ?
+        Array.from(table.tBodies).flatMap(tb => Array.from(tb.rows)) :
+        Array.from(table.rows).slice(1);
+
+    const items = [];
+    bodyRows.forEach(tr => {
+        const cells = Array.from(tr.cells);
+        // Skip header rows repeated inside tbody and spacer rows
+        if (cells.length === 0 || tr.querySelector('th')) return;
+
+        const cellText = (idx) => (idx !== -1 && cells[idx]) ? cells[idx].textContent.trim() : '';
+
+        const security = cellText(map.security).split(/\s+/)[0].toUpperCase();
+        const last = parseMarketNumber(cellText(map.last));
+        if (!security || last === null) return;
+
+        items.push({
+            security: security,
+            last: last,
+            time: cellText(map.time) || fallbackTime || '',
+            vol: parseMarketNumber(cellText(map.vol)) || 0,
+            bid: parseMarketNumber(cellText(map.bid)) || 0,
+            ask: parseMarketNumber(cellText(map.ask)) || 0,
+            bidQty: parseMarketNumber(cellText(map.bidQty)) || 0,
+            askQty: parseMarketNumber(cellText(map.askQty)) || 0
+        });
+    });
+
+    return items;
+}
+
+/**
+ * Current exchange clock (Dar es Salaam) as HH:mm:ss.
+ */
+function exchangeClock(date) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Africa/Dar_es_Salaam',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false
+    }).format(date || new Date());
+}
+
+/**
+ * The market table is rendered client-side on some DSE pages, so wait for it
+ * to appear before giving up.
+ */
+function waitForEquitiesTable(timeoutMs) {
+    return new Promise(resolve => {
+        if (findEquitiesTable(document)) return resolve(true);
+
+        const observer = new MutationObserver(() => {
+            if (findEquitiesTable(document)) {
+                observer.disconnect();
+                clearTimeout(timer);
+                resolve(true);
+            }
+        });
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            resolve(false);
+        }, timeoutMs);
+
+        observer.observe(document.body, { childList: true, subtree: true });
+    });
+}
+
+async function scrapeAndSend() {
+    const found = await waitForEquitiesTable(SCRAPER_WAIT_MS);
+    const rows = found ? parseEquitiesTable(document, exchangeClock()) : [];
+
+    chrome.runtime.sendMessage({
+        type: 'DSE_MARKET_ROWS',
+        url: location.href,
+        scrapedAt: new Date().toISOString(),
+        rows: rows
+    });
+}
+
+if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id) {
+    scrapeAndSend();
+}
+
+// Allow fixture tests to load the parser outside the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseEquitiesTable, findEquitiesTable, parseMarketNumber };
+}
@@ -0,0 +1,169 @@
+/**
+ * DSE Corporate Actions & Adjusted Prices
+ *
+ * 1. The "CorporateActions" sheet lists SECURITY, EX_DATE, TYPE, RATIO, AMOUNT, NOTE:
+ *      SPLIT     RATIO = new shares per old share ("2" or "2:1" for a 2-for-1, "1:2" for a reverse split)
+ *      BONUS     RATIO = bonus shares per share held ("1:5" or 0.2 for one bonus share per five held)
+ *      DIVIDEND  AMOUNT = cash per share (TZS)
+ * 2. Prices before an ex-date are adjusted backwards (close x factor, volume / factor), so splits and bonus
+ *    issues no longer show up as price drops. Returns, signals, risk and indicators run on these adjusted
+ *    prices; the raw prices are put back into LAST/OPEN/HIGH/LOW/VOL afterwards for display, and the
+ *    adjusted close is kept as ADJ_LAST.
+ * 3. Total returns also reinvest dividends: a second series adjusts for dividends as well
+ *    (factor (prevClose - dividend) / prevClose) and its returns are reported in totalReturns.
+ */
+
+const CORPORATE_ACTIONS_SHEET = "CorporateActions";
+const CORPORATE_ACTIONS_HEADERS = ["SECURITY", "EX_DATE", "TYPE", "RATIO", "AMOUNT", "NOTE"];
+const CORPORATE_ACTION_TYPES = ["SPLIT", "BONUS", "DIVIDEND"];
+
+// Row fields scaled by the adjustment; volume moves the other way
+const ADJUSTED_PRICE_FIELDS = ["OPEN", "HIGH", "LOW", "LAST"];
+
+function getCorporateActionsSheet(ss) {
+    let sheet = ss.getSheetByName(CORPORATE_ACTIONS_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(CORPORATE_ACTIONS_SHEET);
+        sheet.appendRow(CORPORATE_ACTIONS_HEADERS);
+        sheet.getRange("B:B").setNumberFormat("@");
+        sheet.getRange("D:D").setNumberFormat("@");
+    }
+    return sheet;
+}
+
+/**
+ * "2:1" -> 2, "1:5" -> 0.2, 0.2 -> 0.2; NaN when unreadable.
+ */
+function parseActionRatio(v) {
+    if (typeof v === 'number') return v;
+    const str = (v || "").toString().trim();
+    const m = str.match(/^([\d.]+)\s*[:\/]\s*([\d.]+)$/);
+    if (m) return parseFloat(m[1]) / parseFloat(m[2]);
+    return parseFloat(str);
+}
+
+/**
+ * Valid actions as { SECURITY, exDate, type, ratio, amount, note }, sorted by ex-date.
+ * Rows that cannot be used are logged and skipped.
+ */
+function loadCorporateActions(ss) {
+    const actions = [];
+    getCorporateActionsSheet(ss).getDataRange().getValues().slice(1).forEach((row, i) => {
+        const action = {
+            SECURITY: (row[0] || "").toString().trim().toUpperCase(),
+            exDate: formatDailyDate(row[1]),
+            type: (row[2] || "").toString().trim().toUpperCase(),
+            ratio: parseActionRatio(row[3]),
+            amount: parseTickNumber(row[4]),
+            note: (row[5] || "").toString()
+        };
+        const valid = action.SECURITY && /^\d{4}-\d{2}-\d{2}$/.test(action.exDate) &&
+            CORPORATE_ACTION_TYPES.includes(action.type) &&
+            (action.type === "DIVIDEND" ? action.amount > 0 : action.ratio > 0);
+        if (!valid) {
+            console.warn(`${CORPORATE_ACTIONS_SHEET} row ${i + 2} ignored: ${JSON.stringify(row)}`);
+            return;
+        }
+        actions.push(action);
+    });
+    return actions.sort((a, b) => a.exDate.localeCompare(b.exDate));
+}
+
+/**
+ * Price factor of one action for closes before its ex-date. Dividends need the last close before the ex-date.
+ */
+function actionFactor(action, prevClose) {
+    if (action.type === "SPLIT") return 1 / action.ratio;
+    if (action.type === "BONUS") return 1 / (1 + action.ratio);
+    if (action.type === "DIVIDEND" && prevClose > action.amount) return (prevClose - action.amount) / prevClose;
+    return 1;
+}
+
+/**
+ * Cumulative backward factors per row of one security (rows sorted by DATE):
+ * { price: splits/bonus only, total: splits/bonus and dividends }.
+ */
+function adjustmentFactors(rows, actions) {
+    const factors = rows.map(() => ({ price: 1, total: 1 }));
+    actions.forEach(action => {
+        // First row on/after the ex-date; every row before it is adjusted
+        const exIdx = rows.findIndex(r => r.DATE >= action.exDate);
+        if (exIdx <= 0) return;
+        const prevClose = Number(rows[exIdx - 1].LAST) || 0;
+        const f = actionFactor(action, prevClose);
+        for (let i = 0; i < exIdx; i++) {
+            if (action.type !== "DIVIDEND") factors[i].price *= f;
+            factors[i].total *= f;
+        }
+    });
+    return factors;
+}
+
+/**
+ * Rewrites daily rows to adjusted prices in place, keeping the raw values in RAW_* fields.
+ * Each row also gets ADJ_FACTOR and TR_LAST (dividend-reinvested close) for computeTotalReturns.
+ */
+function applyCorporateActions(dailyRows, actions) {
+    const bySecurity = {};
+    actions.forEach(a => (bySecurity[a.SECURITY] = bySecurity[a.SECURITY] || []).push(a));
+
+    const grouped = {};
+    dailyRows.forEach(row => {
+        if (row.SECURITY) (grouped[row.SECURITY] = grouped[row.SECURITY] || []).push(row);
+    });
+
+    Object.keys(grouped).forEach(security => {
+        const rows = grouped[security].sort((a, b) => a.DATE.localeCompare(b.DATE));
+        const factors = adjustmentFactors(rows, bySecurity[security] || []);
+
+        rows.forEach((row, i) => {
+            const f = factors[i];
+            ADJUSTED_PRICE_FIELDS.concat(["VOL"]).forEach(field => { row["RAW_" + field] = row[field]; });
+            ADJUSTED_PRICE_FIELDS.forEach(field => { row[field] = (Number(row[field]) || 0) * f.price; });
+            row.VOL = f.price > 0 ? (Number(row.VOL) || 0) / f.price : row.VOL;
+            row.ADJ_FACTOR = f.price;
+            row.TR_LAST = (Number(row.RAW_LAST) || 0) * f.total;
+        });
+    });
+    return dailyRows;
+}
+
+/**
+ * Dividend-inclusive returns (same periods and calendar as computeReturns) into row.totalReturns.
+ */
+function computeTotalReturns(rows, calendar) {
+    const shadow = rows.map(row => ({ SECURITY: row.SECURITY, DATE: row.DATE, LAST: row.TR_LAST, source: row }));
+    computeReturns(shadow, calendar);
+    shadow.forEach(s => {
+        s.source.totalReturns = {};
+        RETURN_PERIODS.forEach(p => { s.source.totalReturns[p] = s[p]; });
+    });
+    return rows;
+}
+
+/**
+ * Puts the raw prices back for display once every computation has run on the adjusted ones.
+ */
+function restoreRawPrices(rows) {
+    rows.forEach(row => {
+        if (row.RAW_LAST === undefined) return;
+        row.ADJ_LAST = parseFloat(row.LAST.toFixed(4));
+        ADJUSTED_PRICE_FIELDS.concat(["VOL"]).forEach(field => {
+            row[field] = row["RAW_" + field];
+            delete row["RAW_" + field];
+        });
+        delete row.TR_LAST;
+    });
+    return rows;
+}
+
+/**
+ * ?action=corporate-actions[&securities=...][&from=&to=] -> actions by ex-date.
+ */
+function apiCorporateActions(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const rows = loadCorporateActions(ss)
+        .filter(a => matchesSecurities(a.SECURITY, params) && inDateRange(a.exDate, params.from, params.to))
+        .map(a => ({ SECURITY: a.SECURITY, DATE: a.exDate, type: a.type, ratio: a.ratio, amount: a.amount, note: a.note }));
+    return paginate(rows, params);
+}
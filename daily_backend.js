@@ -0,0 +1,234 @@
+/**
+ * DSE Daily Close Table
+ *
+ * 1. Keeps one row per security per day (open/high/low/close/volume) in the "DailyCloses" sheet.
+ * 2. doPost folds every accepted tick batch into it, so analytics never re-scan the raw tick sheet. Where each
+ *    day's rows sit is cached (CacheService), so a batch only reads and writes the rows it touches.
+ * 3. rebuildDailyCloses() regenerates the whole table from raw ticks (run from the editor after repairs).
+ */
+
+const DAILY_SHEET = "DailyCloses";
+// UPDATED is when the row last changed; delta sync (api_backend.js) compares it with the client's version
+const DAILY_HEADERS = ["DATE", "SECURITY", "OPEN", "HIGH", "LOW", "CLOSE", "VOLUME", "TIMESTAMP", "TICKS", "OPEN_TIME", "CLOSE_TIME", "UPDATED"];
+const DAILY_COL = DAILY_HEADERS.reduce((acc, h, i) => { acc[h] = i; return acc; }, {});
+// "dailyIndex_<date>" -> { SECURITY: sheet row }, valid while the sheet still ends at "dailyLastRow"
+const DAILY_INDEX_CACHE_PREFIX = "dailyIndex_";
+const DAILY_LAST_ROW_CACHE_KEY = "dailyLastRow";
+const DAILY_INDEX_TTL_SECONDS = 6 * 60 * 60;
+
+function getDailySheet(ss) {
+    let sheet = ss.getSheetByName(DAILY_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(DAILY_SHEET);
+        sheet.appendRow(DAILY_HEADERS);
+        // DATE and the clock columns stay text so Sheets does not reinterpret them
+        sheet.getRange("A:A").setNumberFormat("@");
+        sheet.getRange("J:K").setNumberFormat("@");
+    } else if (sheet.getLastColumn() < DAILY_HEADERS.length) {
+        // Tables created before a column was added get the new header
+        sheet.getRange(1, 1, 1, DAILY_HEADERS.length).setValues([DAILY_HEADERS]);
+    }
+    return sheet;
+}
+
+function formatDailyDate(v) {
+    if (v instanceof Date) return Utilities.formatDate(v, Session.getScriptTimeZone(), "yyyy-MM-dd");
+    return (v || "").toString().trim();
+}
+
+function dailyKey(security, dateStr) {
+    return `${security}_${dateStr}`;
+}
+
+/**
+ * Reads DailyCloses into the row shape computeReturns/computeMarketSignals expect
+ * (LAST = close, VOL = cumulative day volume).
+ */
+function readDailyCloses(ss) {
+    const values = getDailySheet(ss).getDataRange().getValues();
+    if (values.length < 2) return [];
+
+    return values.slice(1)
+        .filter(row => row[DAILY_COL.SECURITY])
+        .map(row => ({
+            SECURITY: row[DAILY_COL.SECURITY].toString().trim().toUpperCase(),
+            DATE: formatDailyDate(row[DAILY_COL.DATE]),
+            OPEN: Number(row[DAILY_COL.OPEN]) || 0,
+            HIGH: Number(row[DAILY_COL.HIGH]) || 0,
+            LOW: Number(row[DAILY_COL.LOW]) || 0,
+            LAST: Number(row[DAILY_COL.CLOSE]) || 0,
+            VOL: Number(row[DAILY_COL.VOLUME]) || 0,
+            TIMESTAMP: row[DAILY_COL.TIMESTAMP],
+            TICKS: Number(row[DAILY_COL.TICKS]) || 0,
+            UPDATED: row[DAILY_COL.UPDATED] || row[DAILY_COL.TIMESTAMP]
+        }));
+}
+
+/**
+ * Sheet rows of the given days from the cache ({ key: row number }), or null when any day is missing or the
+ * sheet has grown or shrunk since the cache was written.
+ */
+function readCachedDailyIndex(dates, lastRow) {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.getAll([DAILY_LAST_ROW_CACHE_KEY].concat(dates.map(d => DAILY_INDEX_CACHE_PREFIX + d)));
+    if (Number(cached[DAILY_LAST_ROW_CACHE_KEY]) !== lastRow) return null;
+
+    const index = {};
+    for (const date of dates) {
+        const rows = cached[DAILY_INDEX_CACHE_PREFIX + date];
+        if (!rows) return null;
+        Object.entries(JSON.parse(rows)).forEach(([security, rowNumber]) => { index[dailyKey(security, date)] = rowNumber; });
+    }
+    return index;
+}
+
+function writeCachedDailyIndex(index, dates, lastRow) {
+    const byDate = {};
+    dates.forEach(d => { byDate[d] = {}; });
+    Object.entries(index).forEach(([key, rowNumber]) => {
+        const sep = key.lastIndexOf("_");
+        const date = key.slice(sep + 1);
+        if (byDate[date]) byDate[date][key.slice(0, sep)] = rowNumber;
+    });
+
+    const entries = { [DAILY_LAST_ROW_CACHE_KEY]: String(lastRow) };
+    Object.keys(byDate).forEach(d => { entries[DAILY_INDEX_CACHE_PREFIX + d] = JSON.stringify(byDate[d]); });
+    CacheService.getScriptCache().putAll(entries, DAILY_INDEX_TTL_SECONDS);
+}
+
+/**
+ * The stored rows the ticks touch, as { index: key -> row number, rows: row number -> values }.
+ * Reads only the block between the first and last touched row when the cached index covers the batch's days
+ * (and the rows found there still carry the expected keys); otherwise reads the whole sheet once.
+ */
+function loadDailyRowsFor(sheet, ticks) {
+    const lastRow = sheet.getLastRow();
+    const dates = Array.from(new Set(ticks.map(t => t.date)));
+    const index = readCachedDailyIndex(dates, lastRow);
+
+    if (index) {
+        const numbers = Array.from(new Set(ticks.map(t => index[dailyKey(t.security, t.date)]).filter(n => n)));
+        if (numbers.length === 0) return { index: index, rows: {}, lastRow: lastRow, dates: dates };
+
+        const first = Math.min(...numbers);
+        const block = sheet.getRange(first, 1, Math.max(...numbers) - first + 1, DAILY_HEADERS.length).getValues();
+        const rows = {};
+        const consistent = numbers.every(n => {
+            const row = block[n - first];
+            rows[n] = row;
+            return index[dailyKey((row[DAILY_COL.SECURITY] || "").toString().trim().toUpperCase(), formatDailyDate(row[DAILY_COL.DATE]))] === n;
+        });
+        if (consistent) return { index: index, rows: rows, lastRow: lastRow, dates: dates };
+    }
+
+    const values = sheet.getDataRange().getValues();
+    const fullIndex = {};
+    const rows = {};
+    for (let i = 1; i < values.length; i++) {
+        const sec = (values[i][DAILY_COL.SECURITY] || "").toString().trim().toUpperCase();
+        if (!sec) continue;
+        fullIndex[dailyKey(sec, formatDailyDate(values[i][DAILY_COL.DATE]))] = i + 1;
+        rows[i + 1] = values[i];
+    }
+    return { index: fullIndex, rows: rows, lastRow: values.length, dates: dates };
+}
+
+/**
+ * Folds freshly ingested ticks ({ security, date, time, last, vol, timestamp }) into DailyCloses.
+ * Only the touched rows are read and rewritten; new security/day pairs are appended in one write.
+ * The caller (doPost) holds the script lock across the tick write, this update and the version bump.
+ */
+function updateDailyCloses(ss, ticks) {
+    if (!ticks || ticks.length === 0) return { updated: 0, added: 0 };
+
+    const sheet = getDailySheet(ss);
+    const { index, rows, lastRow, dates } = loadDailyRowsFor(sheet, ticks);
+
+    const touched = new Set();
+    const added = [];
+
+    ticks.forEach(t => {
+        const key = dailyKey(t.security, t.date);
+        let row;
+        if (index[key] !== undefined) {
+            row = rows[index[key]];
+            if (index[key] <= lastRow) touched.add(index[key]);
+        } else {
+            row = [t.date, t.security, t.last, t.last, t.last, t.last, t.vol, t.timestamp, 0, t.time, t.time, t.timestamp];
+            index[key] = lastRow + added.length + 1;
+            rows[index[key]] = row;
+            added.push(row);
+        }
+
+        const openTime = formatTickClock(row[DAILY_COL.OPEN_TIME]);
+        const closeTime = formatTickClock(row[DAILY_COL.CLOSE_TIME]);
+
+        if (t.time < openTime) {
+            row[DAILY_COL.OPEN] = t.last;
+            row[DAILY_COL.OPEN_TIME] = t.time;
+        }
+        if (t.time >= closeTime) {
+            row[DAILY_COL.CLOSE] = t.last;
+            row[DAILY_COL.CLOSE_TIME] = t.time;
+            row[DAILY_COL.TIMESTAMP] = t.timestamp;
+        }
+        row[DAILY_COL.HIGH] = Math.max(Number(row[DAILY_COL.HIGH]) || 0, t.last);
+        row[DAILY_COL.LOW] = Math.min(Number(row[DAILY_COL.LOW]) || t.last, t.last);
+        row[DAILY_COL.VOLUME] = Math.max(Number(row[DAILY_COL.VOLUME]) || 0, t.vol);
+        row[DAILY_COL.TICKS] = (Number(row[DAILY_COL.TICKS]) || 0) + 1;
+        row[DAILY_COL.UPDATED] = t.timestamp;
+    });
+
+    // Today's rows sit together at the bottom, so one block write usually covers every update;
+    // rows in between that are not in memory are written back as read
+    if (touched.size > 0) {
+        const first = Math.min(...touched);
+        const last = Math.max(...touched);
+        const range = sheet.getRange(first, 1, last - first + 1, DAILY_HEADERS.length);
+        const block = last - first + 1 === touched.size ? [] : range.getValues();
+        for (let n = first; n <= last; n++) {
+            if (touched.has(n)) block[n - first] = rows[n];
+        }
+        range.setValues(block);
+    }
+    if (added.length > 0) {
+        sheet.getRange(lastRow + 1, 1, added.length, DAILY_HEADERS.length).setValues(added);
+    }
+    writeCachedDailyIndex(index, dates, lastRow + added.length);
+
+    return { updated: touched.size, added: added.length };
+}
+
+/**
+ * Regenerates DailyCloses from the raw tick sheet. Holds the script lock throughout, so no ingest lands
+ * between reading the ticks and publishing the new version.
+ */
+function rebuildDailyCloses() {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const tz = Session.getScriptTimeZone();
+    const clock = (ms) => ms ? Utilities.formatDate(new Date(ms), tz, "HH:mm:ss") : "";
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    let rows;
+    try {
+        const now = new Date();
+        rows = aggregateDailyCloses(loadRawTickRows(ss))
+            .sort((a, b) => a.DATE.localeCompare(b.DATE) || a.SECURITY.localeCompare(b.SECURITY))
+            .map(d => [d.DATE, d.SECURITY, d.OPEN, d.HIGH, d.LOW, d.LAST, d.VOL, d.TIMESTAMP, d.TICKS, clock(d._openTime), clock(d._time), now]);
+
+        const sheet = getDailySheet(ss);
+        CacheService.getScriptCache().remove(DAILY_LAST_ROW_CACHE_KEY);
+        sheet.clearContents();
+        sheet.getRange(1, 1, 1, DAILY_HEADERS.length).setValues([DAILY_HEADERS]);
+        if (rows.length > 0) sheet.getRange(2, 1, rows.length, DAILY_HEADERS.length).setValues(rows);
+
+        // Every row changed, so every client must resync in full
+        publishDataVersion(now, 0);
+    } finally {
+        lock.releaseLock();
+    }
+
+    console.log(`DailyCloses rebuilt: ${rows.length} security-days.`);
+    return rows.length;
+}
@@ -1,10 +1,70 @@
-const BACKEND_URL = "https://script.google.com/macros/s/AKfycbyGbGdLL8_VyfL-y9v7wFlQSEuGMHETics49oehlZud7ajn-QP_9Lo_DTZWbBh0UY8h/exec";
+// apiGet, the session and profile helpers come from api_client.js; the session schedule from market_hours.js
 
 let allMarketData = [];
 let mainChart = null;
+let indexChart = null;
+// Signal label -> badge name or colour, from the backend's rule definitions
+let signalBadges = {};
+// The badge forms signals_backend.js accepts; badges end up in class and style attributes
+const BADGE_NAME_PATTERN = /^[a-z]+$/;
+const BADGE_COLOUR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+let selectedSymbol = null;
+// {} = live/latest session, { date } = one past session, { from, to } = multi-day replay
+let chartRange = {};
+// 'line' = intraday price line, otherwise a candle interval (1m, 5m, 15m, 1h, 1D)
+let chartInterval = 'line';
+let showVwap = false;
+// Indicator lengths requested from the backend (indicators_backend.js); drawn on the 1D chart
+const INDICATOR_CONFIG = { sma: [20, 50], ema: [12, 26] };
+const activeIndicators = new Set();
+// Last candle chart drawn, so indicator toggles redraw without fetching anything
+let lastCandleChart = null;
+// 'market' = every security, 'watchlist' = members of activeWatchlist (watchlists.js)
+let activeView = 'market';
+let watchlists = {};
+let activeWatchlist = null;
+let portfolioChart = null;
+// What the export buttons download: the rows on screen and the chart's underlying history
+let lastTableRows = [];
+let lastMovers = [];
+let lastChartExport = null;
+// SECURITY -> { tr, html, values }, so a refresh updates table rows in place and flashes what changed
+const tableRows = new Map();
+// Auto-refresh: every AUTO_REFRESH_OPEN_MS while the session is open; when closed, waits for the next open
+// but looks again at least every AUTO_REFRESH_CLOSED_MS (the schedule or calendar may change)
+const AUTO_REFRESH_OPEN_MS = 60 * 1000;
+const AUTO_REFRESH_CLOSED_MS = 15 * 60 * 1000;
+const AUTO_REFRESH_PAUSED_STORAGE_KEY = "autoRefreshPaused";
+let autoRefreshTimer = null;
+let autoRefreshPaused = false;
+let autoRefreshWasOpen = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('signOut').addEventListener('click', async () => {
+        await signOut();
+        window.location.href = 'index.html';
+    });
+
+    if (!(await getSession())) {
+        redirectToLogin();
+        return;
+    }
+
+    const display = await getDisplayPreferences();
+    applyDisplayPreferences(display);
 
-document.addEventListener('DOMContentLoaded', () => {
     fetchMarketData();
+    fetchMarketSummary();
+    fetchSignalDefinitions();
+    document.getElementById('loadBacktest').addEventListener('click', fetchBacktest);
+    setupChartControls();
+    setupAlertsPanel();
+    await setupWatchlists();
+    setupPortfolio();
+    setupExports();
+    setupAutoRefresh();
+    setupProfiles();
+    if (display.defaultView !== 'market') showView(display.defaultView);
 
     // Setup Search
     document.getElementById('marketSearch').addEventListener('input', (e) => {
@@ -12,34 +72,93 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+function redirectToLogin() {
+    window.location.href = 'index.html';
+}
+
+/**
+ * The active profile's chart defaults (options.html); the view is applied once the watchlists are loaded.
+ */
+function applyDisplayPreferences(display) {
+    chartInterval = display.chartInterval;
+    showVwap = display.showVwap;
+    document.querySelectorAll('#chartModes button').forEach(b => b.classList.toggle('active', b.dataset.interval === chartInterval));
+    document.getElementById('chartVwap').classList.toggle('active', showVwap);
+}
+
+/**
+ * Header profile switcher. Switching signs in to the other backend (with the profile's stored key) and reloads;
+ * without a stored key the login page asks for one.
+ */
+async function setupProfiles() {
+    document.getElementById('navSettings').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    const profiles = await getProfiles();
+    const select = document.getElementById('profileSelect');
+    if (profiles.length === 0) return;
+
+    const active = await getActiveProfile();
+    select.replaceChildren(...profiles.map(p => new Option(p.name, p.id)));
+    select.value = active.id;
+    select.style.display = 'block';
+
+    select.addEventListener('change', async () => {
+        select.disabled = true;
+        try {
+            if (!(await switchProfile(select.value))) return redirectToLogin();
+            window.location.reload();
+        } catch (err) {
+            // The previous profile's session is untouched, so stay on it
+            const syncEl = document.getElementById('lastSync');
+            syncEl.textContent = `⚠️ Could not sign in to ${select.options[select.selectedIndex].text}: ${err.message}`;
+            syncEl.style.color = "var(--accent-red)";
+            select.value = active.id;
+            select.disabled = false;
+        }
+    });
+}
+
 async function fetchMarketData() {
     const syncEl = document.getElementById('lastSync');
     try {
         syncEl.textContent = "Updating Market Map...";
         syncEl.style.color = "var(--text-secondary)";
 
-        console.log("Fetching from:", BACKEND_URL);
-        const response = await fetch(BACKEND_URL);
-
-        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+        // Stale-while-revalidate: the last snapshot synced on this machine is shown at once
+        if (allMarketData.length === 0) {
+            const cached = await readCachedSnapshot();
+            if (cached && cached.rows && cached.rows.length > 0) {
+                applyMarketData(cached.rows);
+                syncEl.textContent = `🕘 ${describeCachedAt(cached.savedAt)} · updating...`;
+            }
+        }
 
-        const json = await response.json();
+        console.log("Fetching from:", await getBackendUrl());
+        // The snapshot action returns only the newest row per security, delta-synced against the last version
+        const json = await syncSnapshot();
         console.log("Data received:", json);
 
         if (json.status === "success" && json.data && json.data.length > 0) {
-            allMarketData = getLatestPerSecurity(json.data);
-            console.log("Processed data:", allMarketData);
-            renderDashboard();
-            hideLoader();
-            updateLastSync();
+            console.log("Processed data:", json.data);
+            applyMarketData(json.data);
+            if (json.cached) {
+                // Backend unreachable or over quota: read-only on the cached copy
+                syncEl.textContent = `⚠️ Offline · ${describeCachedAt(json.cachedAt)}`;
+                syncEl.style.color = "#f59e0b";
+                syncEl.title = json.error || '';
+            } else {
+                updateLastSync();
+            }
         } else {
-            const msg = json.message || (json.data && json.data.length === 0 ? "No data found in your spreadsheet" : "Invalid data format");
+            // OFFLINE: the backend is unreachable and nothing is cached yet
+            const msg = json.code === "OFFLINE" ? "Connection Failed" : json.message || (json.data && json.data.length === 0 ? "No data found in your spreadsheet" : "Invalid data format");
             syncEl.textContent = "⚠️ " + msg;
             syncEl.style.color = "var(--accent-red)";
             console.error("Data Error:", msg);
             hideLoader();
         }
     } catch (err) {
+        if (err instanceof AuthRequiredError) return redirectToLogin();
         console.error("Fetch Error:", err);
         syncEl.textContent = "⚠️ Connection Failed";
         syncEl.style.color = "var(--accent-red)";
@@ -47,59 +166,299 @@ async function fetchMarketData() {
     }
 }
 
+/**
+ * Breadth and index history (market_backend.js) for the summary strip and the index chart.
+ */
+async function fetchMarketSummary() {
+    try {
+        const json = await apiGetAll({ action: 'market' });
+        if (json.status !== "success" || !json.data || json.data.length === 0) return;
+        renderMarketSummary(json.data);
+    } catch (err) {
+        if (err instanceof AuthRequiredError) return redirectToLogin();
+        console.error("Market summary error:", err);
+    }
+}
+
+function renderMarketSummary(days) {
+    const latest = days[days.length - 1];
+    const setText = (id, text, cls) => {
+        const el = document.getElementById(id);
+        el.textContent = text;
+        if (cls !== undefined) el.className = cls;
+    };
+
+    setText('stripIndex', latest.index !== null ? latest.index.toLocaleString() : '-');
+    setText('stripIndexChange', `${formatPercent(latest.DoD)} today`, getColorClass(latest.DoD));
+    setText('stripBreadth', `${latest.advancers} / ${latest.decliners}`);
+    setText('stripUnchanged', `${latest.unchanged} unchanged`);
+    setText('stripExtremes', `${latest.newHighs} / ${latest.newLows}`);
+    setText('stripTurnover', latest.turnover.toLocaleString());
+    setText('stripVolume', `Vol: ${latest.volume.toLocaleString()}`);
+    setText('stripIndexPeriods', `${formatPercent(latest.MoM)} / ${formatPercent(latest.YoY)}`);
+    setText('stripDate', `as of ${latest.DATE}`);
+    document.getElementById('marketSummary').style.display = 'grid';
+
+    const indexed = days.filter(d => d.index !== null);
+    if (indexed.length < 2) return;
+    document.getElementById('indexCard').style.display = 'block';
+
+    // Auto-refresh redraws without animating again
+    const redraw = !!indexChart;
+    if (indexChart) indexChart.destroy();
+    indexChart = new Chart(document.getElementById('indexChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: indexed.map(d => d.DATE),
+            datasets: [{
+                label: 'Index',
+                data: indexed.map(d => d.index),
+                borderColor: '#38bdf8',
+                backgroundColor: 'rgba(56, 189, 248, 0.08)',
+                borderWidth: 1.5,
+                fill: true,
+                tension: 0.2,
+                pointRadius: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: redraw ? false : undefined,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    backgroundColor: '#1e293b',
+                    callbacks: {
+                        label: function (context) {
+                            const d = indexed[context.dataIndex];
+                            return [
+                                `Index: ${d.index.toLocaleString()} (${formatPercent(d.DoD)})`,
+                                `Adv/Dec: ${d.advancers}/${d.decliners}`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: { grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#94a3b8', font: { size: 9 } } },
+                x: { grid: { display: false }, ticks: { color: '#94a3b8', font: { size: 9 }, maxTicksLimit: 6 } }
+            }
+        }
+    });
+}
+
+function applyMarketData(rows) {
+    allMarketData = rows;
+    renderDashboard();
+    hideLoader();
+    document.getElementById('securityOptions').innerHTML = allMarketData
+        .map(row => `<option value="${row.SECURITY}">`).join('');
+    openLinkedSecurity();
+}
+
+/**
+ * dashboard.html?security=SYM (alert notifications link here) selects that security once the data is in.
+ */
+function openLinkedSecurity() {
+    const symbol = new URLSearchParams(window.location.search).get('security');
+    if (!symbol || selectedSymbol) return;
+    if (allMarketData.some(row => row.SECURITY === symbol.toUpperCase())) selectSecurity(symbol.toUpperCase());
+}
+
 function hideLoader() {
     document.getElementById('loader').style.display = 'none';
 }
 
 function updateLastSync() {
-    document.getElementById('lastSync').textContent = "Last sync: " + new Date().toLocaleTimeString();
+    const syncEl = document.getElementById('lastSync');
+    syncEl.textContent = "Last sync: " + new Date().toLocaleTimeString();
+    syncEl.style.color = "var(--text-secondary)";
+    syncEl.title = '';
+}
+
+async function setupAutoRefresh() {
+    autoRefreshPaused = !!(await chrome.storage.local.get(AUTO_REFRESH_PAUSED_STORAGE_KEY))[AUTO_REFRESH_PAUSED_STORAGE_KEY];
+    autoRefreshWasOpen = isMarketOpen(await loadMarketSchedule());
+
+    document.getElementById('autoRefreshToggle').addEventListener('click', async () => {
+        autoRefreshPaused = !autoRefreshPaused;
+        await chrome.storage.local.set({ [AUTO_REFRESH_PAUSED_STORAGE_KEY]: autoRefreshPaused });
+        // Resuming catches up at once
+        if (!autoRefreshPaused) await refreshDashboard();
+        scheduleAutoRefresh();
+    });
+    scheduleAutoRefresh();
+}
+
+async function scheduleAutoRefresh() {
+    if (autoRefreshPaused) {
+        clearTimeout(autoRefreshTimer);
+        renderAutoRefreshState(null);
+        return;
+    }
+
+    const untilOpen = msUntilMarketOpen(await loadMarketSchedule());
+    const delay = untilOpen === 0 ? AUTO_REFRESH_OPEN_MS :
+        Math.min(Math.max(untilOpen ?? AUTO_REFRESH_CLOSED_MS, AUTO_REFRESH_OPEN_MS), AUTO_REFRESH_CLOSED_MS);
+    // Cleared after the await, so overlapping calls leave a single timer
+    clearTimeout(autoRefreshTimer);
+    autoRefreshTimer = setTimeout(runAutoRefresh, delay);
+    renderAutoRefreshState(untilOpen === 0, delay);
+}
+
+async function runAutoRefresh() {
+    const open = isMarketOpen(await loadMarketSchedule());
+    // One more pass after the close picks up the closing prices
+    if (open || autoRefreshWasOpen) await refreshDashboard();
+    autoRefreshWasOpen = open;
+    scheduleAutoRefresh();
+}
+
+/**
+ * Re-syncs the snapshot and market summary, and the chart when it shows the live session.
+ * The selection, search and view stay as they are.
+ */
+async function refreshDashboard() {
+    await Promise.all([fetchMarketData(), fetchMarketSummary()]);
+    // Past sessions and daily candles don't change during the day
+    if (selectedSymbol && !chartRange.date && !chartRange.from && chartInterval !== '1D') {
+        await selectSecurity(selectedSymbol, true);
+    }
+}
+
+function renderAutoRefreshState(open, delay) {
+    const button = document.getElementById('autoRefreshToggle');
+    const info = document.getElementById('autoRefreshInfo');
+    button.textContent = autoRefreshPaused ? '▶ Resume' : '⏸ Pause';
+    button.classList.toggle('active', autoRefreshPaused);
+
+    if (autoRefreshPaused) {
+        info.textContent = 'Auto-refresh paused';
+    } else if (open) {
+        info.textContent = `Live · every ${Math.round(AUTO_REFRESH_OPEN_MS / 1000)}s`;
+    } else {
+        const next = new Date(Date.now() + delay).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+        info.textContent = `Market closed · next check ${next}`;
+    }
 }
 
 function renderDashboard() {
-    renderMainTable(allMarketData);
-    renderMovers(allMarketData);
+    const data = visibleMarketData();
+    const query = document.getElementById('marketSearch').value;
+    renderMainTable(query ? data.filter(item => item.SECURITY.toLowerCase().includes(query.toLowerCase())) : data);
+    renderMovers(data);
+    renderWatchlistSummary(activeView === 'watchlist' ? data : null);
 }
 
+/**
+ * Rows of the current view: every security, or the members of the selected watchlist.
+ */
+function visibleMarketData() {
+    if (activeView !== 'watchlist') return allMarketData;
+    const members = new Set(watchlists[activeWatchlist] || []);
+    return allMarketData.filter(row => members.has(row.SECURITY));
+}
+
+/**
+ * Rows are kept per security and reused: only rows whose content changed are rewritten, and the cells whose
+ * value moved flash green or red (neutral for a new signal).
+ */
 function renderMainTable(data) {
     const tbody = document.getElementById('marketBody');
-    tbody.innerHTML = '';
+    lastTableRows = data;
+
+    if (data.length === 0 && activeView === 'watchlist') {
+        tbody.innerHTML = '<tr><td colspan="6" class="neutral"></td></tr>';
+        tbody.querySelector('td').textContent =
+            `No securities here yet. Star rows on the Market Dashboard to add them to ${activeWatchlist || DEFAULT_WATCHLIST}.`;
+        return;
+    }
 
     // Alphabetical sort
     const sorted = [...data].sort((a, b) => a.SECURITY.localeCompare(b.SECURITY));
+    const shown = new Set();
 
     sorted.forEach(row => {
-        const tr = document.createElement('tr');
-        tr.className = 'clickable';
-        tr.onclick = () => selectSecurity(row.SECURITY);
+        let entry = tableRows.get(row.SECURITY);
+        if (!entry) {
+            const tr = document.createElement('tr');
+            tr.className = 'clickable';
+            tr.onclick = () => selectSecurity(row.SECURITY);
+            entry = { tr: tr, html: null, values: null };
+            tableRows.set(row.SECURITY, entry);
+        }
+        const tr = entry.tr;
+        const watched = (watchlists[activeWatchlist || DEFAULT_WATCHLIST] || []).includes(row.SECURITY);
 
         const rvol = row.rvol ? row.rvol.toFixed(2) : '-';
 
-        // Priority: Hype/Breakout > Momentum
-        let displaySignal = row.momentumSignal || 'NEUTRAL';
-        if (row.hypeRisk && row.hypeRisk !== 'NORMAL') {
-            displaySignal = row.hypeRisk;
-        }
+        // The backend picks the signal to show by rule priority (signals_backend.js)
+        const displaySignal = (row.displaySignal ?? row.momentumSignal ?? 'NEUTRAL').toString();
 
         const score = row.tradeScore || 0;
         const scoreClass = score > 0 ? 'score-positive' : (score < 0 ? 'score-negative' : 'score-neutral');
-        const sigClass = getSignalClass(displaySignal);
+        const sigClass = getSignalClass(displaySignal, row.signalBadge);
+        const sigStyle = getSignalStyle(displaySignal, row.signalBadge);
 
-        tr.innerHTML = `
+        const html = `
             <td style="border-left: 4px solid ${score > 3 ? 'var(--accent-green)' : 'transparent'};">
-                <div style="font-weight: 700;">${row.SECURITY}</div>
-                <div style="font-size: 0.7rem; color: var(--text-secondary);">${row.TIMESTAMP ? row.TIMESTAMP.toString().split(' ')[0] : ''}</div>
+                <div style="font-weight: 700;"><button class="star-btn ${watched ? 'on' : ''}">${watched ? '★' : '☆'}</button>${row.SECURITY}</div>
+                <div style="font-size: 0.7rem; color: var(--text-secondary);">${row.DATE || (row.TIMESTAMP ? row.TIMESTAMP.toString().split('T')[0] : '')}</div>
             </td>
-            <td><strong>${row.LAST || '-'}</strong></td>
-            <td class="${getColorClass(row.DoD)}">${formatPercent(row.DoD)}</td>
-            <td style="color: ${parseFloat(rvol) > 1.5 ? 'var(--accent-blue)' : 'var(--text-secondary)'}">
+            <td data-field="LAST"><strong>${row.LAST || '-'}</strong></td>
+            <td data-field="DoD" class="${getColorClass(row.DoD)}">${formatPercent(row.DoD)}${staleMark(row, 'DoD')}</td>
+            <td data-field="rvol" style="color: ${parseFloat(rvol) > 1.5 ? 'var(--accent-blue)' : 'var(--text-secondary)'}">
                 ${rvol}x
                 <div style="font-size: 0.65rem; opacity: 0.6;">RVOL</div>
             </td>
-            <td><span class="badge ${sigClass}">${displaySignal.replace('_', ' ')}</span></td>
-            <td><div class="score-box ${scoreClass}">${score}</div></td>
+            <td data-field="signal"><span class="badge ${sigClass}" style="${sigStyle}"></span></td>
+            <td data-field="score"><div class="score-box ${scoreClass}">${score}</div></td>
         `;
+        const values = { LAST: row.LAST, DoD: row.DoD, rvol: row.rvol, signal: displaySignal, score: score };
+
+        if (html !== entry.html) {
+            tr.innerHTML = html;
+            tr.querySelector('.star-btn').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const listName = activeWatchlist || DEFAULT_WATCHLIST;
+                try {
+                    await toggleWatchlistMember(listName, row.SECURITY);
+                } catch (err) {
+                    alert(`Could not update ${listName}: ${err.message}`);
+                    return;
+                }
+                await loadWatchlists();
+                renderDashboard();
+            });
+            if (entry.values) flashChangedCells(tr, entry.values, values);
+            entry.html = html;
+        }
+        // List names and signal labels are user input, so they stay out of the html
+        tr.querySelector('.star-btn').title = `${watched ? 'Remove from' : 'Add to'} ${activeWatchlist || DEFAULT_WATCHLIST}`;
+        tr.querySelector('[data-field="signal"] .badge').textContent = displaySignal.replace(/_/g, ' ');
+        entry.values = values;
+        shown.add(tr);
+        // Appending an attached row moves it, so the rows end up in sorted order
         tbody.appendChild(tr);
     });
+
+    // Rows filtered out (search, watchlist) or the empty-watchlist note
+    Array.from(tbody.children).forEach(tr => {
+        if (!shown.has(tr)) tr.remove();
+    });
+}
+
+function flashChangedCells(tr, before, after) {
+    Object.keys(after).forEach(field => {
+        if (before[field] === after[field]) return;
+        const cell = tr.querySelector(`[data-field="${field}"]`);
+        const delta = typeof after[field] === 'number' && typeof before[field] === 'number' ? after[field] - before[field] : 0;
+        // Restarts the animation on the fresh cell
+        cell.classList.add(delta > 0 ? 'flash-up' : (delta < 0 ? 'flash-down' : 'flash'));
+    });
 }
 
 function renderMovers(data) {
@@ -108,6 +467,7 @@ function renderMovers(data) {
 
     // Sort by absolute DoD change
     const movers = [...data].sort((a, b) => Math.abs(b.DoD || 0) - Math.abs(a.DoD || 0)).slice(0, 5);
+    lastMovers = movers;
 
     movers.forEach(row => {
         const tr = document.createElement('tr');
@@ -124,13 +484,79 @@ function renderMovers(data) {
 }
 
 function filterMarketTable(query) {
-    const filtered = allMarketData.filter(item =>
+    const filtered = visibleMarketData().filter(item =>
         item.SECURITY.toLowerCase().includes(query.toLowerCase())
     );
     renderMainTable(filtered);
 }
 
-async function selectSecurity(symbol) {
+function setupChartControls() {
+    const fromInput = document.getElementById('chartFrom');
+    const toInput = document.getElementById('chartTo');
+    const today = new Date().toISOString().split('T')[0];
+    fromInput.max = today;
+    toInput.max = today;
+
+    const onRangeChange = () => {
+        const from = fromInput.value;
+        const to = toInput.value;
+        if (from && to && from > to) return;
+        if (from && (!to || to === from)) chartRange = { date: from };
+        else if (to && !from) chartRange = { date: to };
+        else if (from && to) chartRange = { from: from, to: to };
+        else chartRange = {};
+        if (selectedSymbol) selectSecurity(selectedSymbol);
+    };
+    fromInput.addEventListener('change', onRangeChange);
+    toInput.addEventListener('change', onRangeChange);
+
+    document.getElementById('chartLive').addEventListener('click', () => {
+        fromInput.value = '';
+        toInput.value = '';
+        onRangeChange();
+    });
+
+    document.getElementById('chartVwap').addEventListener('click', (e) => {
+        showVwap = !showVwap;
+        e.currentTarget.classList.toggle('active', showVwap);
+        if (selectedSymbol && chartInterval === 'line') selectSecurity(selectedSymbol);
+    });
+
+    document.querySelectorAll('#chartModes button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            chartInterval = btn.dataset.interval;
+            document.querySelectorAll('#chartModes button').forEach(b => b.classList.toggle('active', b === btn));
+            if (selectedSymbol) selectSecurity(selectedSymbol);
+        });
+    });
+
+    document.querySelectorAll('#chartIndicators button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const name = btn.dataset.indicator;
+            if (activeIndicators.has(name)) activeIndicators.delete(name);
+            else activeIndicators.add(name);
+            btn.classList.toggle('active', activeIndicators.has(name));
+            if (lastCandleChart && chartInterval === '1D') {
+                renderCandleChart(lastCandleChart.candles, lastCandleChart.symbol, lastCandleChart.indicators, lastCandleChart.actions);
+            }
+        });
+    });
+}
+
+function describeChartRange() {
+    if (chartInterval === '1D') return "Daily Candles";
+    if (chartRange.date) return `Session ${chartRange.date}`;
+    if (chartRange.from) return `Sessions ${chartRange.from} → ${chartRange.to}`;
+    return "Intraday Performance";
+}
+
+/**
+ * Loads the chart and signal panel for a security. A quiet call (auto-refresh) keeps the current chart on screen
+ * while it loads and redraws it without animation.
+ */
+async function selectSecurity(symbol, quiet) {
+    selectedSymbol = symbol;
+
     // UI Feedback
     const placeholder = document.querySelector('.chart-placeholder');
     const canvas = document.getElementById('mainChart');
@@ -141,13 +567,18 @@ async function selectSecurity(symbol) {
     // Find latest row for this security in allMarketData for signals
     const securityData = allMarketData.find(d => d.SECURITY === symbol);
 
-    placeholder.innerHTML = `<div class="spinner" style="margin: 0 auto;"></div><p>Fetching history for ${symbol}...</p>`;
-    placeholder.style.display = 'flex';
-    canvas.style.display = 'none';
-    signalsPanel.style.display = 'none';
+    if (!quiet) {
+        lastChartExport = null;
+        placeholder.innerHTML = `<div class="spinner" style="margin: 0 auto;"></div><p>Fetching history for ${symbol}...</p>`;
+        placeholder.style.display = 'flex';
+        canvas.style.display = 'none';
+        signalsPanel.style.display = 'none';
+    }
     symbolBadge.style.display = 'inline-block';
     symbolBadge.textContent = symbol;
-    label.textContent = "Intraday Performance";
+    label.textContent = describeChartRange();
+    document.getElementById('chartControls').style.display = 'flex';
+    document.getElementById('chartIndicators').style.display = chartInterval === '1D' ? 'flex' : 'none';
 
     if (securityData) {
         document.getElementById('sigLiquidity').textContent = securityData.liquidityScore || 'N/A';
@@ -155,67 +586,120 @@ async function selectSecurity(symbol) {
         document.getElementById('sigAvgVol').textContent = (securityData.avgVol30 || 0).toLocaleString();
         document.getElementById('sigStable').textContent = securityData.stableTrend ? 'YES (ACCUMULATING)' : 'NO';
 
+        renderRiskStats(securityData);
+
+        ['WTD', 'MTD', 'YTD', 'YoY'].forEach(period => {
+            const el = document.getElementById('ret' + period);
+            el.className = getColorClass(securityData[period]);
+            el.innerHTML = formatPercent(securityData[period]) + staleMark(securityData, period);
+        });
+
+        // Total returns reinvest dividends (corporate_actions_backend.js)
+        ['YTD', 'YoY'].forEach(period => {
+            const value = securityData.totalReturns ? securityData.totalReturns[period] : null;
+            const el = document.getElementById('tr' + period);
+            el.className = getColorClass(value);
+            el.textContent = formatPercent(value);
+        });
+
         // Color coding
         document.getElementById('sigLiquidity').style.color = securityData.liquidityScore === 'HIGH' ? 'var(--accent-green)' : 'var(--text-secondary)';
         document.getElementById('sigHype').style.color = securityData.hypeRisk === 'NORMAL' ? 'var(--text-secondary)' : 'var(--accent-red)';
     }
 
     try {
-        const url = `${BACKEND_URL}${BACKEND_URL.includes('?') ? '&' : '?'}security=${encodeURIComponent(symbol)}`;
-        const response = await fetch(url);
-        const json = await response.json();
+        const json = chartInterval === 'line' ?
+            await syncIntraday(symbol, chartRange) :
+            await apiGetAll({ action: 'candles', security: symbol, interval: chartInterval, ...chartRange });
 
         if (json.status === "success" && json.data) {
+            if (json.cached) label.textContent = `${describeChartRange()} · ${describeCachedAt(json.cachedAt)}`;
             if (json.data.length > 0) {
-                renderChart(json.data, symbol);
+                const period = chartRange.date || (chartRange.from ? `${chartRange.from}_${chartRange.to}` : 'latest');
+                if (chartInterval === 'line') {
+                    renderChart(json.data, symbol, quiet);
+                    lastChartExport = { name: `${symbol}-intraday-${period}`, rows: json.data };
+                } else {
+                    const daily = chartInterval === '1D';
+                    const [indicators, actions] = daily ?
+                        await Promise.all([loadIndicatorSeries(symbol), loadCorporateActions(symbol)]) : [[], []];
+                    lastCandleChart = { candles: json.data, symbol: symbol, indicators: indicators, actions: actions };
+                    renderCandleChart(json.data, symbol, indicators, actions, quiet);
+                    // Daily exports carry the full analytics rows (returns, signals, indicators), not just OHLC
+                    lastChartExport = daily && indicators.length > 0 ?
+                        { name: `${symbol}-daily`, rows: indicators } :
+                        { name: `${symbol}-${chartInterval}-${period}`, rows: json.data };
+                }
+                renderSessionStats(chartInterval === 'line' ? json.data[json.data.length - 1] : null);
                 placeholder.style.display = 'none';
                 canvas.style.display = 'block';
                 signalsPanel.style.display = 'block';
             } else {
-                placeholder.innerHTML = `<p>🚀 No recent intraday trades found for ${symbol}.<br><span style="font-size: 0.8rem;">Showing last known daily close.</span></p>`;
+                renderSessionStats(null);
+                placeholder.innerHTML = chartRange.date || chartRange.from ?
+                    `<p>No intraday trades stored for ${symbol} in this period.</p>` :
+                    `<p>🚀 No recent intraday trades found for ${symbol}.<br><span style="font-size: 0.8rem;">Showing last known daily close.</span></p>`;
                 signalsPanel.style.display = 'block';
             }
         }
     } catch (e) {
+        if (e instanceof AuthRequiredError) return redirectToLogin();
+        // A failed background refresh leaves the last chart up
+        if (quiet) return;
         placeholder.innerHTML = `<p>⚠️ Error loading chart data.</p>`;
     }
 }
 
-function renderChart(history, symbol) {
+function renderChart(history, symbol, quiet) {
     const ctx = document.getElementById('mainChart').getContext('2d');
 
     if (mainChart) mainChart.destroy();
 
-    const labels = history.map(h => {
-        if (typeof h.time === 'string' && h.time.length > 5) return h.time.substring(0, 5);
-        return h.time;
-    });
+    const labels = chartLabels(history);
     const prices = history.map(h => h.price);
 
+    const datasets = [{
+        label: symbol + ' Price (TZS)',
+        data: prices,
+        borderColor: '#38bdf8',
+        backgroundColor: 'rgba(56, 189, 248, 0.1)',
+        borderWidth: 2,
+        fill: true,
+        tension: 0.3,
+        pointRadius: 3,
+        pointBackgroundColor: '#38bdf8'
+    }];
+    if (showVwap) {
+        datasets.push({
+            label: 'VWAP',
+            // VWAP restarts every session, so the line is broken at each session start
+            data: history.map((h, i) => i > 0 && h.sessionStart ? null : h.vwap),
+            borderColor: '#f59e0b',
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            fill: false,
+            pointRadius: 0,
+            spanGaps: false
+        });
+    }
+
     mainChart = new Chart(ctx, {
         type: 'line',
+        plugins: [sessionBreaksPlugin(history)],
         data: {
             labels: labels,
-            datasets: [{
-                label: symbol + ' Price (TZS)',
-                data: prices,
-                borderColor: '#38bdf8',
-                backgroundColor: 'rgba(56, 189, 248, 0.1)',
-                borderWidth: 2,
-                fill: true,
-                tension: 0.3,
-                pointRadius: 3,
-                pointBackgroundColor: '#38bdf8'
-            }]
+            datasets: datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            animation: quiet ? false : undefined,
             plugins: {
                 legend: { display: false },
                 tooltip: {
                     mode: 'index',
                     intersect: false,
+                    filter: (item) => item.datasetIndex === 0,
                     backgroundColor: '#1e293b',
                     titleColor: '#94a3b8',
                     bodyColor: '#f8fafc',
@@ -228,6 +712,7 @@ function renderChart(history, symbol) {
                             const lines = [`Price: ${price}`];
 
                             lines.push(`Volume: ${tick.volume.toLocaleString()}`);
+                            if (tick.vwap) lines.push(`VWAP: ${tick.vwap.toLocaleString()}`);
 
                             if (tick.bid || tick.ask) {
                                 lines.push(`B/A: ${tick.bid.toLocaleString()} / ${tick.ask.toLocaleString()}`);
@@ -257,21 +742,303 @@ function renderChart(history, symbol) {
     });
 }
 
-function getLatestPerSecurity(data) {
-    const latest = {};
-    data.forEach(row => {
-        if (!row.SECURITY) return;
-        let ts = 0;
-        try {
-            ts = new Date(row.TIMESTAMP).getTime();
-            if (isNaN(ts)) ts = 0;
-        } catch (e) { ts = 0; }
+/**
+ * Fills the risk cards from the security's snapshot row (risk_backend.js fields).
+ */
+function renderRiskStats(row) {
+    const num = (v, dp) => v === null || v === undefined ? '-' : v.toFixed(dp);
+    const pct = (v) => v === null || v === undefined ? '-' : (v * 100).toFixed(1) + '%';
+
+    document.getElementById('riskVolatility').textContent = pct(row.volatility);
+    const sharpe = document.getElementById('riskSharpe');
+    sharpe.textContent = num(row.sharpe, 2);
+    sharpe.style.color = row.sharpe > 1 ? 'var(--accent-green)' : row.sharpe < 0 ? 'var(--accent-red)' : '';
+    document.getElementById('riskBeta').textContent = `${num(row.beta, 2)} / ${num(row.correlation, 2)}`;
+    const drawdown = document.getElementById('riskDrawdown');
+    drawdown.textContent = `${pct(row.drawdown)} / ${pct(row.maxDrawdown)}`;
+    drawdown.style.color = row.drawdown < -0.2 ? 'var(--accent-red)' : '';
+}
+
+/**
+ * Fills the session statistics cards from the latest intraday point (null clears them).
+ */
+function renderSessionStats(point) {
+    const set = (id, text, color) => {
+        const el = document.getElementById(id);
+        el.textContent = text;
+        el.style.color = color || '';
+    };
+
+    if (!point || point.open == null) {
+        ['sessVwap', 'sessOpen', 'sessRange', 'sessTurnover'].forEach(id => set(id, '-'));
+        return;
+    }
+
+    const chg = point.changeFromOpen || 0;
+    set('sessVwap', point.vwap.toLocaleString(),
+        point.price >= point.vwap ? 'var(--accent-green)' : 'var(--accent-red)');
+    set('sessOpen', `${point.open.toLocaleString()} (${formatPercent(chg)})`,
+        chg > 0 ? 'var(--accent-green)' : chg < 0 ? 'var(--accent-red)' : '');
+    set('sessRange', `${point.high.toLocaleString()} / ${point.low.toLocaleString()}`);
+    set('sessTurnover', point.turnover.toLocaleString());
+}
+
+/**
+ * X-axis labels; multi-day replays prefix each session's first point with its date.
+ */
+function chartLabels(points) {
+    const multiSession = points.some((h, i) => i > 0 && h.sessionStart);
+    return points.map(h => {
+        const time = (typeof h.time === 'string' && h.time.length > 5 && h.time.includes(':')) ? h.time.substring(0, 5) : h.time;
+        return multiSession && h.sessionStart ? `${h.date.substring(5)} ${time}` : time;
+    });
+}
+
+/**
+ * Daily indicator rows for the 1D chart; delta-synced, so reselecting a security only fetches changed days.
+ */
+async function loadIndicatorSeries(symbol) {
+    const json = await syncDaily(symbol, { sma: INDICATOR_CONFIG.sma.join(','), ema: INDICATOR_CONFIG.ema.join(',') });
+    return json.status === "success" ? json.data : [];
+}
+
+/**
+ * Splits, bonus issues and dividends of one security, for the ex-date markers on the 1D chart.
+ */
+async function loadCorporateActions(symbol) {
+    const json = await apiGetAll({ action: 'corporate-actions', security: symbol });
+    return json.status === "success" ? json.data : [];
+}
+
+/**
+ * Overlay datasets (SMA, EMA, Bollinger on the price axis) and sub-pane datasets/scales (RSI, MACD, ATR)
+ * for the active indicators, aligned to the candles by date.
+ */
+function indicatorLayers(candles, rows) {
+    const byDate = new Map(rows.map(r => [r.DATE, r]));
+    const series = (field) => candles.map(c => {
+        const row = byDate.get(c.date);
+        return row && row[field] !== undefined ? row[field] : null;
+    });
+    const line = (label, field, color, yAxisID, extra) => ({
+        type: 'line', indicator: true, label: label, data: series(field), borderColor: color,
+        borderWidth: 1.2, pointRadius: 0, fill: false, spanGaps: true, yAxisID: yAxisID, ...extra
+    });
+    const pane = (extra) => ({
+        stack: 'candles', stackWeight: 1, offset: true, position: 'left',
+        grid: { color: 'rgba(255, 255, 255, 0.03)' },
+        ticks: { color: '#94a3b8', font: { size: 9 }, maxTicksLimit: 3 }, ...extra
+    });
+
+    const palette = ['#f59e0b', '#a78bfa', '#f472b6', '#22d3ee', '#facc15'];
+    const datasets = [];
+    const scales = {};
+
+    if (activeIndicators.has('SMA')) {
+        INDICATOR_CONFIG.sma.forEach((n, i) => datasets.push(line(`SMA ${n}`, 'SMA' + n, palette[i % palette.length], 'y')));
+    }
+    if (activeIndicators.has('EMA')) {
+        INDICATOR_CONFIG.ema.forEach((n, i) => datasets.push(line(`EMA ${n}`, 'EMA' + n, palette[(i + 2) % palette.length], 'y', { borderDash: [4, 3] })));
+    }
+    if (activeIndicators.has('BB')) {
+        datasets.push(line('BB Upper', 'BB_UPPER', 'rgba(148, 163, 184, 0.7)', 'y'));
+        datasets.push(line('BB Middle', 'BB_MIDDLE', 'rgba(148, 163, 184, 0.4)', 'y', { borderDash: [2, 2] }));
+        datasets.push(line('BB Lower', 'BB_LOWER', 'rgba(148, 163, 184, 0.7)', 'y'));
+    }
+    if (activeIndicators.has('RSI')) {
+        scales.yRsi = pane({ min: 0, max: 100 });
+        datasets.push(line('RSI 14', 'RSI14', '#a78bfa', 'yRsi'));
+    }
+    if (activeIndicators.has('MACD')) {
+        scales.yMacd = pane();
+        datasets.push(line('MACD', 'MACD', '#38bdf8', 'yMacd'));
+        datasets.push(line('Signal', 'MACD_SIGNAL', '#f59e0b', 'yMacd'));
+        const hist = series('MACD_HIST');
+        datasets.push({
+            type: 'bar', indicator: true, label: 'Histogram', data: hist, yAxisID: 'yMacd', grouped: false, barPercentage: 0.5,
+            backgroundColor: hist.map(v => v >= 0 ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)')
+        });
+    }
+    if (activeIndicators.has('ATR')) {
+        scales.yAtr = pane({ beginAtZero: true });
+        datasets.push(line('ATR 14', 'ATR14', '#f472b6', 'yAtr'));
+    }
+    return { datasets, scales };
+}
+
+/**
+ * OHLC candles drawn as floating bars (thin wick + body) with a volume histogram pane underneath.
+ * Intraday candles are raw prices; 1D candles come adjusted for splits and bonus issues, the same scale as
+ * the indicators. 1D only: indicatorRows adds the active indicator overlays and sub-panes, corporateActions
+ * adds ex-date markers.
+ */
+function renderCandleChart(candles, symbol, indicatorRows, corporateActions, quiet) {
+    const ctx = document.getElementById('mainChart').getContext('2d');
 
-        if (!latest[row.SECURITY] || ts > latest[row.SECURITY].ts) {
-            latest[row.SECURITY] = { ...row, ts: ts };
+    if (mainChart) mainChart.destroy();
+
+    const up = (c) => c.close >= c.open;
+    const colors = candles.map(c => up(c) ? '#10b981' : '#ef4444');
+    // Doji candles still get a visible body
+    const body = candles.map(c => c.open === c.close ?
+        [c.open - c.open * 0.0005, c.close + c.close * 0.0005] : [c.open, c.close]);
+    const layers = indicatorLayers(candles, indicatorRows || []);
+    const markers = exDateMarkers(candles, corporateActions || []);
+
+    mainChart = new Chart(ctx, {
+        type: 'bar',
+        plugins: [sessionBreaksPlugin(candles), exDateMarkersPlugin(markers)],
+        data: {
+            labels: chartLabels(candles),
+            datasets: [{
+                label: 'Wick',
+                data: candles.map(c => [c.low, c.high]),
+                backgroundColor: colors,
+                barPercentage: 0.12,
+                grouped: false,
+                yAxisID: 'y'
+            }, {
+                label: symbol + ' OHLC (TZS)',
+                data: body,
+                backgroundColor: colors,
+                barPercentage: 0.7,
+                grouped: false,
+                yAxisID: 'y'
+            }, {
+                label: 'Volume',
+                data: candles.map(c => c.volume),
+                backgroundColor: candles.map(c => up(c) ? 'rgba(16, 185, 129, 0.35)' : 'rgba(239, 68, 68, 0.35)'),
+                barPercentage: 0.7,
+                grouped: false,
+                yAxisID: 'yVol'
+            }, ...layers.datasets]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: quiet ? false : undefined,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    filter: (item) => item.datasetIndex === 1 || (item.dataset.indicator && item.raw !== null),
+                    backgroundColor: '#1e293b',
+                    titleColor: '#94a3b8',
+                    bodyColor: '#f8fafc',
+                    borderColor: '#334155',
+                    borderWidth: 1,
+                    callbacks: {
+                        afterTitle: function (items) {
+                            return markers.filter(m => items.length > 0 && m.index === items[0].dataIndex).map(m => m.note);
+                        },
+                        label: function (context) {
+                            if (context.dataset.indicator) return `${context.dataset.label}: ${context.parsed.y.toLocaleString()}`;
+                            const c = candles[context.dataIndex];
+                            const fmt = (v) => parseFloat(v.toFixed(2)).toLocaleString();
+                            const lines = [
+                                `O: ${fmt(c.open)}  H: ${fmt(c.high)}`,
+                                `L: ${fmt(c.low)}  C: ${fmt(c.close)}`,
+                                `Volume: ${Math.round(c.volume).toLocaleString()}`,
+                                `Ticks: ${c.ticks}`
+                            ];
+                            if (c.adjFactor && c.adjFactor !== 1) lines.splice(2, 0, `Adjusted (traded at ${c.rawClose.toLocaleString()})`);
+                            return lines;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    stack: 'candles',
+                    stackWeight: 3,
+                    grid: { color: 'rgba(255, 255, 255, 0.05)', drawBorder: false },
+                    ticks: { color: '#94a3b8', font: { size: 10 } }
+                },
+                yVol: {
+                    stack: 'candles',
+                    stackWeight: 1,
+                    offset: true,
+                    position: 'left',
+                    beginAtZero: true,
+                    grid: { display: false },
+                    ticks: { color: '#94a3b8', font: { size: 9 }, maxTicksLimit: 3 }
+                },
+                ...layers.scales,
+                x: {
+                    grid: { display: false },
+                    ticks: { color: '#94a3b8', font: { size: 10 } }
+                }
+            }
         }
     });
-    return Object.values(latest);
+}
+
+/**
+ * Corporate actions placed on the candle of their ex-date (the first candle on or after it).
+ * Actions outside the charted range get no marker.
+ */
+function exDateMarkers(candles, actions) {
+    if (candles.length === 0) return [];
+    const first = candles[0].date;
+    return actions.filter(a => a.DATE >= first).map(a => {
+        const index = candles.findIndex(c => c.date >= a.DATE);
+        const detail = a.type === 'DIVIDEND' ? `TZS ${a.amount.toLocaleString()} / share` : `ratio ${a.ratio}`;
+        return { index: index, action: a, note: `Ex-${a.type.toLowerCase()}: ${detail}` };
+    }).filter(m => m.index !== -1);
+}
+
+/**
+ * Marks ex-dates on the daily chart: D = dividend, S = split, B = bonus issue.
+ */
+function exDateMarkersPlugin(markers) {
+    return {
+        id: 'exDateMarkers',
+        afterDatasetsDraw(chart) {
+            const { ctx, chartArea, scales } = chart;
+            markers.forEach(m => {
+                const x = scales.x.getPixelForValue(m.index);
+                ctx.save();
+                ctx.fillStyle = m.action.type === 'DIVIDEND' ? '#10b981' : '#f59e0b';
+                ctx.beginPath();
+                ctx.arc(x, chartArea.top + 8, 7, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#030712';
+                ctx.font = 'bold 9px Inter, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(m.action.type.charAt(0), x, chartArea.top + 8);
+                ctx.restore();
+            });
+        }
+    };
+}
+
+/**
+ * Draws a dashed vertical line (with the session date) where each new session starts.
+ */
+function sessionBreaksPlugin(history) {
+    return {
+        id: 'sessionBreaks',
+        afterDatasetsDraw(chart) {
+            const { ctx, chartArea, scales } = chart;
+            history.forEach((h, i) => {
+                if (i === 0 || !h.sessionStart) return;
+                const x = (scales.x.getPixelForValue(i - 1) + scales.x.getPixelForValue(i)) / 2;
+                ctx.save();
+                ctx.strokeStyle = 'rgba(148, 163, 184, 0.4)';
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.fillStyle = '#94a3b8';
+                ctx.font = '10px Inter, sans-serif';
+                ctx.fillText(h.date, x + 4, chartArea.top + 10);
+                ctx.restore();
+            });
+        }
+    };
 }
 
 function formatPercent(val) {
@@ -280,6 +1047,15 @@ function formatPercent(val) {
     return (val > 0 ? "+" : "") + p + "%";
 }
 
+/**
+ * Marks a return whose comparison close is older than its calendar anchor (see staleReturns).
+ */
+function staleMark(row, period) {
+    if (!row.staleReturns || !row.staleReturns.includes(period)) return '';
+    const base = row.returnBases && row.returnBases[period];
+    return `<span class="stale-mark" title="Stale: compared with the ${base} close">*</span>`;
+}
+
 function getColorClass(val) {
     if (val === null || val === undefined || isNaN(val)) return "neutral";
     const num = parseFloat(val);
@@ -287,13 +1063,655 @@ function getColorClass(val) {
     return num > 0 ? "up" : "down";
 }
 
-function getSignalClass(sig) {
-    switch (sig) {
-        case 'CONFIRMED_UP': return 'badge-confirmed';
-        case 'WEAK_UP': return 'badge-weak';
-        case 'STRONG_SELL': return 'badge-sell';
-        case 'HYPE_RISK': return 'badge-hype';
-        case 'BREAKOUT': return 'badge-breakout';
-        default: return 'badge-neutral';
+/**
+ * Loads the signal rule definitions (SignalRules sheet) so badges follow the backend's labels and colours.
+ */
+async function fetchSignalDefinitions() {
+    try {
+        const json = await apiGetAll({ action: 'signals' });
+        if (json.status !== "success") return;
+        signalBadges = {};
+        json.data.forEach(rule => {
+            if (rule.badge) signalBadges[rule.label] = rule.badge;
+        });
+        if (allMarketData.length > 0) renderDashboard();
+    } catch (err) {
+        if (err instanceof AuthRequiredError) return redirectToLogin();
+        console.error("Signal definitions error:", err);
+    }
+}
+
+/**
+ * Signal backtest report (backtest_backend.js): one row per signal, one column per horizon.
+ */
+async function fetchBacktest() {
+    const meta = document.getElementById('backtestMeta');
+    meta.textContent = "Loading backtest report...";
+    try {
+        const json = await apiGetAll({ action: 'backtest' });
+        if (json.status !== "success") {
+            meta.textContent = "⚠️ " + (json.message || "Backtest unavailable");
+            return;
+        }
+        renderBacktest(json.data);
+    } catch (err) {
+        if (err instanceof AuthRequiredError) return redirectToLogin();
+        meta.textContent = "⚠️ Connection Failed";
+    }
+}
+
+function renderBacktest(report) {
+    if (report.length === 0) {
+        document.getElementById('backtestMeta').textContent =
+            "No backtest report yet. It appears once runSignalBacktest() has run (weekly after installBacktestTrigger()).";
+        document.getElementById('backtestTable').style.display = 'none';
+        return;
+    }
+
+    const rows = new Map();
+    report.forEach(r => {
+        const key = `${r.group}|${r.label}`;
+        if (!rows.has(key)) rows.set(key, { group: r.group, label: r.label, direction: r.direction, horizons: {} });
+        rows.get(key).horizons[r.horizon] = r;
+    });
+
+    const cell = (r) => {
+        if (!r || !r.count) return '<td class="neutral">-</td>';
+        const hit = (r.hitRate * 100).toFixed(0) + '%';
+        const excess = r.avgExcess !== null ? ` (${formatPercent(r.avgExcess)} vs all)` : '';
+        return `<td title="n=${r.count}${excess}">
+                <div class="${r.hitRate >= 0.5 ? 'up' : 'down'}" style="font-weight: 600;">${hit}</div>
+                <div class="${getColorClass(r.avgReturn)}" style="font-size: 0.7rem;">${formatPercent(r.avgReturn)}</div>
+            </td>`;
+    };
+
+    const tbody = document.getElementById('backtestBody');
+    tbody.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const name = row.group === 'tradeScore' ? `Score ${row.label}` : row.label.replace(/_/g, ' ');
+        const arrow = row.direction === 'DOWN' ? '▼' : '▲';
+        tr.innerHTML = `
+            <td>
+                <div class="bt-name" style="font-weight: 600;"></div>
+                <div class="bt-group" style="font-size: 0.65rem; color: var(--text-secondary);"></div>
+            </td>
+            ${cell(row.horizons[1])}${cell(row.horizons[5])}${cell(row.horizons[21])}
+        `;
+        // Labels and groups come from the SignalRules sheet
+        tr.querySelector('.bt-name').textContent = `${arrow} ${name}`;
+        tr.querySelector('.bt-group').textContent = `${row.group} · n=${(row.horizons[1] || {}).count || 0}`;
+        tbody.appendChild(tr);
+    });
+
+    const generated = report.length > 0 ? new Date(report[0].generatedAt) : null;
+    document.getElementById('backtestMeta').textContent = generated && !isNaN(generated.getTime()) ?
+        `Report generated ${generated.toLocaleString()} · hit = moved in the signal's direction` : '';
+    document.getElementById('backtestTable').style.display = 'table';
+}
+
+/**
+ * Watchlist tab: selector, create/delete, JSON import/export. Stars on the table rows add to the selected list.
+ */
+async function setupWatchlists() {
+    await loadWatchlists();
+    if (allMarketData.length > 0) renderDashboard();
+
+    document.getElementById('navMarket').addEventListener('click', () => showView('market'));
+    document.getElementById('navWatchlist').addEventListener('click', () => showView('watchlist'));
+
+    document.getElementById('watchlistSelect').addEventListener('change', async (e) => {
+        activeWatchlist = e.target.value;
+        await setActiveWatchlist(activeWatchlist);
+        renderDashboard();
+    });
+
+    document.getElementById('newWatchlist').addEventListener('click', async () => {
+        const name = prompt("Name of the new watchlist:");
+        if (!name) return;
+        try {
+            activeWatchlist = await createWatchlist(name);
+            await loadWatchlists();
+            renderDashboard();
+        } catch (err) {
+            setWatchlistStatus(err.message, true);
+        }
+    });
+
+    document.getElementById('deleteWatchlist').addEventListener('click', async () => {
+        if (!activeWatchlist || !confirm(`Delete the watchlist "${activeWatchlist}"?`)) return;
+        await deleteWatchlist(activeWatchlist);
+        activeWatchlist = null;
+        await loadWatchlists();
+        renderDashboard();
+    });
+
+    document.getElementById('exportWatchlists').addEventListener('click', async () => {
+        const blob = new Blob([await exportWatchlists()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `dse-watchlists-${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    const fileInput = document.getElementById('watchlistFile');
+    document.getElementById('importWatchlists').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const names = await importWatchlists(await file.text());
+            await loadWatchlists();
+            renderDashboard();
+            setWatchlistStatus(`Imported ${names.length} watchlist(s)`);
+        } catch (err) {
+            setWatchlistStatus(err.message, true);
+        }
+    });
+
+    // Lists edited in another window or synced from another device
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+        if (area !== 'sync' || !isWatchlistChange(changes)) return;
+        await loadWatchlists();
+        if (allMarketData.length > 0) renderDashboard();
+    });
+}
+
+async function loadWatchlists() {
+    watchlists = await getWatchlists();
+    if (!activeWatchlist || !watchlists[activeWatchlist]) activeWatchlist = await getActiveWatchlist();
+
+    const select = document.getElementById('watchlistSelect');
+    const names = Object.keys(watchlists);
+    select.replaceChildren(...(names.length === 0 ?
+        [new Option("No watchlists yet", "")] :
+        names.map(name => new Option(`${name} (${watchlists[name].length})`, name))));
+    if (activeWatchlist) select.value = activeWatchlist;
+}
+
+function showView(view) {
+    activeView = view;
+    document.getElementById('navMarket').classList.toggle('active', view === 'market');
+    document.getElementById('navWatchlist').classList.toggle('active', view === 'watchlist');
+    document.getElementById('navPortfolio').classList.toggle('active', view === 'portfolio');
+    document.getElementById('marketView').style.display = view === 'portfolio' ? 'none' : 'grid';
+    document.getElementById('portfolioView').style.display = view === 'portfolio' ? 'block' : 'none';
+    if (view === 'portfolio') {
+        fetchPortfolio();
+        return;
     }
+    document.getElementById('watchlistBar').style.display = view === 'watchlist' ? 'flex' : 'none';
+    document.getElementById('marketTitle').textContent = view === 'watchlist' ? '📋 Watchlist' : '🔍 Market Overview';
+    document.getElementById('moversTitle').textContent = view === 'watchlist' ? '🔥 Watchlist Movers' : '🔥 Top Movers';
+    setWatchlistStatus('');
+    renderDashboard();
+}
+
+function setWatchlistStatus(text, isError) {
+    const el = document.getElementById('watchlistStatus');
+    el.textContent = text;
+    el.style.color = isError ? 'var(--accent-red)' : 'var(--text-secondary)';
+}
+
+/**
+ * Breadth, average move/score and signal counts over the watchlist members (null hides the card).
+ */
+function renderWatchlistSummary(rows) {
+    const card = document.getElementById('watchlistSummary');
+    if (!rows) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'block';
+
+    const withDoD = rows.filter(r => r.DoD !== null && r.DoD !== undefined);
+    const avgDoD = withDoD.length > 0 ? withDoD.reduce((sum, r) => sum + r.DoD, 0) / withDoD.length : null;
+    const up = withDoD.filter(r => r.DoD > 0).length;
+    const down = withDoD.filter(r => r.DoD < 0).length;
+    const avgScore = rows.length > 0 ? rows.reduce((sum, r) => sum + (r.tradeScore || 0), 0) / rows.length : null;
+
+    document.getElementById('wlMembers').textContent = rows.length;
+    const avgEl = document.getElementById('wlAvgDoD');
+    avgEl.textContent = formatPercent(avgDoD);
+    avgEl.className = getColorClass(avgDoD);
+    document.getElementById('wlBreadth').textContent = `${up} / ${down} / ${withDoD.length - up - down}`;
+    document.getElementById('wlScore').textContent = avgScore === null ? '-' : avgScore.toFixed(1);
+
+    const counts = {};
+    rows.forEach(row => {
+        const sig = (row.displaySignal ?? row.momentumSignal ?? 'NEUTRAL').toString();
+        (counts[sig] = counts[sig] || { badge: row.signalBadge, count: 0 }).count++;
+    });
+    document.getElementById('wlSignals').replaceChildren(...Object.entries(counts)
+        .sort((a, b) => b[1].count - a[1].count)
+        .map(([sig, c]) => {
+            const badge = document.createElement('span');
+            badge.className = `badge ${getSignalClass(sig, c.badge)}`;
+            badge.style.cssText = getSignalStyle(sig, c.badge);
+            badge.textContent = `${sig.replace(/_/g, ' ')} × ${c.count}`;
+            return badge;
+        }));
+}
+
+/**
+ * Export buttons (export.js): the market table as filtered on screen, the movers, the selected
+ * security's history behind the chart, and the chart itself as PNG.
+ */
+function setupExports() {
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const format = btn.dataset.format;
+            const view = activeView === 'watchlist' && activeWatchlist ? activeWatchlist.replace(/\s+/g, '-').toLowerCase() : 'market';
+            switch (btn.dataset.export) {
+                case 'table':
+                    if (lastTableRows.length > 0) exportRows(lastTableRows, `dse-${view}`, format);
+                    break;
+                case 'movers':
+                    if (lastMovers.length > 0) exportRows(lastMovers, `dse-${view}-movers`, format);
+                    break;
+                case 'history':
+                    if (lastChartExport) exportRows(lastChartExport.rows, `dse-${lastChartExport.name}`, format);
+                    break;
+                case 'chart':
+                    if (mainChart && lastChartExport) exportChartPng(mainChart, `dse-${lastChartExport.name}`, '#111827');
+                    break;
+            }
+        });
+    });
+}
+
+/**
+ * Portfolio tab: holdings and P&L, value over time, manual entry and broker CSV import.
+ */
+function setupPortfolio() {
+    document.getElementById('navPortfolio').addEventListener('click', () => showView('portfolio'));
+    document.getElementById('txDate').value = new Date().toISOString().split('T')[0];
+
+    document.getElementById('transactionForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const value = (id) => document.getElementById(id).value.trim();
+        const saved = await saveTransactions([{
+            date: value('txDate'),
+            security: value('txSecurity').toUpperCase(),
+            type: value('txType'),
+            quantity: value('txQuantity'),
+            price: value('txPrice'),
+            fees: value('txFees'),
+            note: value('txNote')
+        }]);
+        if (saved) ['txQuantity', 'txPrice', 'txFees', 'txNote'].forEach(id => { document.getElementById(id).value = ''; });
+    });
+
+    const fileInput = document.getElementById('transactionFile');
+    document.getElementById('importTransactions').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        const rows = csvToObjects(await file.text());
+        if (rows.length === 0) {
+            setPortfolioStatus(`No transactions found in ${file.name}`, true);
+            return;
+        }
+        // Column names are matched by the backend (TRANSACTION_SCHEMA in portfolio_backend.js)
+        await saveTransactions(rows);
+    });
+}
+
+async function fetchPortfolio() {
+    setPortfolioStatus("Loading portfolio...");
+    try {
+        const [holdings, history, transactions] = await Promise.all([
+            apiGetAll({ action: 'portfolio' }),
+            apiGetAll({ action: 'portfolio-history' }),
+            apiGetAll({ action: 'transactions' })
+        ]);
+        const failed = [holdings, history, transactions].find(json => json.status !== "success");
+        if (failed) {
+            setPortfolioStatus("⚠️ " + (failed.message || "Portfolio unavailable"), true);
+            return;
+        }
+        renderPortfolio(holdings.data, history.data, transactions.data);
+        setPortfolioStatus(transactions.data.length === 0 ? "No transactions recorded yet." : '');
+    } catch (err) {
+        if (err instanceof AuthRequiredError) return redirectToLogin();
+        setPortfolioStatus("⚠️ Connection Failed", true);
+    }
+}
+
+/**
+ * Posts transactions (portfolio_backend.js). Resolves to true when at least one was saved.
+ */
+async function saveTransactions(rows) {
+    const session = await getSession();
+    if (!session) return redirectToLogin();
+    if (!(session.permissions || []).includes('write')) {
+        setPortfolioStatus("Recording transactions needs an access key with write permission.", true);
+        return false;
+    }
+
+    setPortfolioStatus(`Saving ${rows.length} transaction(s)...`);
+    try {
+        const json = await apiPost({ action: 'transactions', rows: rows });
+        if (json.status !== "success") {
+            setPortfolioStatus("⚠️ " + (json.message || "Transactions rejected"), true);
+            return false;
+        }
+        const parts = [`${json.accepted} saved`];
+        if (json.duplicates > 0) parts.push(`${json.duplicates} already recorded`);
+        const possible = json.possibleDuplicates || [];
+        if (possible.length > 0) {
+            parts.push(`${possible.length} saved but may repeat an earlier trade (row ${possible[0].index + 1} matches ` +
+                `${possible[0].matches}: same day, side, quantity and price; delete it in the sheet if it is a repeat)`);
+        }
+        if (json.rejected > 0) {
+            const first = json.rejections[0];
+            parts.push(`${json.rejected} rejected (row ${first.index + 1}: ${first.reasons.join(', ')})`);
+        }
+        setPortfolioStatus(parts.join(' · '), json.rejected > 0 || possible.length > 0);
+        if (json.accepted > 0) fetchPortfolio();
+        return json.accepted > 0;
+    } catch (err) {
+        setPortfolioStatus("⚠️ Connection Failed", true);
+        return false;
+    }
+}
+
+function setPortfolioStatus(text, isError) {
+    const el = document.getElementById('portfolioStatus');
+    el.textContent = text;
+    el.style.color = isError ? 'var(--accent-red)' : 'var(--text-secondary)';
+}
+
+function renderPortfolio(holdings, history, transactions) {
+    const sum = (field) => holdings.reduce((total, h) => total + (h[field] || 0), 0);
+    const value = sum('marketValue');
+    const open = holdings.filter(h => h.quantity > 0);
+    const openCost = open.reduce((total, h) => total + h.costBasis, 0);
+    const unrealised = sum('unrealised');
+    const money = (v) => Math.round(v).toLocaleString();
+    const setText = (id, text, cls) => {
+        const el = document.getElementById(id);
+        el.textContent = text;
+        if (cls !== undefined) el.className = cls;
+    };
+
+    setText('pfValue', money(value));
+    setText('pfCost', `Cost ${money(openCost)}`);
+    setText('pfUnrealised', money(unrealised), getColorClass(unrealised));
+    setText('pfUnrealisedPct', openCost > 0 ? formatPercent(unrealised / openCost) : '-');
+    setText('pfRealised', money(sum('realised')), getColorClass(sum('realised')));
+    setText('pfFees', `Fees paid ${money(sum('fees'))}`);
+    setText('pfDividends', money(sum('dividends')));
+    setText('pfDay', money(sum('dayPnl')), getColorClass(sum('dayPnl')));
+    const asOf = open.map(h => h.DATE).filter(Boolean).sort().pop();
+    setText('pfAsOf', asOf ? `as of ${asOf}` : '-');
+
+    const tbody = document.getElementById('holdingsBody');
+    tbody.innerHTML = open.length === 0 ? '<tr><td colspan="7" class="neutral">No open positions.</td></tr>' : '';
+    open.sort((a, b) => b.marketValue - a.marketValue).forEach(h => {
+        const tr = document.createElement('tr');
+        tr.className = 'clickable';
+        tr.onclick = () => {
+            showView('market');
+            selectSecurity(h.SECURITY);
+        };
+        tr.innerHTML = `
+            <td>
+                <div style="font-weight: 700;">${h.SECURITY}</div>
+                <div style="font-size: 0.7rem; color: var(--text-secondary);">${(h.weight * 100).toFixed(1)}% of value</div>
+            </td>
+            <td>${h.quantity.toLocaleString()}</td>
+            <td>${h.avgCost !== null ? h.avgCost.toLocaleString() : '-'}</td>
+            <td>${h.LAST !== null ? h.LAST.toLocaleString() : '-'}<div class="${getColorClass(h.DoD)}" style="font-size: 0.7rem;">${formatPercent(h.DoD)}</div></td>
+            <td>${money(h.marketValue)}</td>
+            <td class="${getColorClass(h.unrealised)}">${money(h.unrealised)}<div style="font-size: 0.7rem;">${formatPercent(h.unrealisedPct)}</div></td>
+            <td class="${getColorClass(h.dayPnl)}">${money(h.dayPnl)}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    const txBody = document.getElementById('transactionsBody');
+    txBody.innerHTML = '';
+    transactions.slice().reverse().slice(0, 50).forEach(t => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${t.DATE}</td>
+            <td><strong>${t.SECURITY}</strong></td>
+            <td class="${t.type === 'SELL' ? 'down' : (t.type === 'BUY' ? 'up' : 'neutral')}">${t.type}</td>
+            <td>${t.quantity.toLocaleString()}</td>
+            <td>${t.price.toLocaleString()}</td>
+            <td>${t.fees ? t.fees.toLocaleString() : '-'}</td>
+        `;
+        txBody.appendChild(tr);
+    });
+
+    if (portfolioChart) portfolioChart.destroy();
+    portfolioChart = new Chart(document.getElementById('portfolioChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: history.map(d => d.DATE),
+            datasets: [{
+                label: 'Value',
+                data: history.map(d => d.value),
+                borderColor: '#38bdf8',
+                backgroundColor: 'rgba(56, 189, 248, 0.08)',
+                borderWidth: 1.5,
+                fill: true,
+                tension: 0.2,
+                pointRadius: 0
+            }, {
+                label: 'Cost basis',
+                data: history.map(d => d.costBasis),
+                borderColor: '#94a3b8',
+                borderDash: [4, 4],
+                borderWidth: 1,
+                fill: false,
+                pointRadius: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { labels: { color: '#94a3b8', boxWidth: 12, font: { size: 10 } } },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    backgroundColor: '#1e293b',
+                    callbacks: {
+                        footer: function (items) {
+                            const d = history[items[0].dataIndex];
+                            return `Total P&L: ${money(d.totalPnl)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: { grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#94a3b8', font: { size: 9 } } },
+                x: { grid: { display: false }, ticks: { color: '#94a3b8', font: { size: 9 }, maxTicksLimit: 6 } }
+            }
+        }
+    });
+}
+
+/**
+ * CSV text -> arrays of cells (quoted fields may hold commas, quotes and line breaks).
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    if (cell !== '' || row.length > 0) rows.push(row.concat([cell]));
+    return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * Broker statement CSV -> one object per line keyed by the header. Statements often start with account details,
+ * so the header is the first line with at least four filled cells.
+ */
+function csvToObjects(text) {
+    const rows = parseCsv(text);
+    const headerIdx = rows.findIndex(r => r.filter(v => v.trim() !== '').length >= 4);
+    if (headerIdx < 0) return [];
+    const header = rows[headerIdx].map(h => h.trim());
+    return rows.slice(headerIdx + 1).map(r => {
+        const item = {};
+        header.forEach((h, i) => { if (h) item[h] = (r[i] || '').trim(); });
+        return item;
+    });
+}
+
+/**
+ * Alerts drawer: create, toggle and delete alerts (stored by alerts.js) and list the ones that fired.
+ */
+function setupAlertsPanel() {
+    const panel = document.getElementById('alertsPanel');
+    const typeSelect = document.getElementById('alertType');
+    const valueInput = document.getElementById('alertValue');
+    const signalSelect = document.getElementById('alertSignal');
+
+    typeSelect.innerHTML = Object.entries(ALERT_TYPES)
+        .map(([type, def]) => `<option value="${type}">${def.label}${def.unit ? ' (' + def.unit + ')' : ''}</option>`).join('');
+    signalSelect.innerHTML = ALERT_SIGNAL_CHOICES
+        .map(label => `<option value="${label}">${label.replace(/_/g, ' ')}</option>`).join('');
+
+    const onTypeChange = () => {
+        const isSignal = typeSelect.value === 'signalIs';
+        valueInput.style.display = isSignal ? 'none' : '';
+        valueInput.required = !isSignal;
+        signalSelect.style.display = isSignal ? '' : 'none';
+    };
+    typeSelect.addEventListener('change', onTypeChange);
+    onTypeChange();
+
+    document.getElementById('navAlerts').addEventListener('click', () => {
+        if (selectedSymbol) document.getElementById('alertSecurity').value = selectedSymbol;
+        panel.style.display = 'block';
+        renderAlertsPanel();
+    });
+    document.getElementById('closeAlerts').addEventListener('click', () => { panel.style.display = 'none'; });
+
+    document.getElementById('alertForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorEl = document.getElementById('alertFormError');
+        const security = document.getElementById('alertSecurity').value.trim().toUpperCase();
+        const type = typeSelect.value;
+        const value = type === 'signalIs' ? signalSelect.value : valueInput.value;
+
+        if (allMarketData.length > 0 && !allMarketData.some(row => row.SECURITY === security)) {
+            errorEl.textContent = `Unknown security ${security}`;
+            return;
+        }
+        if (type !== 'signalIs' && !(Number(value) > 0)) {
+            errorEl.textContent = "Enter a value above zero";
+            return;
+        }
+        errorEl.textContent = '';
+        await addAlert(security, type, value);
+        valueInput.value = '';
+        renderAlertsPanel();
+    });
+
+    document.getElementById('clearAlertHistory').addEventListener('click', async () => {
+        await clearAlertHistory();
+        renderAlertsPanel();
+    });
+
+    // The background worker records fired alerts while this page is open
+    chrome.storage.onChanged.addListener((changes) => {
+        if (panel.style.display !== 'none' && (changes[ALERTS_STORAGE_KEY] || changes[ALERT_HISTORY_STORAGE_KEY])) {
+            renderAlertsPanel();
+        }
+    });
+}
+
+async function renderAlertsPanel() {
+    const list = document.getElementById('alertList');
+    const alerts = await getAlerts();
+    list.innerHTML = alerts.length === 0 ?
+        '<p style="font-size: 0.8rem; color: var(--text-secondary);">No alerts yet.</p>' : '';
+
+    alerts.forEach(alert => {
+        const row = document.createElement('div');
+        row.className = 'alert-row' + (alert.enabled ? '' : ' disabled');
+        row.innerHTML = `
+            <div>${describeAlert(alert)}<small>Created ${new Date(alert.createdAt).toLocaleDateString()}</small></div>
+            <div style="display: flex; gap: 4px;">
+                <button class="chip-btn ${alert.enabled ? 'active' : ''}" data-action="toggle">${alert.enabled ? 'On' : 'Off'}</button>
+                <button class="chip-btn" data-action="delete">✕</button>
+            </div>
+        `;
+        row.querySelector('[data-action="toggle"]').addEventListener('click', async () => {
+            await setAlertEnabled(alert.id, !alert.enabled);
+            renderAlertsPanel();
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            await removeAlert(alert.id);
+            renderAlertsPanel();
+        });
+        list.appendChild(row);
+    });
+
+    const history = await getAlertHistory();
+    const historyEl = document.getElementById('alertHistory');
+    historyEl.innerHTML = history.length === 0 ?
+        '<p style="font-size: 0.8rem; color: var(--text-secondary);">No alerts have fired.</p>' : '';
+    history.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'alert-row clickable';
+        row.innerHTML = `
+            <div>${entry.description}<small>${new Date(entry.firedAt).toLocaleString()}</small></div>
+            <div style="text-align: right;">
+                <strong>${entry.price !== null && entry.price !== undefined ? entry.price.toLocaleString() : '-'}</strong>
+                <div class="${getColorClass(entry.dod)}" style="font-size: 0.7rem;">${formatPercent(entry.dod)}</div>
+            </div>
+        `;
+        row.addEventListener('click', () => selectSecurity(entry.security));
+        historyEl.appendChild(row);
+    });
+}
+
+/**
+ * Badge class for a signal label: the rule's named badge, or neutral (custom colours use getSignalStyle).
+ * The backend only accepts these two badge forms; anything else is treated as no badge.
+ */
+function getSignalClass(sig, badge) {
+    badge = badge || signalBadges[sig];
+    if (!badge || !BADGE_NAME_PATTERN.test(badge)) return 'badge-neutral';
+    return 'badge-' + badge;
+}
+
+function getSignalStyle(sig, badge) {
+    badge = badge || signalBadges[sig];
+    return badge && BADGE_COLOUR_PATTERN.test(badge) ? `background: ${badge}33; color: ${badge};` : '';
 }
@@ -0,0 +1,180 @@
+/**
+ * DSE Dashboard Exports
+ *
+ * Downloads table rows as CSV or XLSX and a Chart.js chart as PNG, without any extra library.
+ * 1. Rows are flattened and CSV cells written by export_backend.js, loaded before this file, so downloads match
+ *    the backend's ?format=csv. Leading columns are pinned; every other field follows in first-seen order.
+ * 2. XLSX is a minimal single-sheet workbook (inline strings, numbers as numbers) in a stored (uncompressed) zip.
+ */
+
+// Columns first in every export when present; the rest keep their order
+const EXPORT_LEADING_COLUMNS = ["SECURITY", "DATE", "date", "time", "LAST", "price", "DoD", "rvol", "displaySignal", "tradeScore"];
+
+function xmlEscape(str) {
+    return str.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c])
+        // Control characters are not allowed in XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA
+ */
+function xlsxColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    return name;
+}
+
+function rowsToXlsx(rows, sheetName) {
+    const table = exportTable(rows, EXPORT_LEADING_COLUMNS);
+    const cellXml = (value, ref) => {
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t>${xmlEscape(value.toString())}</t></is></c>`;
+    };
+    const rowXml = (values, r) =>
+        `<row r="${r}">${values.map((v, c) => cellXml(v, xlsxColumnName(c) + r)).join('')}</row>`;
+
+    const sheetRows = [rowXml(table.columns, 1)]
+        .concat(table.rows.map((row, i) => rowXml(table.columns.map(c => row[c]), i + 2)));
+
+    const name = xmlEscape((sheetName || 'Export').replace(/[\\\/?*\[\]:]/g, ' ').substring(0, 31));
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    return zipStore([
+        ['[Content_Types].xml', header +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '</Types>'],
+        ['_rels/.rels', header +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>'],
+        ['xl/workbook.xml', header +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+        ['xl/_rels/workbook.xml.rels', header +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '</Relationships>'],
+        ['xl/worksheets/sheet1.xml', header +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+            `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`]
+    ]);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * [[path, text], ...] -> zip archive bytes (no compression).
+ */
+function zipStore(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(([path, text]) => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(text);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, p) => sum + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const all = parts.concat(central, [new Uint8Array(end.buffer)]);
+    const out = new Uint8Array(all.reduce((sum, p) => sum + p.length, 0));
+    let pos = 0;
+    all.forEach(p => {
+        out.set(p, pos);
+        pos += p.length;
+    });
+    return out;
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Downloads rows as "<baseName>-yyyy-MM-dd.csv|xlsx".
+ */
+function exportRows(rows, baseName, format) {
+    const filename = `${baseName}-${new Date().toISOString().split('T')[0]}.${format}`;
+    if (format === 'xlsx') {
+        downloadBlob(new Blob([rowsToXlsx(rows, baseName)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        }), filename);
+    } else {
+        // The BOM makes Excel read the file as UTF-8
+        downloadBlob(new Blob(['\uFEFF' + rowsToCsv(rows, EXPORT_LEADING_COLUMNS)], { type: 'text/csv;charset=utf-8' }), filename);
+    }
+}
+
+/**
+ * Saves a Chart.js chart as PNG on a solid background (the canvas itself is transparent).
+ */
+function exportChartPng(chart, baseName, background) {
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background || '#111827';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    canvas.toBlob(blob => downloadBlob(blob, `${baseName}-${new Date().toISOString().split('T')[0]}.png`), 'image/png');
+}
@@ -0,0 +1,79 @@
+/**
+ * DSE CSV Export
+ *
+ * Any API action can answer with CSV instead of the JSON envelope: ?action=daily&format=csv&token=...
+ * 1. Rows are flattened: nested objects become dotted columns (totalReturns.YTD, staleReturns.MoM),
+ *    arrays are written as JSON.
+ * 2. Columns are the union of every row's fields in first-seen order, so computed signal and indicator
+ *    columns are always included.
+ * 3. Without limit= a CSV export returns every row in one response (no cursor); since= is ignored.
+ * 4. Text cells starting with =, +, -, @ or a tab are written with a leading ' so spreadsheet apps show them
+ *    instead of running them as formulas (notes and imported fields are free text).
+ * Errors still come back as the JSON envelope.
+ *
+ * The dashboard loads this file too (dashboard.html, before export.js): its CSV and XLSX downloads use the
+ * same flattening and CSV rules, so the two exports cannot drift apart. Only csvExportResponse needs Apps Script.
+ */
+
+const EXPORT_FORMATS = ["json", "csv"];
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const CSV_PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * { a: 1, b: { c: 2 } } -> { a: 1, "b.c": 2 }
+ */
+function flattenExportRow(row, prefix, out) {
+    out = out || {};
+    Object.keys(row || {}).forEach(key => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        const value = row[key];
+        if (value instanceof Date) out[name] = value.toISOString();
+        else if (Array.isArray(value)) out[name] = JSON.stringify(value);
+        else if (value !== null && typeof value === 'object') flattenExportRow(value, name, out);
+        else out[name] = value;
+    });
+    return out;
+}
+
+/**
+ * Flattened rows plus their columns: leadingColumns first when present, then every field in first-seen order.
+ */
+function exportTable(rows, leadingColumns) {
+    const flat = rows.map(row => flattenExportRow(row));
+    const seen = new Set();
+    const columns = [];
+    const add = (key) => {
+        if (!seen.has(key)) {
+            seen.add(key);
+            columns.push(key);
+        }
+    };
+    (leadingColumns || []).filter(key => flat.some(row => key in row)).forEach(add);
+    flat.forEach(row => Object.keys(row).forEach(add));
+    return { columns: columns, rows: flat };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let str = value.toString();
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(str) && !CSV_PLAIN_NUMBER.test(str)) str = "'" + str;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function rowsToCsv(rows, leadingColumns) {
+    const table = exportTable(rows, leadingColumns);
+    const lines = [table.columns.map(csvCell).join(",")];
+    table.rows.forEach(row => lines.push(table.columns.map(c => csvCell(row[c])).join(",")));
+    return lines.join("\r\n");
+}
+
+/**
+ * A handler result as a downloadable CSV file; single-object results (version, health) become one row.
+ */
+function csvExportResponse(action, result) {
+    const rows = Array.isArray(result.data) ? result.data : [result.data];
+    const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd");
+    return ContentService.createTextOutput(rowsToCsv(rows))
+        .setMimeType(ContentService.MimeType.CSV)
+        .downloadAsFile(`dse-${action || "analytics"}-${stamp}.csv`);
+}
@@ -0,0 +1,191 @@
+/**
+ * DSE Technical Indicators
+ *
+ * Computed per security over the daily close series (DailyCloses) and added to every analytics row:
+ *   SMA<n>, EMA<n>                      one field per configured length
+ *   RSI<n>                              Wilder's RSI (default 14)
+ *   MACD, MACD_SIGNAL, MACD_HIST        EMA(fast) - EMA(slow), its EMA(signal), and the difference
+ *   BB_UPPER, BB_MIDDLE, BB_LOWER       SMA(length) +/- mult standard deviations
+ *   ATR<n>                              Wilder's average true range (uses HIGH/LOW)
+ * A value is null until the series is long enough for it.
+ *
+ * Lengths can be overridden per request: ?sma=20,50&ema=9,21&rsi=14&atr=14&macd=12,26,9&bb=20,2
+ */
+
+const INDICATOR_DEFAULTS = {
+    sma: [20, 50],
+    ema: [12, 26],
+    rsi: 14,
+    atr: 14,
+    macd: { fast: 12, slow: 26, signal: 9 },
+    bb: { length: 20, mult: 2 }
+};
+
+const INDICATOR_MAX_LENGTH = 250;
+const INDICATOR_MAX_SERIES = 5;
+
+/**
+ * Reads the indicator overrides from the query string; anything not given keeps its default.
+ */
+function parseIndicatorParams(p) {
+    const lengths = (name, v, max) => {
+        const list = v.toString().split(",").map(s => s.trim()).filter(Boolean).map(Number);
+        if (list.length === 0 || list.length > max ||
+            list.some(n => !Number.isInteger(n) || n < 2 || n > INDICATOR_MAX_LENGTH)) {
+            throw new ApiError(`${name} must be up to ${max} comma-separated lengths between 2 and ${INDICATOR_MAX_LENGTH}`);
+        }
+        return list;
+    };
+
+    const config = JSON.parse(JSON.stringify(INDICATOR_DEFAULTS));
+    if (p.sma) config.sma = lengths("sma", p.sma, INDICATOR_MAX_SERIES);
+    if (p.ema) config.ema = lengths("ema", p.ema, INDICATOR_MAX_SERIES);
+    if (p.rsi) config.rsi = lengths("rsi", p.rsi, 1)[0];
+    if (p.atr) config.atr = lengths("atr", p.atr, 1)[0];
+    if (p.macd) {
+        const [fast, slow, signal] = lengths("macd", p.macd, 3);
+        if (!slow || !signal || fast >= slow) throw new ApiError("macd must be fast,slow,signal with fast < slow");
+        config.macd = { fast: fast, slow: slow, signal: signal };
+    }
+    if (p.bb) {
+        const [length, mult] = p.bb.toString().split(",").map(Number);
+        if (!Number.isInteger(length) || length < 2 || length > INDICATOR_MAX_LENGTH || !(mult > 0)) {
+            throw new ApiError("bb must be length,multiplier (e.g. 20,2)");
+        }
+        config.bb = { length: length, mult: mult };
+    }
+    return config;
+}
+
+function smaSeries(values, length) {
+    const out = [];
+    let sum = 0;
+    values.forEach((v, i) => {
+        sum += v;
+        if (i >= length) sum -= values[i - length];
+        out.push(i >= length - 1 ? sum / length : null);
+    });
+    return out;
+}
+
+/**
+ * EMA seeded with the SMA of the first `length` values; nulls in the input are skipped over.
+ */
+function emaSeries(values, length) {
+    const k = 2 / (length + 1);
+    const out = [];
+    let ema = null;
+    const seed = [];
+    values.forEach(v => {
+        if (v === null) {
+            out.push(null);
+            return;
+        }
+        if (ema === null) {
+            seed.push(v);
+            if (seed.length === length) ema = seed.reduce((a, b) => a + b, 0) / length;
+        } else {
+            ema = v * k + ema * (1 - k);
+        }
+        out.push(ema);
+    });
+    return out;
+}
+
+/**
+ * Wilder's smoothing: SMA of the first `length` values, then avg = (avg * (length - 1) + v) / length.
+ */
+function wilderSeries(values, length) {
+    const out = [];
+    let avg = null;
+    let sum = 0;
+    values.forEach((v, i) => {
+        if (avg === null) {
+            sum += v;
+            if (i === length - 1) avg = sum / length;
+        } else {
+            avg = (avg * (length - 1) + v) / length;
+        }
+        out.push(avg);
+    });
+    return out;
+}
+
+function rsiSeries(closes, length) {
+    const gains = [0];
+    const losses = [0];
+    for (let i = 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        gains.push(Math.max(change, 0));
+        losses.push(Math.max(-change, 0));
+    }
+    // The first change is at index 1, so the averages are shifted by one row
+    const avgGain = [null].concat(wilderSeries(gains.slice(1), length));
+    const avgLoss = [null].concat(wilderSeries(losses.slice(1), length));
+
+    return closes.map((c, i) => {
+        if (avgGain[i] === null || avgGain[i] === undefined) return null;
+        if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+        return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+    });
+}
+
+function stdevSeries(values, length, means) {
+    return values.map((v, i) => {
+        if (means[i] === null) return null;
+        let sq = 0;
+        for (let j = i - length + 1; j <= i; j++) sq += Math.pow(values[j] - means[i], 2);
+        return Math.sqrt(sq / length);
+    });
+}
+
+function atrSeries(rows, length) {
+    const trueRanges = rows.map((r, i) => {
+        const high = r.HIGH || r.LAST;
+        const low = r.LOW || r.LAST;
+        if (i === 0) return high - low;
+        const prevClose = rows[i - 1].LAST;
+        return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    });
+    return wilderSeries(trueRanges, length);
+}
+
+/**
+ * Adds the configured indicator fields to every row (rows of all securities, any order).
+ */
+function computeIndicators(data, config) {
+    config = config || INDICATOR_DEFAULTS;
+    const round = (v) => v === null || v === undefined || isNaN(v) ? null : parseFloat(v.toFixed(4));
+
+    const grouped = {};
+    data.forEach(row => {
+        if (row.SECURITY) (grouped[row.SECURITY] = grouped[row.SECURITY] || []).push(row);
+    });
+
+    Object.values(grouped).forEach(rows => {
+        rows.sort((a, b) => a.DATE.localeCompare(b.DATE));
+        const closes = rows.map(r => Number(r.LAST) || 0);
+        const set = (field, series) => rows.forEach((r, i) => { r[field] = round(series[i]); });
+
+        config.sma.forEach(n => set("SMA" + n, smaSeries(closes, n)));
+        config.ema.forEach(n => set("EMA" + n, emaSeries(closes, n)));
+        set("RSI" + config.rsi, rsiSeries(closes, config.rsi));
+        set("ATR" + config.atr, atrSeries(rows, config.atr));
+
+        const fast = emaSeries(closes, config.macd.fast);
+        const slow = emaSeries(closes, config.macd.slow);
+        const macd = closes.map((c, i) => fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null);
+        const signal = emaSeries(macd, config.macd.signal);
+        set("MACD", macd);
+        set("MACD_SIGNAL", signal);
+        set("MACD_HIST", macd.map((m, i) => m !== null && signal[i] !== null ? m - signal[i] : null));
+
+        const middle = smaSeries(closes, config.bb.length);
+        const sd = stdevSeries(closes, config.bb.length, middle);
+        set("BB_MIDDLE", middle);
+        set("BB_UPPER", middle.map((m, i) => m === null ? null : m + config.bb.mult * sd[i]));
+        set("BB_LOWER", middle.map((m, i) => m === null ? null : m - config.bb.mult * sd[i]));
+    });
+
+    return data;
+}
@@ -0,0 +1,219 @@
+/**
+ * DSE Tick Ingestion
+ *
+ * 1. Validates every posted item against TICK_SCHEMA.
+ * 2. Quarantines rejected items with their reasons.
+ * 3. Drops duplicates keyed on security + exchange time + price + volume.
+ * 4. Writes the accepted batch in a single range write.
+ */
+
+const TICK_HEADERS = ["SECURITY", "LAST", "TIME", "TIMESTAMP", "VOL", "BID", "ASK", "BID QTY", "ASK QTY"];
+const QUARANTINE_SHEET = "Quarantine";
+const QUARANTINE_HEADERS = ["RECEIVED", "INDEX", "REASONS", "PAYLOAD"];
+
+// How far back (rows) to look for duplicates of today's ticks
+const DEDUPE_LOOKBACK_ROWS = 5000;
+
+// Field -> accepted aliases in the posted JSON, plus the rule it must satisfy
+const TICK_SCHEMA = {
+    security: { aliases: ["security", "ticker", "symbol"], required: true, type: "symbol" },
+    last: { aliases: ["last", "price"], required: true, type: "price" },
+    time: { aliases: ["time"], required: false, type: "clock" },
+    vol: { aliases: ["vol", "volume"], required: false, type: "quantity" },
+    bid: { aliases: ["bid"], required: false, type: "quantity" },
+    ask: { aliases: ["ask", "offer"], required: false, type: "quantity" },
+    bidQty: { aliases: ["bidQty"], required: false, type: "quantity" },
+    askQty: { aliases: ["askQty"], required: false, type: "quantity" }
+};
+
+/**
+ * Parses "1,250" / 1250 / "" into a number. Returns null for empty, NaN for garbage.
+ */
+function parseTickNumber(v) {
+    if (v === null || v === undefined || v === "") return null;
+    if (typeof v === 'number') return v;
+    const str = v.toString().replace(/,/g, '').trim();
+    if (str === "") return null;
+    return /^-?\d+(\.\d+)?$/.test(str) ? parseFloat(str) : NaN;
+}
+
+/**
+ * Validates one posted item. Returns { tick, reasons }; tick is null when rejected.
+ */
+function validateTick(item, now) {
+    const reasons = [];
+    const tick = {};
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { tick: null, reasons: ["item is not an object"] };
+    }
+
+    Object.keys(TICK_SCHEMA).forEach(field => {
+        const rule = TICK_SCHEMA[field];
+        const alias = rule.aliases.find(a => item[a] !== undefined && item[a] !== null && item[a] !== "");
+        const raw = alias !== undefined ? item[alias] : undefined;
+
+        if (raw === undefined) {
+            if (rule.required) reasons.push(`${field} is required`);
+            tick[field] = null;
+            return;
+        }
+
+        switch (rule.type) {
+            case "symbol": {
+                const sym = raw.toString().trim().toUpperCase();
+                if (!/^[A-Z0-9][A-Z0-9.\-]{0,15}$/.test(sym)) reasons.push(`${field} "${raw}" is not a valid symbol`);
+                tick[field] = sym;
+                break;
+            }
+            case "price": {
+                const num = parseTickNumber(raw);
+                if (num === null || isNaN(num)) reasons.push(`${field} "${raw}" is not a number`);
+                else if (num <= 0) reasons.push(`${field} must be greater than 0`);
+                tick[field] = num;
+                break;
+            }
+            case "quantity": {
+                const num = parseTickNumber(raw);
+                if (num !== null && isNaN(num)) reasons.push(`${field} "${raw}" is not a number`);
+                else if (num !== null && num < 0) reasons.push(`${field} must not be negative`);
+                tick[field] = num;
+                break;
+            }
+            case "clock": {
+                const str = raw.toString().trim();
+                const m = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+                if (!m || +m[1] > 23 || +m[2] > 59 || (m[3] && +m[3] > 59)) {
+                    reasons.push(`${field} "${raw}" is not HH:mm[:ss]`);
+                    tick[field] = str;
+                } else {
+                    tick[field] = [m[1].padStart(2, "0"), m[2], m[3] || "00"].join(":");
+                }
+                break;
+            }
+        }
+    });
+
+    if (reasons.length > 0) return { tick: null, reasons: reasons };
+
+    const tz = Session.getScriptTimeZone();
+    tick.time = tick.time || Utilities.formatDate(now, tz, "HH:mm:ss");
+    tick.timestamp = now;
+    tick.date = Utilities.formatDate(now, tz, "yyyy-MM-dd");
+    ["vol", "bid", "ask", "bidQty", "askQty"].forEach(f => { if (tick[f] === null) tick[f] = 0; });
+
+    return { tick: tick, reasons: [] };
+}
+
+/**
+ * Idempotency key: same security, exchange time, price and volume on the same day is the same tick.
+ */
+function tickKey(security, dateStr, time, price, vol) {
+    return [security, dateStr, time, Number(price), Number(vol)].join("|");
+}
+
+function tickToRow(tick) {
+    return [tick.security, tick.last, tick.time, tick.timestamp, tick.vol, tick.bid, tick.ask, tick.bidQty, tick.askQty];
+}
+
+/**
+ * Normalises a TIME cell (text or a Sheets time value) to HH:mm:ss.
+ */
+function formatTickClock(v) {
+    if (v instanceof Date) return Utilities.formatDate(v, Session.getScriptTimeZone(), "HH:mm:ss");
+    const str = (v || "").toString().trim();
+    const m = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    return m ? [m[1].padStart(2, "0"), m[2], m[3] || "00"].join(":") : str;
+}
+
+/**
+ * Keys of ticks already stored for dateStr, read from the tail of its day sheet.
+ */
+function loadRecentTickKeys(sheet, dateStr) {
+    const keys = new Set();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return keys;
+
+    const startRow = Math.max(2, lastRow - DEDUPE_LOOKBACK_ROWS + 1);
+    const values = sheet.getRange(startRow, 1, lastRow - startRow + 1, TICK_HEADERS.length).getValues();
+    const tz = Session.getScriptTimeZone();
+
+    for (let i = values.length - 1; i >= 0; i--) {
+        const row = values[i];
+        const ts = row[3];
+        if (!ts) continue;
+        const rowDate = ts instanceof Date ? Utilities.formatDate(ts, tz, "yyyy-MM-dd") : ts.toString().split(" ")[0];
+        // Rows are appended in capture order, so older days mean we are done
+        if (rowDate < dateStr) break;
+        if (rowDate !== dateStr) continue;
+
+        const security = (row[0] || "").toString().trim().toUpperCase();
+        keys.add(tickKey(security, rowDate, formatTickClock(row[2]), parseTickNumber(row[1]), parseTickNumber(row[4]) || 0));
+    }
+    return keys;
+}
+
+function quarantineItems(ss, rejections, now) {
+    if (rejections.length === 0) return;
+
+    let sheet = ss.getSheetByName(QUARANTINE_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(QUARANTINE_SHEET);
+        sheet.appendRow(QUARANTINE_HEADERS);
+    }
+
+    const rows = rejections.map(r => [now, r.index, r.reasons.join("; "), JSON.stringify(r.item)]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, QUARANTINE_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Validates, de-duplicates and stores a batch of posted items.
+ * Returns the counts and per-row rejection reasons reported back to the scraper.
+ * The caller (doPost) holds the script lock, so the de-duplication sees every earlier batch.
+ */
+function ingestTicks(ss, items, now) {
+    const dateStr = Utilities.formatDate(now, Session.getScriptTimeZone(), "yyyy-MM-dd");
+    const rejections = [];
+    const accepted = [];
+    let duplicates = 0;
+
+    // Today's partition sheet (storage_backend.js), created with headers on first write
+    const sheet = getTickDaySheet(ss, dateStr, true);
+    const seen = loadRecentTickKeys(sheet, dateStr);
+
+    items.forEach((item, index) => {
+        const result = validateTick(item, now);
+        if (!result.tick) {
+            rejections.push({ index: index, item: item, reasons: result.reasons });
+            return;
+        }
+
+        const t = result.tick;
+        const key = tickKey(t.security, t.date, t.time, t.last, t.vol);
+        if (seen.has(key)) {
+            duplicates++;
+            return;
+        }
+        seen.add(key);
+        accepted.push(t);
+    });
+
+    if (accepted.length > 0) {
+        const startRow = sheet.getLastRow() + 1;
+        sheet.getRange(startRow, 1, accepted.length, TICK_HEADERS.length).setValues(accepted.map(tickToRow));
+    }
+
+    quarantineItems(ss, rejections, now);
+
+    return {
+        accepted: accepted.length,
+        duplicates: duplicates,
+        rejected: rejections.length,
+        rejections: rejections.map(r => ({
+            index: r.index,
+            security: r.item && typeof r.item === 'object' ? (r.item.security || r.item.ticker || r.item.symbol || null) : null,
+            reasons: r.reasons
+        })),
+        ticks: accepted
+    };
+}
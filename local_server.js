@@ -0,0 +1,171 @@
+/**
+ * DSE Local Backend Server
+ *
+ * Serves the Apps Script backend (*_backend.js, run by local_services.js) from Node.js, so the extension and
+ * the analytics work without a Google deployment. Needs nothing beyond Node.js itself.
+ * 1. GET and POST on any path go to doGet/doPost with the event Apps Script would build; point a profile
+ *    on the options page at http://127.0.0.1:8080/exec.
+ * 2. Data is kept as CSV files (default ./local-data) or in a SQLite database (--store sqlite).
+ * 3. Any backend function can be run from the command line, e.g. to issue the first access key:
+ *      node local_server.js run issueAccessKey "Local dev" admin
+ * 4. Listens on 127.0.0.1 only; --host 0.0.0.0 exposes it to the network (every origin is allowed by CORS).
+ * Script Properties (SPREADSHEET_ID, MARKET_OPEN, ...) are properties.json in the data directory, or the
+ * properties table for SQLite. Sessions live in memory, so sign in again after a restart.
+ * node test/analytics_check.js runs the analytics over the fixture store in test/fixtures/analytics, and
+ * node test/portfolio_check.js the holdings over its Transactions sheet.
+ *
+ * Usage: node local_server.js [--port 8080] [--host 127.0.0.1] [--store csv|sqlite] [--data path] [--tz Africa/Dar_es_Salaam]
+ *        node local_server.js [options] run <function> [args...]   (JSON arguments are parsed)
+ */
+
+const http = require('http');
+const path = require('path');
+const { openStore } = require('./local_storage');
+const { createLocalBackend, DEFAULT_TIME_ZONE } = require('./local_services');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, host: DEFAULT_HOST, store: "csv", data: null, tz: DEFAULT_TIME_ZONE };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (positional.length === 0 && arg.startsWith("--")) {
+            const name = arg.slice(2);
+            if (!(name in options)) throw new Error(`Unknown option ${arg}`);
+            options[name] = argv[++i];
+        } else {
+            positional.push(arg);
+        }
+    }
+    options.port = Number(options.port);
+    options.data = options.data || path.join("local-data", options.store === "sqlite" ? "dse.sqlite" : "");
+    return { options: options, positional: positional };
+}
+
+/**
+ * The event object doGet/doPost receive: parameter (first value per name), parameters (all values)
+ * and, for POST, postData.
+ */
+function toAppsScriptEvent(url, body, contentType) {
+    const parameter = {};
+    const parameters = {};
+    url.searchParams.forEach((value, key) => {
+        if (!(key in parameter)) parameter[key] = value;
+        (parameters[key] = parameters[key] || []).push(value);
+    });
+
+    const e = {
+        parameter: parameter,
+        parameters: parameters,
+        queryString: url.search.replace(/^\?/, ""),
+        pathInfo: url.pathname.replace(/^\/(exec|dev)\/?/, "").replace(/^\//, ""),
+        contextPath: "",
+        contentLength: body === null ? -1 : Buffer.byteLength(body)
+    };
+    if (body !== null) {
+        e.postData = { contents: body, length: Buffer.byteLength(body), type: contentType || "text/plain", name: "postData" };
+    }
+    return e;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error("Request body too large"));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function startServer(backend, port, host) {
+    const server = http.createServer(async (req, res) => {
+        const started = Date.now();
+        const cors = {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type"
+        };
+
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, cors);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+        try {
+            if (req.method !== "GET" && req.method !== "POST") {
+                res.writeHead(405, { ...cors, "Content-Type": "text/plain" });
+                res.end("Method not allowed");
+                return;
+            }
+
+            const body = req.method === "POST" ? await readBody(req) : null;
+            const output = backend.call(req.method === "POST" ? "doPost" : "doGet", toAppsScriptEvent(url, body, req.headers['content-type']));
+
+            const headers = { ...cors, "Content-Type": `${output.getMimeType()}; charset=utf-8` };
+            if (output.getFileName()) headers["Content-Disposition"] = `attachment; filename="${output.getFileName()}"`;
+            res.writeHead(200, headers);
+            res.end(output.getContent());
+            console.log(`${req.method} ${url.searchParams.get("action") || "-"} 200 ${Date.now() - started}ms`);
+        } catch (err) {
+            // doGet/doPost answer their own errors; this is a crash in the backend or the emulation
+            console.error(`${req.method} ${url.search} failed:`, err);
+            res.writeHead(500, { ...cors, "Content-Type": "application/json; charset=utf-8" });
+            res.end(JSON.stringify({ status: "error", code: "INTERNAL", message: err.message }));
+        }
+    });
+
+    server.listen(port, host || DEFAULT_HOST, () => {
+        console.log(`DSE local backend on http://${host || DEFAULT_HOST}:${port}/exec`);
+        console.log(`Spreadsheet ${backend.get("SPREADSHEET_ID")}, time zone ${backend.services.timeZone}`);
+    });
+    return server;
+}
+
+function main() {
+    const { options, positional } = parseArgs(process.argv.slice(2));
+    const store = openStore(options.store, options.data);
+    const backend = createLocalBackend({ store: store, timeZone: options.tz, backendDir: __dirname });
+
+    if (positional[0] === "run") {
+        const name = positional[1];
+        if (!name) throw new Error("Usage: node local_server.js run <function> [args...]");
+        const args = positional.slice(2).map(arg => {
+            try {
+                return JSON.parse(arg);
+            } catch (e) {
+                return arg;
+            }
+        });
+        const result = backend.call(name, ...args);
+        if (result !== undefined) console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    if (positional.length > 0) throw new Error(`Unknown command ${positional[0]}`);
+
+    startServer(backend, options.port, options.host);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { toAppsScriptEvent, startServer };
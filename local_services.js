@@ -0,0 +1,632 @@
+/**
+ * DSE Local Apps Script Services
+ *
+ * Just enough of SpreadsheetApp, Utilities, ContentService and the other Apps Script services for the
+ * *_backend.js files to run unchanged under Node.js, over a local_storage.js store.
+ * 1. createLocalBackend() loads every *_backend.js into one vm context (they share a global scope, as in
+ *    Apps Script) with these services as globals. Its call() runs any backend function, doGet and doPost
+ *    included, so computations like aggregateDailyCloses or computeReturns can be run on fixture data.
+ * 2. Spreadsheets are held in memory once opened; call() writes the sheets it changed back to the store.
+ * 3. Cell values are stored as text and read back as numbers, booleans and dates the way Sheets returns them;
+ *    columns given the "@" number format stay text.
+ * 4. Not emulated: charts are accepted and dropped, triggers are recorded but never fire (run the function
+ *    instead), locks are no-ops (one request runs at a time), and the cache lives in memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+const { encodeCell, decodeCell, parseCsv } = require('./local_storage');
+
+const DEFAULT_TIME_ZONE = "Africa/Dar_es_Salaam";
+const CACHE_DEFAULT_TTL_SECONDS = 600;
+const CACHE_MAX_TTL_SECONDS = 21600;
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Utilities.formatDate: the SimpleDateFormat letters the backend uses (y M d H h m s S E a Z X) and 'quoted' text.
+ */
+function formatDate(date, timeZone, pattern) {
+    if (!date || isNaN(date.getTime())) throw new Error("Invalid date passed to formatDate");
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    const hour = Number(parts.hour);
+    const minute = Number(parts.minute);
+    const second = Number(parts.second);
+    const local = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    const weekday = new Date(local).getUTCDay();
+    const pad = (n, width) => n.toString().padStart(width, "0");
+    const zone = (separator) => (offset < 0 ? "-" : "+") + pad(Math.floor(Math.abs(offset) / 60), 2) + separator + pad(Math.abs(offset) % 60, 2);
+
+    return pattern.replace(/'[^']*'|y+|M+|d+|H+|h+|m+|s+|S+|E+|a|Z+|X+/g, token => {
+        const width = token.length;
+        switch (token[0]) {
+            case "'": return width === 2 ? "'" : token.slice(1, -1);
+            case 'y': return width === 2 ? pad(year % 100, 2) : pad(year, width);
+            case 'M': return width >= 4 ? MONTH_NAMES[month - 1] : width === 3 ? MONTH_NAMES[month - 1].slice(0, 3) : pad(month, width);
+            case 'd': return pad(day, width);
+            case 'H': return pad(hour, width);
+            case 'h': return pad(hour % 12 || 12, width);
+            case 'm': return pad(minute, width);
+            case 's': return pad(second, width);
+            case 'S': return pad(date.getTime() % 1000, 3).slice(0, width);
+            case 'E': return width >= 4 ? DAY_NAMES[weekday] : DAY_NAMES[weekday].slice(0, 3);
+            case 'a': return hour < 12 ? "AM" : "PM";
+            case 'Z': return zone("");
+            case 'X': return offset === 0 ? "Z" : zone(width >= 3 ? ":" : "");
+        }
+        return token;
+    });
+}
+
+// Apps Script hands byte arrays over as signed Java bytes
+function toSignedBytes(buffer) {
+    return Array.from(buffer, b => b > 127 ? b - 256 : b);
+}
+
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (Array.isArray(data)) return Buffer.from(data.map(b => b & 0xFF));
+    return Buffer.from((data === null || data === undefined ? "" : data).toString(), 'utf8');
+}
+
+class LocalBlob {
+    constructor(bytes, contentType, name) {
+        this.bytes = bytes;
+        this.contentType = contentType || null;
+        this.name = name || null;
+    }
+
+    getBytes() { return toSignedBytes(this.bytes); }
+    getDataAsString() { return this.bytes.toString('utf8'); }
+    getContentType() { return this.contentType; }
+    setContentType(contentType) { this.contentType = contentType; return this; }
+    getName() { return this.name; }
+    setName(name) { this.name = name; return this; }
+    copyBlob() { return new LocalBlob(Buffer.from(this.bytes), this.contentType, this.name); }
+}
+
+class TextOutput {
+    constructor(content) {
+        this.content = content || "";
+        this.mimeType = "text/plain";
+        this.fileName = null;
+    }
+
+    getContent() { return this.content; }
+    setContent(content) { this.content = content; return this; }
+    append(content) { this.content += content; return this; }
+    getMimeType() { return this.mimeType; }
+    setMimeType(mimeType) { this.mimeType = mimeType; return this; }
+    getFileName() { return this.fileName; }
+    downloadAsFile(fileName) { this.fileName = fileName; return this; }
+}
+
+/**
+ * "A1", "A1:C10", "A:A" or "J:K" -> { row, col, numRows, numCols } (numRows null for whole columns).
+ */
+function parseA1(notation) {
+    const match = /^([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/i.exec(notation.trim());
+    if (!match) throw new Error("Range not found: " + notation);
+    const column = (letters) => letters.toUpperCase().split("").reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0);
+    const col = column(match[1]);
+    const endCol = match[3] ? column(match[3]) : col;
+    if (!match[2]) return { row: 1, col: col, numRows: null, numCols: endCol - col + 1 };
+    const row = Number(match[2]);
+    const endRow = match[4] ? Number(match[4]) : row;
+    return { row: row, col: col, numRows: endRow - row + 1, numCols: endCol - col + 1 };
+}
+
+class LocalRange {
+    constructor(sheet, row, col, numRows, numCols) {
+        if (row < 1 || col < 1) throw new Error("The coordinates of the range are outside the dimensions of the sheet.");
+        this.sheet = sheet;
+        this.row = row;
+        this.col = col;
+        // null: whole columns, as far down as there is data
+        this.numRows = numRows;
+        this.numCols = numCols;
+    }
+
+    getRow() { return this.row; }
+    getColumn() { return this.col; }
+    getNumRows() { return this.numRows === null ? Math.max(this.sheet.getLastRow() - this.row + 1, 0) : this.numRows; }
+    getNumColumns() { return this.numCols; }
+
+    getValues() {
+        const values = [];
+        const numRows = this.getNumRows();
+        for (let r = 0; r < numRows; r++) {
+            const source = this.sheet.rows[this.row - 1 + r] || [];
+            const out = [];
+            for (let c = 0; c < this.numCols; c++) {
+                const value = source[this.col - 1 + c];
+                out.push(value === undefined || value === null ? "" : value);
+            }
+            values.push(out);
+        }
+        return values;
+    }
+
+    getValue() {
+        return this.getValues()[0][0];
+    }
+
+    setValues(values) {
+        const numRows = this.getNumRows();
+        if (values.length !== numRows) {
+            throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${numRows}.`);
+        }
+        values.forEach((rowValues, r) => {
+            if (rowValues.length !== this.numCols) {
+                throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${rowValues.length} but the range has ${this.numCols}.`);
+            }
+            rowValues.forEach((value, c) => this.sheet.setCell(this.row + r, this.col + c, value));
+        });
+        this.sheet.touch();
+        return this;
+    }
+
+    setValue(value) {
+        this.sheet.setCell(this.row, this.col, value);
+        this.sheet.touch();
+        return this;
+    }
+
+    clearContent() {
+        const numRows = this.getNumRows();
+        for (let r = 0; r < numRows; r++) {
+            for (let c = 0; c < this.numCols; c++) this.sheet.setCell(this.row + r, this.col + c, "");
+        }
+        this.sheet.touch();
+        return this;
+    }
+
+    setNumberFormat(format) {
+        for (let c = this.col; c < this.col + this.numCols; c++) {
+            if (format === "@") this.sheet.textColumns.add(c);
+            else this.sheet.textColumns.delete(c);
+        }
+        this.sheet.touch();
+        return this;
+    }
+}
+
+class LocalSheet {
+    constructor(spreadsheet, name, rows, textColumns) {
+        this.spreadsheet = spreadsheet;
+        this.name = name;
+        this.rows = rows;
+        // 1-based columns formatted as plain text ("@")
+        this.textColumns = new Set(textColumns);
+    }
+
+    getName() { return this.name; }
+    getParent() { return this.spreadsheet; }
+
+    touch() {
+        this.spreadsheet.services.markChanged(this.spreadsheet, this.name);
+    }
+
+    /**
+     * Stores a value the way Sheets would read it back (numeric text becomes a number, and so on),
+     * so values look the same before and after the store is reloaded.
+     */
+    setCell(row, col, value) {
+        while (this.rows.length < row) this.rows.push([]);
+        const cells = this.rows[row - 1];
+        while (cells.length < col - 1) cells.push("");
+        cells[col - 1] = decodeCell(encodeCell(value), this.textColumns.has(col), this.spreadsheet.services.DateCtor);
+    }
+
+    getLastRow() {
+        for (let r = this.rows.length; r > 0; r--) {
+            if (this.rows[r - 1].some(v => v !== "" && v !== null && v !== undefined)) return r;
+        }
+        return 0;
+    }
+
+    getLastColumn() {
+        let last = 0;
+        this.rows.forEach(cells => cells.forEach((v, c) => {
+            if (v !== "" && v !== null && v !== undefined && c + 1 > last) last = c + 1;
+        }));
+        return last;
+    }
+
+    getRange(rowOrA1, col, numRows, numCols) {
+        if (typeof rowOrA1 === 'string') {
+            const a1 = parseA1(rowOrA1);
+            return new LocalRange(this, a1.row, a1.col, a1.numRows, a1.numCols);
+        }
+        return new LocalRange(this, rowOrA1, col, numRows === undefined ? 1 : numRows, numCols === undefined ? 1 : numCols);
+    }
+
+    getDataRange() {
+        return new LocalRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+    }
+
+    appendRow(values) {
+        const row = this.getLastRow() + 1;
+        values.forEach((value, c) => this.setCell(row, c + 1, value));
+        this.touch();
+        return this;
+    }
+
+    clearContents() {
+        this.rows = [];
+        this.touch();
+        return this;
+    }
+
+    clear() {
+        return this.clearContents();
+    }
+
+    // Charts are accepted and dropped
+    newChart() {
+        const builder = {
+            setChartType: () => builder,
+            addRange: () => builder,
+            setPosition: () => builder,
+            setOption: () => builder,
+            build: () => ({})
+        };
+        return builder;
+    }
+
+    insertChart() {}
+
+    getCharts() {
+        return [];
+    }
+}
+
+class LocalSpreadsheet {
+    constructor(services, id, name) {
+        this.services = services;
+        this.id = id;
+        this.name = name;
+        this.sheets = [];
+    }
+
+    getId() { return this.id; }
+    getName() { return this.name; }
+    getUrl() { return `local://spreadsheets/${this.id}`; }
+    getSheets() { return this.sheets.slice(); }
+
+    getSheetByName(name) {
+        return this.sheets.find(s => s.name === name) || null;
+    }
+
+    insertSheet(name) {
+        name = name || `Sheet${this.sheets.length + 1}`;
+        if (this.getSheetByName(name)) {
+            throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+        }
+        const sheet = new LocalSheet(this, name, [], []);
+        this.sheets.push(sheet);
+        sheet.touch();
+        return sheet;
+    }
+
+    deleteSheet(sheet) {
+        this.sheets = this.sheets.filter(s => s !== sheet);
+        this.services.markChanged(this, null);
+    }
+}
+
+class LocalServices {
+    constructor(store, timeZone, DateCtor) {
+        this.store = store;
+        this.timeZone = timeZone || DEFAULT_TIME_ZONE;
+        // The backend context's Date, so the dates it reads pass instanceof Date
+        this.DateCtor = DateCtor || Date;
+        this.spreadsheets = new Map();
+        // spreadsheet -> names of sheets whose rows changed
+        this.changed = new Map();
+        this.cache = new Map();
+        this.triggers = [];
+        this.properties = null;
+    }
+
+    markChanged(spreadsheet, sheetName) {
+        if (!this.changed.has(spreadsheet)) this.changed.set(spreadsheet, new Set());
+        if (sheetName) this.changed.get(spreadsheet).add(sheetName);
+    }
+
+    /**
+     * Writes every changed spreadsheet back to the store.
+     */
+    flush() {
+        this.changed.forEach((sheetNames, spreadsheet) => {
+            if (this.spreadsheets.get(spreadsheet.id) !== spreadsheet) return;
+            this.store.writeSpreadsheet(spreadsheet.id, spreadsheet.name, spreadsheet.sheets.map(sheet => ({
+                name: sheet.name,
+                textColumns: Array.from(sheet.textColumns).sort((a, b) => a - b),
+                rows: sheet.rows.slice(0, sheet.getLastRow()).map(cells => cells.map(encodeCell))
+            })), sheetNames);
+        });
+        this.changed.clear();
+    }
+
+    openSpreadsheet(id) {
+        if (this.spreadsheets.has(id)) return this.spreadsheets.get(id);
+
+        const stored = this.store.readSpreadsheet(id);
+        if (!stored) {
+            // A first run starts from an empty spreadsheet, like a new Google Sheet
+            console.log(`Creating local spreadsheet ${id}`);
+            return this.createSpreadsheet(id, id);
+        }
+
+        const spreadsheet = new LocalSpreadsheet(this, id, stored.name);
+        spreadsheet.sheets = stored.sheets.map(s => {
+            const text = new Set(s.textColumns);
+            const rows = s.rows.map(cells => cells.map((cell, c) => decodeCell(cell, text.has(c + 1), this.DateCtor)));
+            return new LocalSheet(spreadsheet, s.name, rows, s.textColumns);
+        });
+        this.spreadsheets.set(id, spreadsheet);
+        return spreadsheet;
+    }
+
+    createSpreadsheet(id, name) {
+        const spreadsheet = new LocalSpreadsheet(this, id, name);
+        this.spreadsheets.set(id, spreadsheet);
+        spreadsheet.insertSheet("Sheet1");
+        return spreadsheet;
+    }
+
+    getProperties() {
+        if (!this.properties) this.properties = this.store.readProperties();
+        return this.properties;
+    }
+
+    setProperties(properties) {
+        this.properties = properties;
+        this.store.writeProperties(properties);
+    }
+
+    driveFile(id) {
+        if (this.spreadsheets.has(id) || this.store.hasSpreadsheet(id)) {
+            return {
+                getId: () => id,
+                getName: () => this.openSpreadsheet(id).getName(),
+                getMimeType: () => "application/vnd.google-apps.spreadsheet",
+                getParents: () => ({ hasNext: () => false, next: () => { throw new Error("No more parents"); } }),
+                moveTo: function () { return this; },
+                getBlob: () => { throw new Error("Spreadsheets cannot be read as a blob locally"); },
+                setTrashed: (trashed) => {
+                    if (!trashed) return;
+                    this.spreadsheets.delete(id);
+                    this.store.deleteSpreadsheet(id);
+                }
+            };
+        }
+
+        const stored = this.store.readFile(id);
+        if (!stored) throw new Error(`No item with the given ID could be found: ${id}`);
+        return {
+            getId: () => id,
+            getName: () => stored.name,
+            getMimeType: () => stored.mimeType,
+            getParents: () => ({ hasNext: () => false, next: () => { throw new Error("No more parents"); } }),
+            moveTo: function () { return this; },
+            getBlob: () => new LocalBlob(stored.bytes, stored.mimeType, stored.name),
+            setTrashed: (trashed) => this.store.writeFile(id, { ...stored, trashed: !!trashed })
+        };
+    }
+
+    /**
+     * The Apps Script globals the backend files expect.
+     */
+    globals() {
+        const services = this;
+
+        const folder = {
+            getId: () => "root",
+            getName: () => "My Drive",
+            createFile: (blobOrName, content, mimeType) => {
+                const blob = typeof blobOrName === 'string' ?
+                    new LocalBlob(toBuffer(content), mimeType || "text/plain", blobOrName) : blobOrName;
+                const id = crypto.randomUUID();
+                services.store.writeFile(id, { name: blob.getName(), mimeType: blob.getContentType(), trashed: false }, blob.bytes);
+                return services.driveFile(id);
+            }
+        };
+
+        const scriptProperties = {
+            getProperty: (key) => {
+                const value = services.getProperties()[key];
+                return value === undefined ? null : value;
+            },
+            getProperties: () => ({ ...services.getProperties() }),
+            getKeys: () => Object.keys(services.getProperties()),
+            setProperty: (key, value) => {
+                services.setProperties({ ...services.getProperties(), [key]: String(value) });
+                return scriptProperties;
+            },
+            setProperties: (properties, deleteAllOthers) => {
+                const next = deleteAllOthers ? {} : { ...services.getProperties() };
+                Object.entries(properties).forEach(([key, value]) => { next[key] = String(value); });
+                services.setProperties(next);
+                return scriptProperties;
+            },
+            deleteProperty: (key) => {
+                const next = { ...services.getProperties() };
+                delete next[key];
+                services.setProperties(next);
+                return scriptProperties;
+            }
+        };
+
+        const scriptCache = {
+            get: (key) => {
+                const entry = services.cache.get(key);
+                if (!entry) return null;
+                if (entry.expires < Date.now()) {
+                    services.cache.delete(key);
+                    return null;
+                }
+                return entry.value;
+            },
+            put: (key, value, ttlSeconds) => {
+                const ttl = Math.min(ttlSeconds || CACHE_DEFAULT_TTL_SECONDS, CACHE_MAX_TTL_SECONDS);
+                services.cache.set(key, { value: String(value), expires: Date.now() + ttl * 1000 });
+            },
+            remove: (key) => { services.cache.delete(key); },
+            getAll: (keys) => {
+                const found = {};
+                keys.forEach(key => {
+                    const value = scriptCache.get(key);
+                    if (value !== null) found[key] = value;
+                });
+                return found;
+            },
+            putAll: (values, ttlSeconds) => Object.entries(values).forEach(([key, value]) => scriptCache.put(key, value, ttlSeconds))
+        };
+
+        // One request runs at a time, so locks always succeed
+        const lock = {
+            waitLock: () => {},
+            tryLock: () => true,
+            hasLock: () => true,
+            releaseLock: () => {}
+        };
+
+        const newTrigger = (handler) => {
+            const builder = {};
+            ["timeBased", "everyMinutes", "everyHours", "everyDays", "everyWeeks", "onWeekDay", "onMonthDay", "atHour", "nearMinute", "inTimezone"]
+                .forEach(method => { builder[method] = () => builder; });
+            builder.create = () => {
+                const trigger = { getHandlerFunction: () => handler, getUniqueId: () => crypto.randomUUID() };
+                services.triggers.push(trigger);
+                console.log(`Trigger for ${handler} recorded; triggers don't fire locally (run: node local_server.js run ${handler})`);
+                return trigger;
+            };
+            return builder;
+        };
+
+        return {
+            SpreadsheetApp: {
+                openById: (id) => services.openSpreadsheet(id.toString()),
+                create: (name) => services.createSpreadsheet("local-" + crypto.randomUUID().split("-")[0], name),
+                getActiveSpreadsheet: () => null,
+                flush: () => services.flush()
+            },
+            DriveApp: {
+                getFileById: (id) => services.driveFile(id.toString()),
+                getRootFolder: () => folder
+            },
+            PropertiesService: {
+                getScriptProperties: () => scriptProperties
+            },
+            CacheService: {
+                getScriptCache: () => scriptCache
+            },
+            LockService: {
+                getScriptLock: () => lock,
+                getDocumentLock: () => lock,
+                getUserLock: () => lock
+            },
+            Session: {
+                getScriptTimeZone: () => services.timeZone
+            },
+            ContentService: {
+                createTextOutput: (content) => new TextOutput(content),
+                MimeType: {
+                    JSON: "application/json",
+                    CSV: "text/csv",
+                    TEXT: "text/plain",
+                    JAVASCRIPT: "application/javascript",
+                    XML: "text/xml"
+                }
+            },
+            Utilities: {
+                formatDate: formatDate,
+                getUuid: () => crypto.randomUUID(),
+                parseCsv: (csv) => parseCsv(csv.toString()),
+                newBlob: (data, contentType, name) => new LocalBlob(toBuffer(data), contentType, name),
+                gzip: (blob, name) => new LocalBlob(zlib.gzipSync(blob.bytes), "application/x-gzip", name || `${blob.getName()}.gz`),
+                ungzip: (blob) => new LocalBlob(zlib.gunzipSync(blob.bytes), null, (blob.getName() || "").replace(/\.gz$/, "")),
+                base64Encode: (data) => toBuffer(data).toString('base64'),
+                base64EncodeWebSafe: (data) => toBuffer(data).toString('base64').replace(/\+/g, "-").replace(/\//g, "_"),
+                base64Decode: (str) => toSignedBytes(Buffer.from(str, 'base64')),
+                base64DecodeWebSafe: (str) => toSignedBytes(Buffer.from(str.replace(/-/g, "+").replace(/_/g, "/"), 'base64')),
+                computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+                computeHmacSha256Signature: (value, key) => toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+                DigestAlgorithm: { MD5: "md5", SHA_1: "sha1", SHA_256: "sha256", SHA_512: "sha512" },
+                Charset: { UTF_8: "UTF-8", US_ASCII: "US-ASCII" }
+            },
+            ScriptApp: {
+                getProjectTriggers: () => services.triggers.slice(),
+                deleteTrigger: (trigger) => { services.triggers = services.triggers.filter(t => t !== trigger); },
+                newTrigger: newTrigger,
+                WeekDay: { SUNDAY: "SUNDAY", MONDAY: "MONDAY", TUESDAY: "TUESDAY", WEDNESDAY: "WEDNESDAY", THURSDAY: "THURSDAY", FRIDAY: "FRIDAY", SATURDAY: "SATURDAY" }
+            },
+            Charts: {
+                ChartType: { AREA: "AREA", BAR: "BAR", COLUMN: "COLUMN", LINE: "LINE", PIE: "PIE", SCATTER: "SCATTER", TABLE: "TABLE" }
+            },
+            Logger: {
+                log: (...args) => console.log(...args)
+            }
+        };
+    }
+}
+
+/**
+ * Loads the *_backend.js files in backendDir (alphabetically) over a store; their top-level code
+ * (Script Properties settings, constants) runs here, once.
+ */
+function createLocalBackend(options) {
+    const backendDir = options.backendDir || __dirname;
+    const context = vm.createContext({ console: console });
+    const services = new LocalServices(options.store, options.timeZone, vm.runInContext("Date", context));
+    Object.assign(context, services.globals());
+
+    fs.readdirSync(backendDir).filter(f => f.endsWith("_backend.js")).sort().forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(backendDir, file), 'utf8'), context, { filename: file });
+    });
+
+    return {
+        context: context,
+        services: services,
+        /**
+         * Runs a backend function and saves what it changed.
+         */
+        call(name, ...args) {
+            if (typeof context[name] !== 'function') throw new Error(`No backend function named ${name}`);
+            try {
+                return context[name](...args);
+            } finally {
+                services.flush();
+            }
+        },
+        /**
+         * A top-level constant or function of the backend, e.g. get("SPREADSHEET_ID").
+         */
+        get(name) {
+            return vm.runInContext(name, context);
+        }
+    };
+}
+
+module.exports = { createLocalBackend, LocalServices, formatDate, DEFAULT_TIME_ZONE };
@@ -0,0 +1,308 @@
+/**
+ * DSE Local Backend Storage
+ *
+ * Where local_services.js keeps the spreadsheets, Script Properties and Drive files of a local backend.
+ * 1. Both adapters store sheets as rows of text cells (encodeCell/decodeCell turn them back into numbers,
+ *    booleans and dates the way Sheets would hand them to the backend).
+ * 2. CsvStore: a directory per spreadsheet holding one CSV per sheet plus workbook.json (sheet order and
+ *    text-formatted columns). CSV files dropped into a spreadsheet's directory are picked up as extra sheets,
+ *    so fixture data can be copied straight in.
+ * 3. SqliteStore: one database file; needs a Node.js with the built-in node:sqlite module (22.5 or later).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WORKBOOK_FILE = "workbook.json";
+const PROPERTIES_FILE = "properties.json";
+const FILES_DIR = "_files";
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/;
+// Only full timestamps become dates; "yyyy-MM-dd" stays text like the backend's "@" date columns
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function isDate(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function encodeCell(value) {
+    if (value === null || value === undefined) return "";
+    if (isDate(value)) return isNaN(value.getTime()) ? "" : value.toISOString();
+    if (typeof value === 'boolean') return value ? "TRUE" : "FALSE";
+    return value.toString();
+}
+
+/**
+ * A stored cell back as a value. DateCtor is the backend context's Date, so instanceof Date holds there.
+ */
+function decodeCell(text, isTextColumn, DateCtor) {
+    if (text === "" || isTextColumn) return text;
+    if (text === "TRUE" || text === "FALSE") return text === "TRUE";
+    if (NUMBER_PATTERN.test(text)) return Number(text);
+    if (TIMESTAMP_PATTERN.test(text)) return new DateCtor(text);
+    return text;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = "";
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += c;
+        }
+    }
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function formatCsv(rows) {
+    const cell = (str) => /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    return rows.map(row => row.map(cell).join(",")).join("\r\n") + (rows.length > 0 ? "\r\n" : "");
+}
+
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Spreadsheets as directories of CSV files under dir.
+ */
+class CsvStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(path.join(this.dir, FILES_DIR), { recursive: true });
+    }
+
+    spreadsheetDir(id) {
+        return path.join(this.dir, encodeURIComponent(id));
+    }
+
+    sheetFile(id, name) {
+        return path.join(this.spreadsheetDir(id), encodeURIComponent(name) + ".csv");
+    }
+
+    hasSpreadsheet(id) {
+        return fs.existsSync(this.spreadsheetDir(id));
+    }
+
+    /**
+     * { name, sheets: [{ name, textColumns, rows }] } or null.
+     */
+    readSpreadsheet(id) {
+        const dir = this.spreadsheetDir(id);
+        if (!fs.existsSync(dir)) return null;
+        const meta = readJson(path.join(dir, WORKBOOK_FILE), { name: id, sheets: [] });
+
+        const listed = new Set(meta.sheets.map(s => s.name));
+        fs.readdirSync(dir).filter(f => f.endsWith(".csv")).sort().forEach(f => {
+            const name = decodeURIComponent(f.slice(0, -4));
+            if (!listed.has(name)) meta.sheets.push({ name: name, textColumns: [] });
+        });
+
+        return {
+            name: meta.name,
+            sheets: meta.sheets.map(s => {
+                const file = this.sheetFile(id, s.name);
+                return {
+                    name: s.name,
+                    textColumns: s.textColumns || [],
+                    rows: fs.existsSync(file) ? parseCsv(fs.readFileSync(file, 'utf8')) : []
+                };
+            })
+        };
+    }
+
+    /**
+     * Saves the sheet list and the named sheets' rows; sheets no longer listed lose their file.
+     */
+    writeSpreadsheet(id, name, sheets, changed) {
+        const dir = this.spreadsheetDir(id);
+        fs.mkdirSync(dir, { recursive: true });
+        const names = new Set(sheets.map(s => s.name));
+
+        sheets.filter(s => changed.has(s.name)).forEach(s => {
+            fs.writeFileSync(this.sheetFile(id, s.name), formatCsv(s.rows));
+        });
+        fs.readdirSync(dir).filter(f => f.endsWith(".csv")).forEach(f => {
+            if (!names.has(decodeURIComponent(f.slice(0, -4)))) fs.unlinkSync(path.join(dir, f));
+        });
+        writeJson(path.join(dir, WORKBOOK_FILE), {
+            name: name,
+            sheets: sheets.map(s => ({ name: s.name, textColumns: s.textColumns }))
+        });
+    }
+
+    deleteSpreadsheet(id) {
+        fs.rmSync(this.spreadsheetDir(id), { recursive: true, force: true });
+    }
+
+    readProperties() {
+        return readJson(path.join(this.dir, PROPERTIES_FILE), {});
+    }
+
+    writeProperties(properties) {
+        writeJson(path.join(this.dir, PROPERTIES_FILE), properties);
+    }
+
+    /**
+     * { name, mimeType, trashed, bytes (Buffer) } or null.
+     */
+    readFile(id) {
+        const index = readJson(path.join(this.dir, FILES_DIR, "index.json"), {});
+        const file = path.join(this.dir, FILES_DIR, encodeURIComponent(id));
+        if (!index[id] || !fs.existsSync(file)) return null;
+        return { ...index[id], bytes: fs.readFileSync(file) };
+    }
+
+    writeFile(id, meta, bytes) {
+        const indexFile = path.join(this.dir, FILES_DIR, "index.json");
+        const index = readJson(indexFile, {});
+        index[id] = { name: meta.name, mimeType: meta.mimeType, trashed: !!meta.trashed };
+        if (bytes) fs.writeFileSync(path.join(this.dir, FILES_DIR, encodeURIComponent(id)), bytes);
+        writeJson(indexFile, index);
+    }
+}
+
+/**
+ * Spreadsheets, properties and files in one SQLite database.
+ */
+class SqliteStore {
+    constructor(file) {
+        let sqlite;
+        try {
+            sqlite = require('node:sqlite');
+        } catch (e) {
+            throw new Error(`SQLite storage needs Node.js 22.5 or later (running ${process.version}); use the CSV store instead`);
+        }
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        this.db = new sqlite.DatabaseSync(file);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS spreadsheets (id TEXT PRIMARY KEY, name TEXT);
+            CREATE TABLE IF NOT EXISTS sheets (spreadsheet_id TEXT, name TEXT, position INTEGER, text_columns TEXT,
+                PRIMARY KEY (spreadsheet_id, name));
+            CREATE TABLE IF NOT EXISTS sheet_rows (spreadsheet_id TEXT, sheet TEXT, row_index INTEGER, cells TEXT,
+                PRIMARY KEY (spreadsheet_id, sheet, row_index));
+            CREATE TABLE IF NOT EXISTS properties (key TEXT PRIMARY KEY, value TEXT);
+            CREATE TABLE IF NOT EXISTS files (id TEXT PRIMARY KEY, name TEXT, mime_type TEXT, trashed INTEGER, data BLOB);
+        `);
+    }
+
+    hasSpreadsheet(id) {
+        return !!this.db.prepare("SELECT id FROM spreadsheets WHERE id = ?").get(id);
+    }
+
+    readSpreadsheet(id) {
+        const book = this.db.prepare("SELECT name FROM spreadsheets WHERE id = ?").get(id);
+        if (!book) return null;
+        const rowsOf = this.db.prepare("SELECT cells FROM sheet_rows WHERE spreadsheet_id = ? AND sheet = ? ORDER BY row_index");
+        return {
+            name: book.name,
+            sheets: this.db.prepare("SELECT name, text_columns FROM sheets WHERE spreadsheet_id = ? ORDER BY position").all(id)
+                .map(s => ({
+                    name: s.name,
+                    textColumns: JSON.parse(s.text_columns || "[]"),
+                    rows: rowsOf.all(id, s.name).map(r => JSON.parse(r.cells))
+                }))
+        };
+    }
+
+    writeSpreadsheet(id, name, sheets, changed) {
+        const insertRow = this.db.prepare("INSERT INTO sheet_rows (spreadsheet_id, sheet, row_index, cells) VALUES (?, ?, ?, ?)");
+        const insertSheet = this.db.prepare("INSERT INTO sheets (spreadsheet_id, name, position, text_columns) VALUES (?, ?, ?, ?)");
+        this.db.exec("BEGIN");
+        try {
+            this.db.prepare("INSERT OR REPLACE INTO spreadsheets (id, name) VALUES (?, ?)").run(id, name);
+            this.db.prepare("DELETE FROM sheets WHERE spreadsheet_id = ?").run(id);
+            sheets.forEach((s, i) => insertSheet.run(id, s.name, i, JSON.stringify(s.textColumns)));
+
+            const names = new Set(sheets.map(s => s.name));
+            this.db.prepare("SELECT DISTINCT sheet FROM sheet_rows WHERE spreadsheet_id = ?").all(id)
+                .filter(r => !names.has(r.sheet) || changed.has(r.sheet))
+                .forEach(r => this.db.prepare("DELETE FROM sheet_rows WHERE spreadsheet_id = ? AND sheet = ?").run(id, r.sheet));
+            sheets.filter(s => changed.has(s.name)).forEach(s => {
+                s.rows.forEach((row, i) => insertRow.run(id, s.name, i, JSON.stringify(row)));
+            });
+            this.db.exec("COMMIT");
+        } catch (err) {
+            this.db.exec("ROLLBACK");
+            throw err;
+        }
+    }
+
+    deleteSpreadsheet(id) {
+        ["sheet_rows", "sheets"].forEach(table => this.db.prepare(`DELETE FROM ${table} WHERE spreadsheet_id = ?`).run(id));
+        this.db.prepare("DELETE FROM spreadsheets WHERE id = ?").run(id);
+    }
+
+    readProperties() {
+        const properties = {};
+        this.db.prepare("SELECT key, value FROM properties").all().forEach(r => { properties[r.key] = r.value; });
+        return properties;
+    }
+
+    writeProperties(properties) {
+        this.db.exec("BEGIN");
+        this.db.prepare("DELETE FROM properties").run();
+        const insert = this.db.prepare("INSERT INTO properties (key, value) VALUES (?, ?)");
+        Object.entries(properties).forEach(([key, value]) => insert.run(key, value));
+        this.db.exec("COMMIT");
+    }
+
+    readFile(id) {
+        const row = this.db.prepare("SELECT name, mime_type, trashed, data FROM files WHERE id = ?").get(id);
+        if (!row) return null;
+        return { name: row.name, mimeType: row.mime_type, trashed: !!row.trashed, bytes: Buffer.from(row.data) };
+    }
+
+    writeFile(id, meta, bytes) {
+        const existing = this.readFile(id);
+        this.db.prepare("INSERT OR REPLACE INTO files (id, name, mime_type, trashed, data) VALUES (?, ?, ?, ?, ?)")
+            .run(id, meta.name, meta.mimeType, meta.trashed ? 1 : 0, bytes || (existing ? existing.bytes : Buffer.alloc(0)));
+    }
+}
+
+/**
+ * "csv" (default) or "sqlite"; location is a directory for CSV and a database file for SQLite.
+ */
+function openStore(kind, location) {
+    if (kind === "sqlite") return new SqliteStore(location);
+    if (kind && kind !== "csv") throw new Error("Unknown store: " + kind);
+    return new CsvStore(location);
+}
+
+module.exports = { CsvStore, SqliteStore, openStore, encodeCell, decodeCell, parseCsv, formatCsv, isDate };
@@ -0,0 +1,151 @@
+/**
+ * DSE Market Breadth & Index
+ *
+ * 1. Breadth per trading date, from DailyCloses: advancers, decliners and unchanged (close vs the security's
+ *    previous close), new 52-week highs/lows (close above/below every close of the previous 365 days),
+ *    total volume and turnover (close x day volume, TZS).
+ * 2. A capitalisation-weighted index from the "SharesOutstanding" sheet (SECURITY, SHARES, EFFECTIVE).
+ *    EFFECTIVE is optional; the row with the latest EFFECTIVE on or before a date applies to it.
+ *    The index is chain-linked: each day moves by the change in market cap of the securities quoted on both
+ *    days, valued with that day's share counts, so listings and share changes do not move it.
+ *    Breadth and the index move on corporate-action adjusted closes; market cap uses the raw close.
+ * 3. The index gets its own calendar-anchored DoD/WTD/MoM/MTD/YoY/YTD (calendar_backend.js).
+ */
+
+const SHARES_SHEET = "SharesOutstanding";
+const SHARES_HEADERS = ["SECURITY", "SHARES", "EFFECTIVE"];
+
+const MARKET_INDEX_BASE = 1000;
+const BREADTH_LOOKBACK_DAYS = 365;
+
+function getSharesSheet(ss) {
+    let sheet = ss.getSheetByName(SHARES_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHARES_SHEET);
+        sheet.appendRow(SHARES_HEADERS);
+        sheet.getRange("C:C").setNumberFormat("@");
+    }
+    return sheet;
+}
+
+/**
+ * { SECURITY: [{ effective, shares }] } sorted by effective date ("" = always).
+ */
+function loadSharesOutstanding(ss) {
+    const shares = {};
+    getSharesSheet(ss).getDataRange().getValues().slice(1).forEach(row => {
+        const security = (row[0] || "").toString().trim().toUpperCase();
+        const count = parseTickNumber(row[1]);
+        if (!security || !(count > 0)) return;
+        (shares[security] = shares[security] || []).push({ effective: formatDailyDate(row[2]), shares: count });
+    });
+    Object.values(shares).forEach(list => list.sort((a, b) => a.effective.localeCompare(b.effective)));
+    return shares;
+}
+
+function sharesOn(sharesList, dateStr) {
+    let count = 0;
+    (sharesList || []).forEach(s => {
+        if (s.effective <= dateStr) count = s.shares;
+    });
+    return count;
+}
+
+/**
+ * One row per trading date: breadth, turnover and the index with its returns.
+ */
+function computeMarketSummary(dailyRows, sharesOutstanding, calendar) {
+    const bySecurity = {};
+    dailyRows.forEach(row => {
+        if (row.SECURITY && row.LAST > 0) (bySecurity[row.SECURITY] = bySecurity[row.SECURITY] || []).push(row);
+    });
+
+    const days = {};
+    const day = (dateStr) => days[dateStr] || (days[dateStr] = {
+        DATE: dateStr, advancers: 0, decliners: 0, unchanged: 0, newHighs: 0, newLows: 0,
+        volume: 0, turnover: 0, marketCap: 0, linkedCapToday: 0, linkedCapPrev: 0, constituents: 0
+    });
+
+    Object.keys(bySecurity).forEach(security => {
+        const rows = bySecurity[security].sort((a, b) => a.DATE.localeCompare(b.DATE));
+        const shares = sharesOutstanding[security];
+        let windowStart = 0;
+
+        rows.forEach((row, i) => {
+            const d = day(row.DATE);
+            d.volume += (row.RAW_VOL !== undefined ? row.RAW_VOL : row.VOL) || 0;
+            d.turnover += (row.RAW_LAST !== undefined ? row.RAW_LAST * row.RAW_VOL : row.LAST * row.VOL) || 0;
+
+            const sharesToday = sharesOn(shares, row.DATE);
+            if (sharesToday > 0) {
+                d.marketCap += sharesToday * (row.RAW_LAST !== undefined ? row.RAW_LAST : row.LAST);
+                d.constituents++;
+            }
+            if (i === 0) return;
+
+            const prev = rows[i - 1];
+            if (row.LAST > prev.LAST) d.advancers++;
+            else if (row.LAST < prev.LAST) d.decliners++;
+            else d.unchanged++;
+
+            if (sharesToday > 0) {
+                d.linkedCapToday += sharesToday * row.LAST;
+                d.linkedCapPrev += sharesToday * prev.LAST;
+            }
+
+            // 52-week extremes over the closes before today
+            const cutoff = addCalendarDays(row.DATE, -BREADTH_LOOKBACK_DAYS);
+            while (windowStart < i && rows[windowStart].DATE < cutoff) windowStart++;
+            const prior = rows.slice(windowStart, i).map(r => r.LAST);
+            if (prior.length > 0) {
+                if (row.LAST > Math.max(...prior)) d.newHighs++;
+                if (row.LAST < Math.min(...prior)) d.newLows++;
+            }
+        });
+    });
+
+    let index = null;
+    const summary = Object.keys(days).sort().map(dateStr => {
+        const d = days[dateStr];
+        if (index === null) {
+            if (d.marketCap > 0) index = MARKET_INDEX_BASE;
+        } else if (d.linkedCapPrev > 0) {
+            index = index * d.linkedCapToday / d.linkedCapPrev;
+        }
+        return {
+            SECURITY: "MARKET",
+            DATE: dateStr,
+            advancers: d.advancers,
+            decliners: d.decliners,
+            unchanged: d.unchanged,
+            newHighs: d.newHighs,
+            newLows: d.newLows,
+            volume: d.volume,
+            turnover: Math.round(d.turnover),
+            marketCap: Math.round(d.marketCap),
+            constituents: d.constituents,
+            LAST: index === null ? null : parseFloat(index.toFixed(2))
+        };
+    });
+
+    // The index series gets the same calendar-anchored returns as a security
+    const indexRows = summary.filter(r => r.LAST !== null);
+    computeReturns(indexRows, calendar);
+    summary.forEach(r => {
+        r.index = r.LAST;
+        delete r.LAST;
+        if (r.index === null) RETURN_PERIODS.forEach(p => { r[p] = null; });
+    });
+    return summary;
+}
+
+/**
+ * ?action=market[&from=&to=] -> one breadth/index row per trading date.
+ */
+function apiMarket(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const daily = applyCorporateActions(readDailyCloses(ss), loadCorporateActions(ss));
+    const rows = computeMarketSummary(daily, loadSharesOutstanding(ss), loadTradingCalendar(ss))
+        .filter(row => inDateRange(row.DATE, params.from, params.to));
+    return paginate(rows, params);
+}
@@ -0,0 +1,114 @@
+/**
+ * DSE Market Hours
+ *
+ * Shared by background.js (scraper and alert checks) and dashboard.js (auto-refresh).
+ * 1. The session schedule comes from the backend (?action=session): exchange time zone, open/close times,
+ *    weekend days and the trading calendar's closed (holiday) and open (make-up) dates.
+ * 2. It is kept in chrome.storage.local (per backend, see profiles in api_client.js) and fetched again after
+ *    MARKET_SCHEDULE_MAX_AGE_MS; when signed out or offline the last known schedule is used, else DEFAULT_MARKET_SCHEDULE.
+ */
+
+const MARKET_SCHEDULE_STORAGE_KEY = "marketSchedule";
+const MARKET_SCHEDULE_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// DSE trading session, exchange local time, Mon-Fri; used until the backend has answered once
+const DEFAULT_MARKET_SCHEDULE = {
+    timeZone: "Africa/Dar_es_Salaam",
+    open: "10:00",
+    close: "16:00",
+    weekend: [0, 6],
+    closedDates: [],
+    openDates: []
+};
+
+async function loadMarketSchedule() {
+    const backendUrl = await getBackendUrl();
+    const saved = (await chrome.storage.local.get(MARKET_SCHEDULE_STORAGE_KEY))[MARKET_SCHEDULE_STORAGE_KEY];
+    const stored = saved && saved.backendUrl === backendUrl ? saved : null;
+    if (stored && Date.now() - new Date(stored.fetchedAt).getTime() < MARKET_SCHEDULE_MAX_AGE_MS) return stored;
+
+    try {
+        const json = await apiGet({ action: 'session' });
+        if (json.status === "success") {
+            const schedule = {
+                timeZone: json.data.timeZone || DEFAULT_MARKET_SCHEDULE.timeZone,
+                open: json.data.open,
+                close: json.data.close,
+                weekend: json.data.weekend || DEFAULT_MARKET_SCHEDULE.weekend,
+                closedDates: json.data.closedDates || [],
+                openDates: json.data.openDates || [],
+                backendUrl: backendUrl,
+                fetchedAt: new Date().toISOString()
+            };
+            await chrome.storage.local.set({ [MARKET_SCHEDULE_STORAGE_KEY]: schedule });
+            return schedule;
+        }
+    } catch (err) {
+        // Signed out or offline: fall back below
+    }
+    return stored || DEFAULT_MARKET_SCHEDULE;
+}
+
+/**
+ * The exchange clock at a moment: { date: "yyyy-MM-dd", weekday: 0-6, time: "HH:mm" }.
+ */
+function exchangeClock(schedule, date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: schedule.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    }).formatToParts(date || new Date()).forEach(p => { parts[p.type] = p.value; });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+        // Some engines write midnight as "24"
+        time: `${parts.hour === '24' ? '00' : parts.hour}:${parts.minute}`
+    };
+}
+
+function isTradingDate(schedule, dateStr, weekday) {
+    if (schedule.closedDates.includes(dateStr)) return false;
+    if (schedule.openDates.includes(dateStr)) return true;
+    return !schedule.weekend.includes(weekday);
+}
+
+/**
+ * Returns true when the exchange clock is inside the trading session on a trading day.
+ */
+function isMarketOpen(schedule, date) {
+    const clock = exchangeClock(schedule, date);
+    if (!isTradingDate(schedule, clock.date, clock.weekday)) return false;
+    return clock.time >= schedule.open && clock.time <= schedule.close;
+}
+
+/**
+ * Milliseconds from now until the next session opens (0 while it is open); null when no trading day
+ * falls in the next two weeks.
+ */
+function msUntilMarketOpen(schedule, now) {
+    now = now || new Date();
+    if (isMarketOpen(schedule, now)) return 0;
+
+    const clock = exchangeClock(schedule, now);
+    const [y, m, d] = clock.date.split('-').map(Number);
+    const [hh, mm] = clock.time.split(':').map(Number);
+    // Exchange offset from UTC, to turn an exchange-local open time into an instant
+    const offsetMs = Date.UTC(y, m - 1, d, hh, mm) - Math.floor(now.getTime() / 60000) * 60000;
+    const [openH, openM] = schedule.open.split(':').map(Number);
+
+    for (let i = 0; i <= 14; i++) {
+        const day = new Date(Date.UTC(y, m - 1, d + i));
+        const dateStr = day.toISOString().split('T')[0];
+        if (!isTradingDate(schedule, dateStr, day.getUTCDay())) continue;
+        if (i === 0 && clock.time >= schedule.open) continue;
+        return Date.UTC(y, m - 1, d + i, openH, openM) - offsetMs - now.getTime();
+    }
+    return null;
+}
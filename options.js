@@ -0,0 +1,179 @@
+// Profile storage, switchProfile and checkBackendHealth come from api_client.js
+
+// Profile being edited, null for a new one
+let editingProfileId = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('profileForm').addEventListener('submit', saveProfile);
+    document.getElementById('testConnection').addEventListener('click', testConnection);
+    document.getElementById('newProfile').addEventListener('click', () => fillForm(null));
+    fillForm(null);
+    renderProfiles();
+});
+
+async function renderProfiles() {
+    const list = document.getElementById('profileList');
+    const profiles = await getProfiles();
+    const active = await getActiveProfile();
+
+    if (profiles.length === 0) {
+        list.innerHTML = `<p class="neutral">No profiles yet. The extension uses the built-in backend:<br><small>${DEFAULT_BACKEND_URL}</small></p>`;
+        return;
+    }
+
+    list.innerHTML = '';
+    profiles.forEach(profile => {
+        const isActive = active && active.id === profile.id;
+        const row = document.createElement('div');
+        row.className = 'profile-row';
+        row.innerHTML = `
+            <div>
+                <strong></strong>${isActive ? '<span class="active-tag">ACTIVE</span>' : ''}
+                <small></small>
+            </div>
+            <div class="actions">
+                ${isActive ? '' : '<button class="chip-btn" data-action="use">Use</button>'}
+                <button class="chip-btn" data-action="edit">Edit</button>
+                <button class="chip-btn danger" data-action="delete">Delete</button>
+            </div>
+        `;
+        row.querySelector('strong').textContent = profile.name;
+        row.querySelector('small').textContent = profile.backendUrl + (profile.accessKey ? ' · key stored' : '');
+
+        row.querySelectorAll('button').forEach(btn => btn.addEventListener('click', async () => {
+            if (btn.dataset.action === 'edit') fillForm(profile);
+            if (btn.dataset.action === 'use') await useProfile(profile);
+            if (btn.dataset.action === 'delete') await deleteProfile(profile);
+        }));
+        list.appendChild(row);
+    });
+}
+
+function fillForm(profile) {
+    const display = { ...DEFAULT_DISPLAY_PREFERENCES, ...((profile && profile.display) || {}) };
+    editingProfileId = profile ? profile.id : null;
+    document.getElementById('formTitle').textContent = profile ? `✏️ Edit ${profile.name}` : '➕ New Profile';
+    document.getElementById('profileName').value = profile ? profile.name : '';
+    document.getElementById('profileUrl').value = profile ? profile.backendUrl : '';
+    document.getElementById('profileKey').value = profile ? profile.accessKey || '' : '';
+    document.getElementById('profileView').value = display.defaultView;
+    document.getElementById('profileInterval').value = display.chartInterval;
+    document.getElementById('profileVwap').checked = display.showVwap;
+    setStatus('formStatus', '');
+}
+
+/**
+ * Backend URLs outside script.google.com need host access; asked for from the click itself,
+ * since Chrome only shows the prompt during a user gesture.
+ */
+function requestBackendAccess(backendUrl) {
+    let url;
+    try {
+        url = new URL(backendUrl);
+    } catch (e) {
+        return Promise.reject(new Error("The backend URL is not a valid URL"));
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return Promise.reject(new Error("The backend URL must start with https://"));
+    return chrome.permissions.request({ origins: [`${url.origin}/*`] }).then(granted => {
+        if (!granted) throw new Error(`Access to ${url.origin} was not granted`);
+    });
+}
+
+/**
+ * Applies a change to the stored profiles and signs out if it moved the extension to another backend URL:
+ * without a chosen profile the first one is used, so saving the first profile or deleting the one in use
+ * changes the backend as much as editing its URL does. Resolves to true when it signed out.
+ */
+async function changeProfiles(update) {
+    const before = await getBackendUrl();
+    await update();
+    if (await getBackendUrl() === before) return false;
+    await signOut();
+    return true;
+}
+
+async function saveProfile(e) {
+    e.preventDefault();
+    const backendUrl = document.getElementById('profileUrl').value.trim();
+    const access = requestBackendAccess(backendUrl);
+
+    try {
+        await access;
+        const profiles = await getProfiles();
+        const previous = profiles.find(p => p.id === editingProfileId);
+        const profile = {
+            id: previous ? previous.id : crypto.randomUUID(),
+            name: document.getElementById('profileName').value.trim(),
+            backendUrl: backendUrl,
+            accessKey: document.getElementById('profileKey').value.trim() || null,
+            display: {
+                defaultView: document.getElementById('profileView').value,
+                chartInterval: document.getElementById('profileInterval').value,
+                showVwap: document.getElementById('profileVwap').checked
+            }
+        };
+        if (profiles.some(p => p.id !== profile.id && p.name.toLowerCase() === profile.name.toLowerCase())) {
+            throw new Error(`A profile named "${profile.name}" already exists`);
+        }
+
+        // The session belongs to the backend it was issued by
+        const signedOut = await changeProfiles(() =>
+            saveProfiles(previous ? profiles.map(p => p.id === profile.id ? profile : p) : profiles.concat([profile])));
+
+        fillForm(profile);
+        setStatus('formStatus', signedOut ?
+            `Saved ${profile.name}. The extension now uses ${profile.backendUrl}: sign in again.` : `Saved ${profile.name}.`, 'up');
+        renderProfiles();
+    } catch (err) {
+        setStatus('formStatus', err.message, 'down');
+    }
+}
+
+async function testConnection() {
+    const backendUrl = document.getElementById('profileUrl').value.trim();
+    const access = requestBackendAccess(backendUrl);
+    setStatus('formStatus', 'Testing connection...');
+
+    try {
+        await access;
+        const health = await checkBackendHealth(backendUrl);
+        const lastIngest = health.lastIngest ? new Date(health.lastIngest).toLocaleString() : 'never';
+        setStatus('formStatus', [
+            `✅ Connected · API ${health.apiVersion} · ${health.timeZone}`,
+            `Last ingest: ${lastIngest}`,
+            `Daily rows: ${(health.dailyRows || 0).toLocaleString()} · data version ${health.version}`
+        ].join('\n'), 'up');
+    } catch (err) {
+        setStatus('formStatus', `❌ ${err.message || 'Could not reach the backend'}`, 'down');
+    }
+}
+
+async function useProfile(profile) {
+    try {
+        const session = await switchProfile(profile.id);
+        setStatus('listStatus', session ?
+            `Signed in to ${profile.name} as ${session.owner || session.role}.` :
+            `Switched to ${profile.name}. Sign in on the login page.`, session ? 'up' : undefined);
+    } catch (err) {
+        setStatus('listStatus', `Could not sign in to ${profile.name}, so the current profile stays active: ${err.message}`, 'down');
+    }
+    renderProfiles();
+}
+
+async function deleteProfile(profile) {
+    if (!confirm(`Delete the profile "${profile.name}"?`)) return;
+    const active = await getActiveProfile();
+    const signedOut = await changeProfiles(async () => {
+        await saveProfiles((await getProfiles()).filter(p => p.id !== profile.id));
+        if (active && active.id === profile.id) await chrome.storage.local.remove(ACTIVE_PROFILE_STORAGE_KEY);
+    });
+    if (editingProfileId === profile.id) fillForm(null);
+    setStatus('listStatus', signedOut ? `Deleted ${profile.name} and signed out of its backend.` : `Deleted ${profile.name}.`);
+    renderProfiles();
+}
+
+function setStatus(id, text, cls) {
+    const el = document.getElementById(id);
+    el.textContent = text;
+    el.className = 'status' + (cls ? ' ' + cls : '');
+}
@@ -1,9 +1,8 @@
-// REPLACE THIS with your deployed Web App URL from analytics_backend.js
-const BACKEND_URL = "https://script.google.com/macros/s/AKfycbyGbGdLL8_VyfL-y9v7wFlQSEuGMHETics49oehlZud7ajn-QP_9Lo_DTZWbBh0UY8h/exec";
+// apiGet and the backend profile come from api_client.js
 
-document.addEventListener('DOMContentLoaded', () => {
-    if (BACKEND_URL.includes("REPLACE")) {
-        showError("Please configure the Backend URL in popup.js");
+document.addEventListener('DOMContentLoaded', async () => {
+    if ((await getBackendUrl()).includes("REPLACE")) {
+        showError("Please configure the Backend URL on the extension's options page");
         return;
     }
     fetchData();
@@ -14,18 +13,28 @@ async function fetchData() {
     try {
         status.innerHTML = '<div class="spinner"></div>Fetching live analytics...';
 
-        const response = await fetch(BACKEND_URL);
-        if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
+        // Show the last synced snapshot while the fresh one loads
+        const cached = await readCachedSnapshot();
+        if (cached && cached.rows && cached.rows.length > 0) {
+            renderDashboard(cached.rows);
+            updateTimestamp(`🕘 ${describeCachedAt(cached.savedAt)} · updating...`);
+        }
 
-        const json = await response.json();
+        const json = await syncSnapshot();
 
         if (json.status === "success" && json.data) {
             renderDashboard(json.data);
-            updateTimestamp();
+            updateTimestamp(json.cached ? `⚠️ Offline · ${describeCachedAt(json.cachedAt)}` : null);
         } else {
-            showError("Failed to load data: " + (json.message || "Unknown error"));
+            showError(json.code === "OFFLINE" ?
+                "Connection Failed: Ensure you are logged into Google and the script is deployed as 'Anyone'." :
+                "Failed to load data: " + (json.message || "Unknown error"));
         }
     } catch (error) {
+        if (error instanceof AuthRequiredError) {
+            showError("Not signed in: open the DSE Dashboard and enter your access key.");
+            return;
+        }
         console.error("Fetch Error:", error);
         showError("Connection Failed: Ensure you are logged into Google and the script is deployed as 'Anyone'.");
     }
@@ -45,8 +54,8 @@ function renderDashboard(data) {
     status.style.display = 'none';
     dashboard.style.display = 'block';
 
-    // Get latest data per security
-    const latestData = getLatestPerSecurity(data);
+    // The snapshot action already returns the latest row per security
+    const latestData = data;
 
     // Sort by DoD descending for "Top Movers" - this makes it feel more "live"
     const topMovers = [...latestData].sort((a, b) => {
@@ -75,9 +84,9 @@ function renderDashboard(data) {
         row.onclick = () => showChart(item.SECURITY); // Add click handler
         row.innerHTML = `
             <td><strong>${item.SECURITY}</strong></td>
-            <td class="${getColorClass(item.DoD)}">${formatPercent(item.DoD)}</td>
-            <td class="${getColorClass(item.MoM)}">${formatPercent(item.MoM)}</td>
-            <td class="${getColorClass(item.YoY)}">${formatPercent(item.YoY)}</td>
+            <td class="${getColorClass(item.DoD)}">${formatPercent(item.DoD)}${staleMark(item, 'DoD')}</td>
+            <td class="${getColorClass(item.MoM)}">${formatPercent(item.MoM)}${staleMark(item, 'MoM')}</td>
+            <td class="${getColorClass(item.YoY)}">${formatPercent(item.YoY)}${staleMark(item, 'YoY')}</td>
         `;
         mainBody.appendChild(row);
     });
@@ -103,13 +112,7 @@ async function showChart(security) {
     console.log(`Fetching chart data for ${security}...`);
 
     try {
-        const url = `${BACKEND_URL}${BACKEND_URL.includes('?') ? '&' : '?'}security=${encodeURIComponent(security)}`;
-        console.log(`Request URL: ${url}`);
-
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
-
-        const json = await response.json();
+        const json = await syncIntraday(security);
         console.log("Chart Response:", json);
 
         if (json.status === "success" && json.data) {
@@ -163,40 +166,26 @@ function renderChart(history) {
     });
 }
 
-function getLatestPerSecurity(data) {
-    const latest = {};
-    data.forEach(row => {
-        if (!row.SECURITY) return;
-
-        // Robust date parsing
-        let timestamp = 0;
-        try {
-            timestamp = new Date(row.TIMESTAMP).getTime();
-            if (isNaN(timestamp)) timestamp = 0;
-        } catch (e) {
-            timestamp = 0;
-        }
-
-        if (!latest[row.SECURITY] || timestamp > latest[row.SECURITY].ts) {
-            latest[row.SECURITY] = { ...row, ts: timestamp };
-        }
-    });
-    return Object.values(latest);
-}
-
 function formatPercent(value) {
     if (value === null || value === undefined || isNaN(value)) return "-";
     const percent = (value * 100).toFixed(2);
     return (value > 0 ? "+" : "") + percent + "%";
 }
 
+// Flags returns whose comparison close is older than its calendar anchor
+function staleMark(item, period) {
+    if (!item.staleReturns || !item.staleReturns.includes(period)) return "";
+    const base = item.returnBases && item.returnBases[period];
+    return `<span style="opacity: 0.6; cursor: help;" title="Stale: compared with the ${base} close">*</span>`;
+}
+
 function getColorClass(value) {
     if (value === null || value === undefined || isNaN(value)) return "neutral";
     if (Math.abs(value) < 0.0001) return "neutral";
     return value > 0 ? "positive" : "negative";
 }
 
-function updateTimestamp() {
+function updateTimestamp(cachedLabel) {
     const header = document.querySelector('.header');
     let tsEl = document.getElementById('lastUpdated');
     if (!tsEl) {
@@ -207,7 +196,7 @@ function updateTimestamp() {
         tsEl.style.marginTop = '5px';
         header.appendChild(tsEl);
     }
-    tsEl.textContent = "Last sync: " + new Date().toLocaleTimeString();
+    tsEl.textContent = cachedLabel || "Last sync: " + new Date().toLocaleTimeString();
 }
 
 function showError(msg) {
@@ -0,0 +1,384 @@
+/**
+ * DSE Portfolio
+ *
+ * 1. The team's trades live in the "Transactions" sheet: DATE, SECURITY, TYPE, QUANTITY, PRICE, FEES, NOTE, ENTERED,
+ *    REFERENCE (the broker's contract or trade number, when known).
+ *      BUY / SELL  QUANTITY shares at PRICE (TZS per share); FEES are brokerage and levies
+ *      DIVIDEND    QUANTITY shares entitled, PRICE dividend per share; FEES = withholding tax
+ *    Rows are added in the sheet, or posted by the dashboard ({ action: "transactions", token, rows },
+ *    needs a key with write permission). Posted rows accept broker statement column names (TRANSACTION_SCHEMA).
+ *    A posted row whose REFERENCE is already recorded is skipped; without a reference, identical fills are real
+ *    trades as often as repeats, so they are saved and reported back as possible duplicates.
+ * 2. Holdings use the average cost method: a sale realises (price - average cost) x quantity less fees.
+ *    Splits and bonus issues from CorporateActions change the share count on their ex-date, not the cost.
+ * 3. Valuation uses LAST and DoD of each security's latest getComputedAnalytics row; day P&L covers the shares
+ *    held at the previous close plus today's trades. Portfolio value over time uses the raw DailyCloses.
+ */
+
+const TRANSACTIONS_SHEET = "Transactions";
+const TRANSACTIONS_HEADERS = ["DATE", "SECURITY", "TYPE", "QUANTITY", "PRICE", "FEES", "NOTE", "ENTERED", "REFERENCE"];
+const TRANSACTION_TYPES = {
+    BUY: ["BUY", "B", "PURCHASE", "BOUGHT"],
+    SELL: ["SELL", "S", "SALE", "SOLD"],
+    DIVIDEND: ["DIVIDEND", "DIV", "DIVIDENDS"]
+};
+
+// Field -> accepted column names (compared lowercase without spaces or punctuation), as in TICK_SCHEMA
+const TRANSACTION_SCHEMA = {
+    date: ["date", "tradedate", "transactiondate", "valuedate", "settlementdate"],
+    security: ["security", "symbol", "ticker", "counter", "stock", "company"],
+    type: ["type", "side", "action", "transactiontype", "buysell"],
+    quantity: ["quantity", "qty", "shares", "units", "volume"],
+    price: ["price", "unitprice", "rate", "pricepershare", "dividendpershare"],
+    fees: ["fees", "fee", "commission", "charges", "brokerage", "withholdingtax", "tax"],
+    note: ["note", "notes", "description", "remarks"],
+    reference: ["reference", "ref", "tradereference", "traderef", "tradeid", "tradeno", "contractno", "contractnumber",
+        "contractnote", "orderno", "dealno"]
+};
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+function getTransactionsSheet(ss) {
+    let sheet = ss.getSheetByName(TRANSACTIONS_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(TRANSACTIONS_SHEET);
+        sheet.appendRow(TRANSACTIONS_HEADERS);
+        sheet.getRange("A:A").setNumberFormat("@");
+    } else if (sheet.getLastColumn() < TRANSACTIONS_HEADERS.length) {
+        // Sheets from before the REFERENCE column
+        sheet.getRange(1, 1, 1, TRANSACTIONS_HEADERS.length).setValues([TRANSACTIONS_HEADERS]);
+    }
+    return sheet;
+}
+
+/**
+ * yyyy-MM-dd, dd/MM/yyyy (statements here are day-first), d-MMM-yyyy or a Date -> yyyy-MM-dd; "" when unreadable.
+ */
+function parseTransactionDate(v) {
+    if (v instanceof Date) return formatDailyDate(v);
+    const str = (v || "").toString().trim();
+    let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    m = str.match(/^(\d{1,2})[\/.](\d{1,2})[\/.](\d{4})$/);
+    if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+    m = str.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{4})$/);
+    if (m && MONTHS.includes(m[2].toUpperCase())) {
+        return `${m[3]}-${String(MONTHS.indexOf(m[2].toUpperCase()) + 1).padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+    }
+    return "";
+}
+
+function parseTransactionType(v) {
+    const str = (v || "").toString().trim().toUpperCase();
+    return Object.keys(TRANSACTION_TYPES).find(type => TRANSACTION_TYPES[type].includes(str)) || null;
+}
+
+/**
+ * Validates one posted or stored transaction. Returns { transaction, reasons }; transaction is null when rejected.
+ */
+function validateTransaction(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { transaction: null, reasons: ["item is not an object"] };
+    }
+
+    const byName = {};
+    Object.keys(item).forEach(k => { byName[k.toLowerCase().replace(/[^a-z0-9]/g, "")] = item[k]; });
+    const pick = (field) => {
+        const alias = TRANSACTION_SCHEMA[field].find(a => byName[a] !== undefined && byName[a] !== null && byName[a] !== "");
+        return alias !== undefined ? byName[alias] : undefined;
+    };
+
+    const reasons = [];
+    const t = {
+        DATE: parseTransactionDate(pick("date")),
+        SECURITY: (pick("security") || "").toString().trim().toUpperCase(),
+        TYPE: parseTransactionType(pick("type")),
+        QUANTITY: parseTickNumber(pick("quantity")),
+        PRICE: parseTickNumber(pick("price")),
+        FEES: parseTickNumber(pick("fees")) || 0,
+        NOTE: (pick("note") || "").toString().trim(),
+        REFERENCE: (pick("reference") || "").toString().trim()
+    };
+
+    if (!t.DATE) reasons.push(`date "${pick("date") || ""}" is not a date`);
+    if (!/^[A-Z0-9][A-Z0-9.\-]{0,15}$/.test(t.SECURITY)) reasons.push(`security "${pick("security") || ""}" is not a valid symbol`);
+    if (!t.TYPE) reasons.push(`type "${pick("type") || ""}" is not BUY, SELL or DIVIDEND`);
+    if (!(t.QUANTITY > 0)) reasons.push("quantity must be greater than 0");
+    if (!(t.PRICE > 0)) reasons.push("price must be greater than 0");
+    if (isNaN(t.FEES) || t.FEES < 0) reasons.push("fees must not be negative");
+
+    return reasons.length > 0 ? { transaction: null, reasons: reasons } : { transaction: t, reasons: [] };
+}
+
+/**
+ * Identifies a trade by its broker reference; null when the row has none.
+ */
+function transactionReferenceKey(t) {
+    return t.REFERENCE ? [t.SECURITY, t.TYPE, t.REFERENCE.toUpperCase()].join("|") : null;
+}
+
+/**
+ * Same day, security, side, quantity and price: a repeat, or a second fill at the same price.
+ */
+function transactionFillKey(t) {
+    return [t.DATE, t.SECURITY, t.TYPE, Number(t.QUANTITY), Number(t.PRICE)].join("|");
+}
+
+/**
+ * Valid transactions sorted by date (sheet order within a day). Bad rows are logged and skipped.
+ */
+function loadTransactions(ss) {
+    const rows = [];
+    getTransactionsSheet(ss).getDataRange().getValues().slice(1).forEach((row, i) => {
+        if (row.every(v => v === "" || v === null)) return;
+        const item = {};
+        TRANSACTIONS_HEADERS.forEach((h, c) => { item[h] = row[c]; });
+        const result = validateTransaction(item);
+        if (!result.transaction) {
+            console.warn(`${TRANSACTIONS_SHEET} row ${i + 2} ignored: ${result.reasons.join("; ")}`);
+            return;
+        }
+        rows.push({ ...result.transaction, ROW: i + 2 });
+    });
+    return rows.sort((a, b) => a.DATE.localeCompare(b.DATE) || a.ROW - b.ROW);
+}
+
+/**
+ * Appends posted transactions. Rows whose reference is already recorded are skipped; rows without one that
+ * match an earlier fill are saved and listed in possibleDuplicates ({ index, matches }) for the user to check.
+ */
+function recordTransactions(ss, items, session) {
+    if (!Array.isArray(items)) throw new ApiError("rows must be an array of transactions");
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = getTransactionsSheet(ss);
+        const recorded = loadTransactions(ss);
+        const knownReferences = new Set(recorded.map(transactionReferenceKey).filter(Boolean));
+        // Fill key -> where it was seen first: a sheet row, or an earlier index of this post
+        const knownFills = new Map();
+        recorded.forEach(t => {
+            if (!knownFills.has(transactionFillKey(t))) knownFills.set(transactionFillKey(t), `sheet row ${t.ROW}`);
+        });
+        const rejections = [];
+        const accepted = [];
+        const possibleDuplicates = [];
+        let duplicates = 0;
+        const now = new Date();
+
+        items.forEach((item, index) => {
+            const result = validateTransaction(item);
+            if (!result.transaction) {
+                rejections.push({ index: index, reasons: result.reasons });
+                return;
+            }
+            const t = result.transaction;
+            const referenceKey = transactionReferenceKey(t);
+            if (referenceKey) {
+                if (knownReferences.has(referenceKey)) {
+                    duplicates++;
+                    return;
+                }
+                knownReferences.add(referenceKey);
+            } else if (knownFills.has(transactionFillKey(t))) {
+                possibleDuplicates.push({ index: index, matches: knownFills.get(transactionFillKey(t)) });
+            }
+            if (!knownFills.has(transactionFillKey(t))) knownFills.set(transactionFillKey(t), `row ${index + 1} of this import`);
+            accepted.push([t.DATE, t.SECURITY, t.TYPE, t.QUANTITY, t.PRICE, t.FEES, t.NOTE || `entered by ${session.owner}`, now, t.REFERENCE]);
+        });
+
+        if (accepted.length > 0) {
+            sheet.getRange(sheet.getLastRow() + 1, 1, accepted.length, TRANSACTIONS_HEADERS.length).setValues(accepted);
+        }
+        return {
+            accepted: accepted.length,
+            duplicates: duplicates,
+            possibleDuplicates: possibleDuplicates,
+            rejected: rejections.length,
+            rejections: rejections
+        };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Transactions and share-count actions (splits, bonus issues) of one security as one dated event list.
+ * On the same date the corporate action comes first: it applies to the shares held at the previous close.
+ */
+function positionEvents(transactions, actions) {
+    const events = transactions.map(t => ({ date: t.DATE, transaction: t }));
+    actions.filter(a => a.type === "SPLIT" || a.type === "BONUS")
+        .forEach(a => events.push({ date: a.exDate, action: a }));
+    return events.sort((a, b) => a.date.localeCompare(b.date) || (a.action ? 0 : 1) - (b.action ? 0 : 1));
+}
+
+function newPosition() {
+    return { quantity: 0, cost: 0, realised: 0, dividends: 0, fees: 0 };
+}
+
+/**
+ * Applies one event to a position in place. Sells beyond the shares held are capped (and logged).
+ */
+function applyPositionEvent(position, event) {
+    if (event.action) {
+        position.quantity *= event.action.type === "SPLIT" ? event.action.ratio : 1 + event.action.ratio;
+        return;
+    }
+    const t = event.transaction;
+    position.fees += t.FEES;
+    if (t.TYPE === "BUY") {
+        position.quantity += t.QUANTITY;
+        position.cost += t.QUANTITY * t.PRICE + t.FEES;
+    } else if (t.TYPE === "SELL") {
+        const qty = Math.min(t.QUANTITY, position.quantity);
+        if (qty < t.QUANTITY) console.warn(`${t.SECURITY} ${t.DATE}: sold ${t.QUANTITY}, only ${position.quantity} held`);
+        const avgCost = position.quantity > 0 ? position.cost / position.quantity : 0;
+        position.realised += qty * (t.PRICE - avgCost) - t.FEES;
+        position.cost -= qty * avgCost;
+        position.quantity -= qty;
+    } else if (t.TYPE === "DIVIDEND") {
+        position.dividends += t.QUANTITY * t.PRICE - t.FEES;
+    }
+}
+
+/**
+ * One row per security ever traded: holdings, average cost, market value and P&L.
+ * latest maps SECURITY -> its latest computed row ({ DATE, LAST, DoD }).
+ */
+function computeHoldings(transactions, actions, latest) {
+    const bySecurity = {};
+    transactions.forEach(t => (bySecurity[t.SECURITY] = bySecurity[t.SECURITY] || []).push(t));
+    const actionsBySecurity = {};
+    actions.forEach(a => (actionsBySecurity[a.SECURITY] = actionsBySecurity[a.SECURITY] || []).push(a));
+
+    const rows = Object.keys(bySecurity).sort().map(security => {
+        const quote = latest[security] || null;
+        const last = quote ? Number(quote.LAST) || 0 : 0;
+        const prevClose = quote && quote.DoD !== null && quote.DoD !== undefined ? last / (1 + quote.DoD) : last;
+        const position = newPosition();
+        let startQty = null;
+        let tradedToday = 0;
+
+        positionEvents(bySecurity[security], actionsBySecurity[security] || []).forEach(event => {
+            // Shares held at the previous close: everything before the quote's date, plus that day's split
+            const today = quote && (event.transaction ? event.date >= quote.DATE : event.date > quote.DATE);
+            if (today && startQty === null) startQty = position.quantity;
+            // startQty is valued at LAST, so a sale today only adds what it fetched above or below LAST
+            if (today && event.transaction) {
+                const t = event.transaction;
+                if (t.TYPE === "BUY") tradedToday += t.QUANTITY * (last - t.PRICE) - t.FEES;
+                if (t.TYPE === "SELL") tradedToday += t.QUANTITY * (t.PRICE - last) - t.FEES;
+            }
+            applyPositionEvent(position, event);
+        });
+        if (startQty === null) startQty = position.quantity;
+
+        const marketValue = position.quantity * last;
+        const unrealised = position.quantity > 0 && last > 0 ? marketValue - position.cost : 0;
+        return {
+            SECURITY: security,
+            DATE: quote ? quote.DATE : null,
+            quantity: parseFloat(position.quantity.toFixed(4)),
+            avgCost: position.quantity > 0 ? parseFloat((position.cost / position.quantity).toFixed(4)) : null,
+            costBasis: Math.round(position.cost),
+            LAST: quote ? last : null,
+            DoD: quote ? quote.DoD : null,
+            marketValue: Math.round(marketValue),
+            unrealised: Math.round(unrealised),
+            unrealisedPct: position.cost > 0 && position.quantity > 0 ? parseFloat((unrealised / position.cost).toFixed(4)) : null,
+            realised: Math.round(position.realised),
+            dividends: Math.round(position.dividends),
+            fees: Math.round(position.fees),
+            dayPnl: quote ? Math.round(startQty * (last - prevClose) + tradedToday) : 0
+        };
+    });
+
+    const total = rows.reduce((sum, r) => sum + r.marketValue, 0);
+    rows.forEach(r => { r.weight = total > 0 ? parseFloat((r.marketValue / total).toFixed(4)) : 0; });
+    return rows;
+}
+
+/**
+ * Portfolio value per trading date from the first transaction: holdings as of each day's close
+ * valued at the raw close (the last known one for securities that did not trade that day).
+ */
+function computePortfolioHistory(transactions, actions, dailyRows) {
+    if (transactions.length === 0) return [];
+    const start = transactions[0].DATE;
+    const securities = Array.from(new Set(transactions.map(t => t.SECURITY)));
+
+    const closes = {};
+    const dates = new Set();
+    dailyRows.forEach(row => {
+        if (!securities.includes(row.SECURITY) || !(row.LAST > 0) || row.DATE < start) return;
+        (closes[row.SECURITY] = closes[row.SECURITY] || {})[row.DATE] = row.LAST;
+        dates.add(row.DATE);
+    });
+
+    const state = {};
+    securities.forEach(security => {
+        state[security] = {
+            position: newPosition(),
+            events: positionEvents(transactions.filter(t => t.SECURITY === security), actions.filter(a => a.SECURITY === security)),
+            next: 0,
+            close: 0
+        };
+    });
+
+    return Array.from(dates).sort().map(dateStr => {
+        const day = { DATE: dateStr, value: 0, costBasis: 0, realised: 0, dividends: 0 };
+        securities.forEach(security => {
+            const s = state[security];
+            while (s.next < s.events.length && s.events[s.next].date <= dateStr) applyPositionEvent(s.position, s.events[s.next++]);
+            if (closes[security] && closes[security][dateStr]) s.close = closes[security][dateStr];
+            day.value += s.position.quantity * s.close;
+            day.costBasis += s.position.cost;
+            day.realised += s.position.realised;
+            day.dividends += s.position.dividends;
+        });
+        day.value = Math.round(day.value);
+        day.costBasis = Math.round(day.costBasis);
+        day.realised = Math.round(day.realised);
+        day.dividends = Math.round(day.dividends);
+        day.unrealised = day.value - day.costBasis;
+        day.totalPnl = day.unrealised + day.realised + day.dividends;
+        return day;
+    });
+}
+
+/**
+ * ?action=portfolio[&securities=...] -> holdings with P&L, valued at the latest computed row of each security.
+ */
+function apiPortfolio(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const latest = {};
+    getComputedAnalytics().forEach(row => {
+        if (!latest[row.SECURITY] || row.DATE > latest[row.SECURITY].DATE) latest[row.SECURITY] = row;
+    });
+    const rows = computeHoldings(loadTransactions(ss), loadCorporateActions(ss), latest)
+        .filter(row => matchesSecurities(row.SECURITY, params));
+    return paginate(rows, params);
+}
+
+/**
+ * ?action=portfolio-history[&from=&to=] -> portfolio value and P&L per trading date.
+ */
+function apiPortfolioHistory(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const rows = computePortfolioHistory(loadTransactions(ss), loadCorporateActions(ss), readDailyCloses(ss))
+        .filter(row => inDateRange(row.DATE, params.from, params.to));
+    return paginate(rows, params);
+}
+
+/**
+ * ?action=transactions[&securities=...][&from=&to=] -> the recorded transactions, oldest first.
+ */
+function apiTransactions(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const rows = loadTransactions(ss)
+        .filter(t => matchesSecurities(t.SECURITY, params) && inDateRange(t.DATE, params.from, params.to))
+        .map(t => ({ SECURITY: t.SECURITY, DATE: t.DATE, type: t.TYPE, quantity: t.QUANTITY, price: t.PRICE, fees: t.FEES, note: t.NOTE, reference: t.REFERENCE || null }));
+    return paginate(rows, params);
+}
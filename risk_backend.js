@@ -0,0 +1,200 @@
+/**
+ * DSE Risk Analytics
+ *
+ * Added to every analytics row, from the security's close-to-close returns:
+ *   volatility     annualised standard deviation over the last RISK_WINDOW_DAYS sessions
+ *   sharpe         annualised (mean return - risk-free) / standard deviation over the same window
+ *   beta           covariance with the benchmark / benchmark variance (same window, common dates only)
+ *   correlation    correlation with the benchmark
+ *   maxDrawdown    worst fall from a running peak so far (fraction, <= 0)
+ *   drawdown       current fall from the running peak (fraction, <= 0)
+ *
+ * Benchmark: the "Benchmark" sheet (DATE, CLOSE), e.g. the DSE All Share Index; while it is empty an
+ * equal-weighted average of all securities' daily returns is used.
+ * Risk-free rate: annual rate in the RISK_FREE_RATE script property (e.g. 0.12 for a 12% T-bill yield),
+ * overridable per request with ?rf=.
+ */
+
+const BENCHMARK_SHEET = "Benchmark";
+const BENCHMARK_HEADERS = ["DATE", "CLOSE"];
+
+const RISK_WINDOW_DAYS = 63; // ~3 months of sessions
+const RISK_MIN_OBSERVATIONS = 20;
+const RISK_ANNUALISATION_DAYS = 252;
+const RISK_FREE_RATE_PROPERTY = "RISK_FREE_RATE";
+const RISK_FREE_RATE_DEFAULT = 0;
+
+function getRiskFreeRate() {
+    const stored = parseFloat(PropertiesService.getScriptProperties().getProperty(RISK_FREE_RATE_PROPERTY));
+    return isNaN(stored) ? RISK_FREE_RATE_DEFAULT : stored;
+}
+
+function getBenchmarkSheet(ss) {
+    let sheet = ss.getSheetByName(BENCHMARK_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(BENCHMARK_SHEET);
+        sheet.appendRow(BENCHMARK_HEADERS);
+        sheet.getRange("A:A").setNumberFormat("@");
+    }
+    return sheet;
+}
+
+/**
+ * Benchmark daily returns as { date: return }, from the Benchmark sheet.
+ */
+function loadBenchmarkReturns(ss) {
+    const closes = getBenchmarkSheet(ss).getDataRange().getValues().slice(1)
+        .map(row => ({ date: formatDailyDate(row[0]), close: Number(row[1]) || 0 }))
+        .filter(r => /^\d{4}-\d{2}-\d{2}$/.test(r.date) && r.close > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const returns = {};
+    for (let i = 1; i < closes.length; i++) {
+        returns[closes[i].date] = (closes[i].close - closes[i - 1].close) / closes[i - 1].close;
+    }
+    return returns;
+}
+
+/**
+ * True while the Benchmark sheet has no returns: beta and correlation of every row then move with any
+ * security's new close, so the API cannot answer snapshot/daily with a per-row delta.
+ */
+function usesEqualWeightBenchmark(ss) {
+    return Object.keys(loadBenchmarkReturns(ss)).length === 0;
+}
+
+/**
+ * Fallback benchmark: average close-to-close return of every security trading on each date.
+ */
+function equalWeightedReturns(seriesBySecurity) {
+    const sums = {};
+    Object.values(seriesBySecurity).forEach(series => {
+        series.forEach(p => {
+            if (p.ret === null) return;
+            const s = sums[p.date] || (sums[p.date] = { total: 0, n: 0 });
+            s.total += p.ret;
+            s.n++;
+        });
+    });
+    const returns = {};
+    Object.keys(sums).forEach(date => { returns[date] = sums[date].total / sums[date].n; });
+    return returns;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Sample covariance of two equally long arrays.
+ */
+function covariance(a, b) {
+    const ma = mean(a);
+    const mb = mean(b);
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += (a[i] - ma) * (b[i] - mb);
+    return sum / (a.length - 1);
+}
+
+/**
+ * Adds the risk fields to every row (rows of all securities, any order).
+ * options: { benchmark: { date: return } (equal-weighted when empty), riskFreeRate: annual fraction }
+ */
+function computeRiskMetrics(data, options) {
+    options = options || {};
+    const round = (v, dp) => v === null || v === undefined || !isFinite(v) ? null : parseFloat(v.toFixed(dp));
+    const dailyRf = (options.riskFreeRate || 0) / RISK_ANNUALISATION_DAYS;
+
+    const grouped = {};
+    data.forEach(row => {
+        if (row.SECURITY) (grouped[row.SECURITY] = grouped[row.SECURITY] || []).push(row);
+    });
+
+    // Close-to-close returns per security (null for the first row or a missing close)
+    const seriesBySecurity = {};
+    Object.keys(grouped).forEach(security => {
+        const rows = grouped[security].sort((a, b) => a.DATE.localeCompare(b.DATE));
+        seriesBySecurity[security] = rows.map((r, i) => {
+            const close = Number(r.LAST) || 0;
+            const prev = i > 0 ? Number(rows[i - 1].LAST) || 0 : 0;
+            return { date: r.DATE, close: close, ret: close > 0 && prev > 0 ? (close - prev) / prev : null };
+        });
+    });
+
+    const benchmark = options.benchmark && Object.keys(options.benchmark).length > 0 ?
+        options.benchmark : equalWeightedReturns(seriesBySecurity);
+
+    Object.keys(grouped).forEach(security => {
+        const rows = grouped[security];
+        const series = seriesBySecurity[security];
+        let peak = 0;
+        let maxDrawdown = 0;
+
+        rows.forEach((row, i) => {
+            const close = series[i].close;
+            if (close > peak) peak = close;
+            const drawdown = peak > 0 && close > 0 ? close / peak - 1 : 0;
+            maxDrawdown = Math.min(maxDrawdown, drawdown);
+            row.drawdown = round(drawdown, 4);
+            row.maxDrawdown = round(maxDrawdown, 4);
+
+            const recent = series.slice(Math.max(1, i - RISK_WINDOW_DAYS + 1), i + 1).filter(p => p.ret !== null);
+            if (recent.length < RISK_MIN_OBSERVATIONS) {
+                row.volatility = null;
+                row.sharpe = null;
+                row.beta = null;
+                row.correlation = null;
+                return;
+            }
+
+            const returns = recent.map(p => p.ret);
+            const sd = Math.sqrt(covariance(returns, returns));
+            row.volatility = round(sd * Math.sqrt(RISK_ANNUALISATION_DAYS), 4);
+            row.sharpe = sd > 0 ? round((mean(returns) - dailyRf) / sd * Math.sqrt(RISK_ANNUALISATION_DAYS), 2) : null;
+
+            // Beta/correlation only over dates the benchmark also has
+            const paired = recent.filter(p => benchmark[p.date] !== undefined);
+            if (paired.length < RISK_MIN_OBSERVATIONS) {
+                row.beta = null;
+                row.correlation = null;
+                return;
+            }
+            const own = paired.map(p => p.ret);
+            const market = paired.map(p => benchmark[p.date]);
+            const cov = covariance(own, market);
+            const marketVar = covariance(market, market);
+            const ownVar = covariance(own, own);
+            row.beta = marketVar > 0 ? round(cov / marketVar, 2) : null;
+            row.correlation = marketVar > 0 && ownVar > 0 ? round(cov / Math.sqrt(marketVar * ownVar), 2) : null;
+        });
+    });
+
+    return data;
+}
+
+/**
+ * ?action=risk[&securities=...][&to=yyyy-MM-dd][&rf=0.12]
+ * Latest risk row per security (as of to when given).
+ */
+function apiRisk(params) {
+    const latest = {};
+    getComputedAnalytics(params.indicators, { riskFreeRate: params.riskFreeRate }).forEach(row => {
+        if (!matchesSecurities(row.SECURITY, params) || !inDateRange(row.DATE, null, params.to)) return;
+        if (!latest[row.SECURITY] || row.DATE > latest[row.SECURITY].DATE) latest[row.SECURITY] = row;
+    });
+
+    const rows = Object.values(latest)
+        .sort((a, b) => a.SECURITY.localeCompare(b.SECURITY))
+        .map(row => ({
+            SECURITY: row.SECURITY,
+            DATE: row.DATE,
+            LAST: row.LAST,
+            volatility: row.volatility,
+            sharpe: row.sharpe,
+            beta: row.beta,
+            correlation: row.correlation,
+            maxDrawdown: row.maxDrawdown,
+            drawdown: row.drawdown
+        }));
+    return paginate(rows, params);
+}
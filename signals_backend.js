@@ -0,0 +1,184 @@
+/**
+ * DSE Signal Rules
+ *
+ * Signal thresholds live in the "SignalRules" sheet instead of code:
+ *   GROUP     output field on each row (liquidityScore, momentumSignal, ...); groups run in sheet order
+ *   LABEL     value written to GROUP when the rule matches (TRUE/FALSE become booleans)
+ *   PRIORITY  rules of a group are tried lowest first and the first match wins; across groups, the matched
+ *             rule with a BADGE and the lowest PRIORITY becomes the row's displaySignal
+ *   WHEN      conditions joined by AND, e.g. "DoD > 0 AND rvol > 1.5" or "liquidityScore == HIGH";
+ *             empty = the group's fallback. Missing numeric fields count as 0.
+ *   SCORE     added to tradeScore when the rule matches
+ *   BADGE     dashboard badge: confirmed | weak | sell | neutral | hype | breakout, or a #rrggbb colour;
+ *             rows with any other BADGE are ignored, since the value ends up in the dashboard's markup
+ * Any computed field can be used (returns, rvol, avgVol30, RSI14, volatility, ...), and so can groups above.
+ * While the sheet is empty DEFAULT_SIGNAL_RULES apply; seedSignalRules() copies them into the sheet.
+ */
+
+const SIGNAL_RULES_SHEET = "SignalRules";
+const SIGNAL_RULES_HEADERS = ["GROUP", "LABEL", "PRIORITY", "WHEN", "SCORE", "BADGE"];
+const SIGNAL_BADGE_NAMES = ["confirmed", "weak", "sell", "neutral", "hype", "breakout"];
+const SIGNAL_BADGE_COLOUR = /^#[0-9a-f]{3,8}$/i;
+
+const DEFAULT_SIGNAL_RULES = [
+    ["liquidityScore", "HIGH", 50, "avgVol30 >= 100000", 2, ""],
+    ["liquidityScore", "MEDIUM", 51, "avgVol30 >= 20000", 0, ""],
+    ["liquidityScore", "LOW", 99, "", 0, ""],
+    ["hypeRisk", "HYPE_RISK", 1, "DoD > 0.08 AND rvol < 1", -2, "hype"],
+    ["hypeRisk", "BREAKOUT", 2, "DoD > 0.08 AND rvol > 2", 0, "breakout"],
+    ["hypeRisk", "NORMAL", 99, "", 0, ""],
+    ["momentumSignal", "CONFIRMED_UP", 10, "DoD > 0 AND rvol > 1.5", 2, "confirmed"],
+    ["momentumSignal", "WEAK_UP", 11, "DoD > 0 AND rvol <= 1", 0, "weak"],
+    ["momentumSignal", "STRONG_SELL", 12, "DoD < 0 AND rvol > 1.5", -1, "sell"],
+    ["momentumSignal", "NEUTRAL", 98, "", 0, "neutral"],
+    ["stableTrend", "TRUE", 60, "DoD >= 0 AND DoD <= 0.03 AND rvol > 1.2", 1, ""],
+    ["stableTrend", "FALSE", 99, "", 0, ""]
+];
+
+const SIGNAL_OPERATORS = {
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    "==": (a, b) => a === b,
+    "=": (a, b) => a === b,
+    "!=": (a, b) => a !== b
+};
+
+function getSignalRulesSheet(ss) {
+    let sheet = ss.getSheetByName(SIGNAL_RULES_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(SIGNAL_RULES_SHEET);
+        sheet.appendRow(SIGNAL_RULES_HEADERS);
+    }
+    return sheet;
+}
+
+/**
+ * Run from the editor to start tuning from the built-in rules.
+ */
+function seedSignalRules() {
+    const sheet = getSignalRulesSheet(SpreadsheetApp.openById(SPREADSHEET_ID));
+    if (sheet.getLastRow() > 1) throw new Error(`${SIGNAL_RULES_SHEET} already has rules`);
+    sheet.getRange(2, 1, DEFAULT_SIGNAL_RULES.length, SIGNAL_RULES_HEADERS.length).setValues(DEFAULT_SIGNAL_RULES);
+    clearConfigFingerprint();
+}
+
+/**
+ * "DoD > 0 AND rvol > 1.5" -> [{ field, op, value }]; throws on anything it cannot read.
+ */
+function parseSignalCondition(when) {
+    const text = (when || "").toString().trim();
+    if (!text) return [];
+    return text.split(/\s+AND\s+/i).map(term => {
+        const m = term.trim().match(/^([A-Za-z_]\w*)\s*(>=|<=|==|!=|=|>|<)\s*(.+)$/);
+        if (!m) throw new Error(`Cannot read condition "${term}"`);
+        const raw = m[3].trim().replace(/^["']|["']$/g, "");
+        const num = Number(raw);
+        return { field: m[1], op: m[2], value: raw !== "" && !isNaN(num) ? num : raw };
+    });
+}
+
+function parseSignalLabel(label) {
+    const text = label.toString().trim();
+    if (text.toUpperCase() === "TRUE") return true;
+    if (text.toUpperCase() === "FALSE") return false;
+    return text;
+}
+
+/**
+ * Rule rows -> [{ group, rules: [{ label, priority, conditions, score, badge }] }] in evaluation order.
+ */
+function buildSignalRules(rows) {
+    const groups = [];
+    const byName = {};
+    rows.forEach((row, i) => {
+        const name = (row[0] || "").toString().trim();
+        if (!name || row[1] === "" || row[1] === null) return;
+        let conditions;
+        try {
+            conditions = parseSignalCondition(row[3]);
+        } catch (e) {
+            console.warn(`${SIGNAL_RULES_SHEET} row ${i + 2} ignored: ${e.message}`);
+            return;
+        }
+        let badge = (row[5] || "").toString().trim();
+        if (!SIGNAL_BADGE_COLOUR.test(badge)) badge = badge.toLowerCase();
+        if (badge && !SIGNAL_BADGE_COLOUR.test(badge) && !SIGNAL_BADGE_NAMES.includes(badge)) {
+            console.warn(`${SIGNAL_RULES_SHEET} row ${i + 2} ignored: BADGE "${badge}" is neither a badge name nor a #colour`);
+            return;
+        }
+        if (!byName[name]) {
+            byName[name] = { group: name, rules: [] };
+            groups.push(byName[name]);
+        }
+        byName[name].rules.push({
+            label: parseSignalLabel(row[1]),
+            priority: Number(row[2]) || 0,
+            when: (row[3] || "").toString().trim(),
+            conditions: conditions,
+            score: Number(row[4]) || 0,
+            badge: badge
+        });
+    });
+    groups.forEach(g => g.rules.sort((a, b) => a.priority - b.priority));
+    return groups;
+}
+
+/**
+ * The sheet's rules, or DEFAULT_SIGNAL_RULES while it has none.
+ */
+function loadSignalRules(ss) {
+    const rows = getSignalRulesSheet(ss).getDataRange().getValues().slice(1);
+    const rules = buildSignalRules(rows);
+    return rules.length > 0 ? rules : buildSignalRules(DEFAULT_SIGNAL_RULES);
+}
+
+function matchesSignalRule(row, rule) {
+    return rule.conditions.every(c => {
+        let actual = row[c.field];
+        if (typeof c.value === 'number') actual = Number(actual) || 0;
+        else actual = actual === undefined || actual === null ? "" : actual.toString();
+        return SIGNAL_OPERATORS[c.op](actual, c.value);
+    });
+}
+
+/**
+ * Evaluates every group on one row: sets the group fields, tradeScore, displaySignal and signalBadge.
+ */
+function applySignalRules(row, signalRules) {
+    let score = 0;
+    let display = null;
+
+    signalRules.forEach(group => {
+        const rule = group.rules.find(r => matchesSignalRule(row, r));
+        row[group.group] = rule ? rule.label : null;
+        if (!rule) return;
+        score += rule.score;
+        if (rule.badge && (!display || rule.priority < display.priority)) display = rule;
+    });
+
+    row.tradeScore = score;
+    row.displaySignal = display ? display.label : null;
+    row.signalBadge = display ? display.badge : null;
+    return row;
+}
+
+/**
+ * ?action=signals -> the rule definitions, so clients render badges from the same source.
+ */
+function apiSignals(params) {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const rows = [];
+    loadSignalRules(ss).forEach(group => {
+        group.rules.forEach(rule => rows.push({
+            group: group.group,
+            label: rule.label,
+            priority: rule.priority,
+            when: rule.when,
+            score: rule.score,
+            badge: rule.badge
+        }));
+    });
+    return paginate(rows, params);
+}
@@ -0,0 +1,311 @@
+/**
+ * DSE Tick Storage (Partitions)
+ *
+ * 1. Ticks are stored in one spreadsheet per month ("DSE Ticks yyyy-MM"), one sheet per trading day.
+ * 2. The "Partitions" sheet in the main spreadsheet registers every month and where it lives.
+ * 3. Months older than PARTITION_KEEP_MONTHS are archived to gzipped CSV files in Drive
+ *    (archiveOldPartitions, run monthly by a time trigger) and their spreadsheets are trashed.
+ * 4. Readers only open the partitions that cover the requested date range.
+ *
+ * Ticks written before partitioning stay readable from the first sheet of the main spreadsheet
+ * until migrateLegacyTicks() moves them into partitions.
+ */
+
+const PARTITIONS_SHEET = "Partitions";
+const PARTITIONS_HEADERS = ["PERIOD", "SPREADSHEET_ID", "STATUS", "ARCHIVE_FILE_ID", "ROWS", "UPDATED"];
+const PARTITION_KEEP_MONTHS = 3;
+const PARTITION_NAME_PREFIX = "DSE Ticks ";
+
+// Per-execution caches so one request never opens the same partition twice
+const openedPartitions = {};
+const archivedPartitionRows = {};
+
+function getPartitionsSheet(ss) {
+    let sheet = ss.getSheetByName(PARTITIONS_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(PARTITIONS_SHEET);
+        sheet.appendRow(PARTITIONS_HEADERS);
+        sheet.getRange("A:A").setNumberFormat("@");
+    }
+    return sheet;
+}
+
+function readPartitionRegistry(ss) {
+    const values = getPartitionsSheet(ss).getDataRange().getValues();
+    return values.slice(1)
+        .map((row, i) => ({
+            row: i + 2,
+            period: row[0] instanceof Date ? Utilities.formatDate(row[0], Session.getScriptTimeZone(), "yyyy-MM") : row[0].toString(),
+            spreadsheetId: row[1].toString(),
+            status: (row[2] || "ACTIVE").toString(),
+            archiveFileId: row[3].toString()
+        }))
+        .filter(p => p.period)
+        .sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * Returns the registry entry for a month ("yyyy-MM"), creating its spreadsheet when asked.
+ */
+function getMonthPartition(ss, period, create) {
+    const existing = readPartitionRegistry(ss).find(p => p.period === period);
+    if (existing || !create) return existing || null;
+
+    const file = SpreadsheetApp.create(PARTITION_NAME_PREFIX + period);
+    // Keep partitions next to the main spreadsheet
+    const parents = DriveApp.getFileById(SPREADSHEET_ID).getParents();
+    if (parents.hasNext()) DriveApp.getFileById(file.getId()).moveTo(parents.next());
+
+    const entry = { period: period, spreadsheetId: file.getId(), status: "ACTIVE", archiveFileId: "" };
+    getPartitionsSheet(ss).appendRow([period, entry.spreadsheetId, entry.status, "", 0, new Date()]);
+    openedPartitions[entry.spreadsheetId] = file;
+    return entry;
+}
+
+function openPartition(entry) {
+    if (!openedPartitions[entry.spreadsheetId]) {
+        openedPartitions[entry.spreadsheetId] = SpreadsheetApp.openById(entry.spreadsheetId);
+    }
+    return openedPartitions[entry.spreadsheetId];
+}
+
+/**
+ * The sheet holding one trading day's ticks. Returns null if it does not exist and create is false.
+ */
+function getTickDaySheet(ss, dateStr, create) {
+    const entry = getMonthPartition(ss, dateStr.substring(0, 7), create);
+    if (!entry) return null;
+    if (entry.status === "ARCHIVED") {
+        if (create) throw new Error(`Partition ${entry.period} is archived and read-only`);
+        return null;
+    }
+
+    const partition = openPartition(entry);
+    let sheet = partition.getSheetByName(dateStr);
+    if (!sheet && create) {
+        sheet = partition.insertSheet(dateStr);
+        sheet.appendRow(TICK_HEADERS);
+        // TIME is kept as text so Sheets does not turn it into a 1899 date
+        sheet.getRange("C:C").setNumberFormat("@");
+        // Drop the default empty sheet of a fresh partition
+        const blank = partition.getSheetByName("Sheet1");
+        if (blank && blank.getLastRow() === 0) partition.deleteSheet(blank);
+    }
+    return sheet;
+}
+
+/**
+ * The pre-partitioning tick sheet, or null once it has been migrated/emptied.
+ */
+function getLegacyTickSheet(ss) {
+    const sheet = ss.getSheets()[0];
+    if (!sheet || sheet.getLastRow() < 2) return null;
+    if ([DAILY_SHEET, KEYS_SHEET, QUARANTINE_SHEET, PARTITIONS_SHEET].includes(sheet.getName())) return null;
+    const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => h.toString().trim().toUpperCase());
+    return header.some(h => ["SECURITY", "SYMBOL", "TICKER", "SEC"].includes(h)) ? sheet : null;
+}
+
+/**
+ * Maps a sheet's values (header row first) onto TICK_HEADERS column order.
+ */
+function normalizeTickValues(values) {
+    if (values.length < 2) return [];
+    const headers = values[0].map(h => h.toString().trim().toUpperCase());
+    const findIdx = (aliases) => headers.findIndex(h => aliases.includes(h));
+    const idx = [
+        findIdx(["SECURITY", "SYMBOL", "TICKER", "SEC"]),
+        findIdx(["LAST", "PRICE", "CLOSE", "LTP"]),
+        findIdx(["TIME", "CLOCK"]),
+        findIdx(["TIMESTAMP", "DATE", "TS"]),
+        findIdx(["VOL", "VOLUME", "VOL.", "QTY"]),
+        findIdx(["BID", "BUY"]),
+        findIdx(["ASK", "OFFER", "SELL"]),
+        findIdx(["BID QTY", "BUY QTY", "BID_QTY"]),
+        findIdx(["ASK QTY", "SELL QTY", "ASK_QTY"])
+    ];
+    return values.slice(1).map(row => idx.map(i => i !== -1 ? row[i] : ""));
+}
+
+function tickRowDate(row) {
+    const ts = row[3];
+    if (!ts) return "";
+    return ts instanceof Date ? Utilities.formatDate(ts, Session.getScriptTimeZone(), "yyyy-MM-dd") : ts.toString().split(" ")[0];
+}
+
+function inDateRange(dateStr, fromDate, toDate) {
+    return (!fromDate || dateStr >= fromDate) && (!toDate || dateStr <= toDate);
+}
+
+/**
+ * Rows ([DATE, ...TICK_HEADERS]) of an archived month, read from its gzipped CSV.
+ */
+function readArchivedPartition(entry) {
+    if (!archivedPartitionRows[entry.period]) {
+        const blob = DriveApp.getFileById(entry.archiveFileId).getBlob();
+        blob.setContentType("application/x-gzip");
+        const csv = Utilities.parseCsv(Utilities.ungzip(blob).getDataAsString());
+        archivedPartitionRows[entry.period] = csv.slice(1).map(r => {
+            const row = r.slice(1);
+            row[1] = parseFloat(row[1]) || 0;
+            row[3] = row[3] ? new Date(row[3]) : "";
+            for (let i = 4; i < row.length; i++) row[i] = parseFloat(row[i]) || 0;
+            return [r[0]].concat(row);
+        });
+    }
+    return archivedPartitionRows[entry.period];
+}
+
+/**
+ * All ticks between fromDate and toDate ("yyyy-MM-dd", inclusive, null = unbounded)
+ * as rows in TICK_HEADERS order. Only partitions overlapping the range are opened.
+ */
+function readTickRows(ss, fromDate, toDate) {
+    const rows = [];
+
+    const legacy = getLegacyTickSheet(ss);
+    if (legacy) {
+        normalizeTickValues(legacy.getDataRange().getValues()).forEach(row => {
+            if (inDateRange(tickRowDate(row), fromDate, toDate)) rows.push(row);
+        });
+    }
+
+    const fromPeriod = fromDate ? fromDate.substring(0, 7) : null;
+    const toPeriod = toDate ? toDate.substring(0, 7) : null;
+
+    readPartitionRegistry(ss)
+        .filter(p => inDateRange(p.period, fromPeriod, toPeriod))
+        .forEach(entry => {
+            if (entry.status === "ARCHIVED") {
+                readArchivedPartition(entry).forEach(r => {
+                    if (inDateRange(r[0], fromDate, toDate)) rows.push(r.slice(1));
+                });
+                return;
+            }
+
+            openPartition(entry).getSheets()
+                .filter(sh => /^\d{4}-\d{2}-\d{2}$/.test(sh.getName()) && inDateRange(sh.getName(), fromDate, toDate))
+                .sort((a, b) => a.getName().localeCompare(b.getName()))
+                .forEach(sh => {
+                    if (sh.getLastRow() < 2) return;
+                    rows.push(...sh.getRange(2, 1, sh.getLastRow() - 1, TICK_HEADERS.length).getValues());
+                });
+        });
+
+    return rows;
+}
+
+/**
+ * The most recent trading day that has ticks (for one security if given), newest partition first.
+ */
+function findLatestTickDate(ss, securitySymbol) {
+    const symbol = securitySymbol ? securitySymbol.trim().toUpperCase() : null;
+    const hasSymbol = (securities) => !symbol || securities.some(s => (s || "").toString().trim().toUpperCase() === symbol);
+
+    const registry = readPartitionRegistry(ss).reverse();
+    for (const entry of registry) {
+        if (entry.status === "ARCHIVED") {
+            const byDate = {};
+            readArchivedPartition(entry).forEach(r => { (byDate[r[0]] = byDate[r[0]] || []).push(r[1]); });
+            const dates = Object.keys(byDate).sort().reverse();
+            const hit = dates.find(d => hasSymbol(byDate[d]));
+            if (hit) return hit;
+            continue;
+        }
+
+        const daySheets = openPartition(entry).getSheets()
+            .filter(sh => /^\d{4}-\d{2}-\d{2}$/.test(sh.getName()) && sh.getLastRow() > 1)
+            .sort((a, b) => b.getName().localeCompare(a.getName()));
+        for (const sh of daySheets) {
+            const securities = sh.getRange(2, 1, sh.getLastRow() - 1, 1).getValues().map(r => r[0]);
+            if (hasSymbol(securities)) return sh.getName();
+        }
+    }
+
+    const legacy = getLegacyTickSheet(ss);
+    if (legacy) {
+        const rows = normalizeTickValues(legacy.getDataRange().getValues());
+        for (let i = rows.length - 1; i >= 0; i--) {
+            if (hasSymbol([rows[i][0]]) && tickRowDate(rows[i])) return tickRowDate(rows[i]);
+        }
+    }
+    return null;
+}
+
+function toCsvLine(values) {
+    return values.map(v => {
+        const str = v instanceof Date ? v.toISOString() : (v === null || v === undefined ? "" : v.toString());
+        return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }).join(",");
+}
+
+/**
+ * Moves ticks from the legacy first sheet into day partitions, then empties it (header kept).
+ * Run once from the editor after deploying partitioned storage.
+ */
+function migrateLegacyTicks() {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const legacy = getLegacyTickSheet(ss);
+    if (!legacy) return 0;
+
+    const byDate = {};
+    normalizeTickValues(legacy.getDataRange().getValues()).forEach(row => {
+        const dateStr = tickRowDate(row);
+        if (dateStr) (byDate[dateStr] = byDate[dateStr] || []).push(row);
+    });
+
+    let moved = 0;
+    Object.keys(byDate).sort().forEach(dateStr => {
+        const rows = byDate[dateStr];
+        const sheet = getTickDaySheet(ss, dateStr, true);
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, TICK_HEADERS.length).setValues(rows);
+        moved += rows.length;
+    });
+
+    legacy.getRange(2, 1, legacy.getLastRow() - 1, legacy.getLastColumn()).clearContent();
+    console.log(`Migrated ${moved} legacy ticks into ${Object.keys(byDate).length} day partitions.`);
+    return moved;
+}
+
+/**
+ * Archives every month older than PARTITION_KEEP_MONTHS into "DSE Ticks yyyy-MM.csv.gz".
+ */
+function archiveOldPartitions() {
+    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - PARTITION_KEEP_MONTHS);
+    const cutoffPeriod = Utilities.formatDate(cutoff, Session.getScriptTimeZone(), "yyyy-MM");
+
+    const sheet = getPartitionsSheet(ss);
+    const parents = DriveApp.getFileById(SPREADSHEET_ID).getParents();
+    const folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+
+    readPartitionRegistry(ss)
+        .filter(p => p.status === "ACTIVE" && p.period < cutoffPeriod)
+        .forEach(entry => {
+            const lines = [toCsvLine(["DATE"].concat(TICK_HEADERS))];
+            openPartition(entry).getSheets()
+                .filter(sh => /^\d{4}-\d{2}-\d{2}$/.test(sh.getName()) && sh.getLastRow() > 1)
+                .sort((a, b) => a.getName().localeCompare(b.getName()))
+                .forEach(sh => {
+                    sh.getRange(2, 1, sh.getLastRow() - 1, TICK_HEADERS.length).getValues()
+                        .forEach(row => lines.push(toCsvLine([sh.getName()].concat(row))));
+                });
+
+            const csvBlob = Utilities.newBlob(lines.join("\n"), "text/csv", PARTITION_NAME_PREFIX + entry.period + ".csv");
+            const archive = folder.createFile(Utilities.gzip(csvBlob, PARTITION_NAME_PREFIX + entry.period + ".csv.gz"));
+
+            sheet.getRange(entry.row, 3, 1, 4).setValues([["ARCHIVED", archive.getId(), lines.length - 1, new Date()]]);
+            DriveApp.getFileById(entry.spreadsheetId).setTrashed(true);
+            console.log(`Archived ${entry.period}: ${lines.length - 1} ticks.`);
+        });
+}
+
+/**
+ * Run once from the editor: archives old partitions on the 1st of every month.
+ */
+function installStorageTriggers() {
+    ScriptApp.getProjectTriggers()
+        .filter(t => t.getHandlerFunction() === "archiveOldPartitions")
+        .forEach(t => ScriptApp.deleteTrigger(t));
+    ScriptApp.newTrigger("archiveOldPartitions").timeBased().onMonthDay(1).atHour(2).create();
+}
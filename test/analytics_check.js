@@ -0,0 +1,134 @@
+/**
+ * Fixture check for the backend analytics, run through the local backend (local_services.js)
+ *
+ *   node test/analytics_check.js            compare with test/fixtures/analytics/expected_latest.json
+ *   node test/analytics_check.js --update   rewrite that file after an intended change
+ *
+ * test/fixtures/analytics is a CSV store (local_storage.js): three securities over July-September 2026 with
+ * a holiday (2026-07-07), a CRDB 2:1 split, an NMB dividend, a missing NMB session and a TBL volume spike.
+ * Its Transactions sheet is for test/portfolio_check.js. The store is copied to a temporary directory first, since
+ * the backend creates the sheets it is missing.
+ * Exits non-zero on the first mismatch.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../local_storage');
+const { createLocalBackend } = require('../local_services');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'analytics');
+const EXPECTED_FILE = path.join(FIXTURE_DIR, 'expected_latest.json');
+// Fields of each security's latest row kept in the expected file
+const EXPECTED_FIELDS = ["DATE", "LAST", "ADJ_LAST", "DoD", "WTD", "MoM", "MTD", "totalReturns", "staleReturns",
+    "drawdown", "maxDrawdown", "volatility", "beta", "SMA20", "EMA12", "RSI14", "ATR14", "MACD", "avgVol30", "rvol",
+    "liquidityScore", "hypeRisk", "momentumSignal", "stableTrend", "tradeScore", "displaySignal"];
+const TOLERANCE = 1e-9;
+
+function check(name, fn) {
+    fn();
+    console.log(`ok - ${name}`);
+}
+
+function assertClose(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) < TOLERANCE, `${label}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Deep comparison with a tolerance for numbers; JSON round-trips the rows first so Dates compare as strings.
+ */
+function assertMatches(actual, expected, label) {
+    if (typeof expected === 'number' && typeof actual === 'number') return assertClose(actual, expected, label);
+    if (expected === null || typeof expected !== 'object') return assert.strictEqual(actual, expected, label);
+    assert.ok(actual !== null && typeof actual === 'object', `${label}: expected an object, got ${actual}`);
+    assert.deepStrictEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${label}: fields differ`);
+    Object.keys(expected).forEach(key => assertMatches(actual[key], expected[key], `${label}.${key}`));
+}
+
+function openFixtureBackend() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dse-analytics-'));
+    fs.cpSync(FIXTURE_DIR, dir, { recursive: true });
+    fs.rmSync(path.join(dir, path.basename(EXPECTED_FILE)), { force: true });
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    const backend = createLocalBackend({ store: openStore('csv', dir), timeZone: 'Africa/Dar_es_Salaam', backendDir: path.join(__dirname, '..') });
+    return backend;
+}
+
+function main() {
+    const backend = openFixtureBackend();
+    // The analytics log every load; keep the output to the check results
+    const log = console.log;
+    console.log = () => {};
+    let rows;
+    try {
+        rows = JSON.parse(JSON.stringify(backend.call('getComputedAnalytics')));
+    } finally {
+        console.log = log;
+    }
+    const row = (security, date) => {
+        const found = rows.find(r => r.SECURITY === security && r.DATE === date);
+        assert.ok(found, `no computed row for ${security} ${date}`);
+        return found;
+    };
+
+    const latest = {};
+    rows.forEach(r => {
+        if (!latest[r.SECURITY] || r.DATE > latest[r.SECURITY].DATE) latest[r.SECURITY] = r;
+    });
+    const summary = {};
+    Object.keys(latest).sort().forEach(security => {
+        summary[security] = {};
+        EXPECTED_FIELDS.forEach(f => { summary[security][f] = latest[security][f] === undefined ? null : latest[security][f]; });
+    });
+
+    if (process.argv.includes('--update')) {
+        fs.writeFileSync(EXPECTED_FILE, JSON.stringify(summary, null, 2) + '\n');
+        console.log(`Wrote ${path.relative(process.cwd(), EXPECTED_FILE)}`);
+        return;
+    }
+
+    check("every stored security-day is computed", () => {
+        assert.strictEqual(rows.length, 194);
+        assert.deepStrictEqual(Object.keys(latest).sort(), ["CRDB", "NMB", "TBL"]);
+    });
+
+    check("DoD skips the holiday: 2026-07-08 compares with 2026-07-06", () => {
+        const r = row("CRDB", "2026-07-08");
+        assert.strictEqual(r.returnBases.DoD, "2026-07-06");
+        assertClose(r.DoD, 605 / 610 - 1, "CRDB DoD");
+    });
+
+    check("the 2:1 split is adjusted out of returns but not out of LAST", () => {
+        const r = row("CRDB", "2026-09-01");
+        assert.strictEqual(r.LAST, 332);
+        assertClose(r.DoD, 332 / (675 / 2) - 1, "CRDB DoD over the split");
+        assert.strictEqual(row("CRDB", "2026-08-31").LAST, 675);
+        assertClose(row("CRDB", "2026-08-31").ADJ_LAST, 337.5, "CRDB ADJ_LAST before the split");
+    });
+
+    check("the dividend lowers the price return but not the total return", () => {
+        const r = row("NMB", "2026-09-15");
+        assertClose(r.DoD, 4470 / 4660 - 1, "NMB DoD");
+        assertClose(r.totalReturns.DoD, 4470 / (4660 - 200) - 1, "NMB total DoD");
+    });
+
+    check("a missing session marks the return stale", () => {
+        const r = row("NMB", "2026-09-30");
+        assert.deepStrictEqual(r.staleReturns, ["DoD"]);
+        assertClose(r.DoD, 4520 / 4510 - 1, "NMB DoD against its last close");
+    });
+
+    check("the volume spike confirms the move", () => {
+        const r = row("TBL", "2026-09-30");
+        assert.ok(r.rvol > 1.5, `TBL rvol ${r.rvol}`);
+        assert.strictEqual(r.momentumSignal, "CONFIRMED_UP");
+        assert.strictEqual(r.displaySignal, "CONFIRMED_UP");
+    });
+
+    check("latest rows match expected_latest.json", () => {
+        assertMatches(summary, JSON.parse(fs.readFileSync(EXPECTED_FILE, 'utf8')), "latest");
+    });
+}
+
+main();
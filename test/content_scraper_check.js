@@ -0,0 +1,161 @@
+/**
+ * Fixture check for the DSE market page parser (content_scraper.js)
+ *
+ * Runs parseEquitiesTable() against saved copies of the DSE page without a browser or network access:
+ *   node test/content_scraper_check.js
+ * The parser only reads tables, rows and cells, so the small HTML tree below stands in for DOMParser.
+ * Exits non-zero on the first mismatch.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseEquitiesTable, findEquitiesTable, parseMarketNumber } = require('../content_scraper');
+
+const VOID_TAGS = ["br", "hr", "img", "input", "link", "meta", "col", "source"];
+// Opening one of these closes an unfinished sibling of the listed tags
+const IMPLIED_CLOSE = { tr: ["tr", "td", "th"], td: ["td", "th"], th: ["td", "th"], tbody: ["tbody", "thead", "tr", "td", "th"] };
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+class FixtureElement {
+    constructor(tagName, parent) {
+        this.tagName = tagName;
+        this.parentNode = parent;
+        this.childNodes = [];
+    }
+
+    get children() {
+        return this.childNodes.filter(n => n instanceof FixtureElement);
+    }
+
+    get textContent() {
+        return this.childNodes.map(n => typeof n === 'string' ? n : n.textContent).join('');
+    }
+
+    get tBodies() {
+        return this.children.filter(c => c.tagName === 'tbody');
+    }
+
+    get rows() {
+        if (this.tagName !== 'table') return this.children.filter(c => c.tagName === 'tr');
+        return this.children.flatMap(c => c.tagName === 'tr' ? [c] : ['thead', 'tbody', 'tfoot'].includes(c.tagName) ? c.rows : []);
+    }
+
+    get cells() {
+        return this.children.filter(c => c.tagName === 'td' || c.tagName === 'th');
+    }
+
+    descendants() {
+        return this.children.flatMap(c => [c].concat(c.descendants()));
+    }
+
+    /** Tag-name selectors only: "table", "th, td", "thead tr". */
+    querySelectorAll(selector) {
+        const groups = selector.split(',').map(s => s.trim().split(/\s+/));
+        return this.descendants().filter(el => groups.some(chain => matchesChain(el, chain, this)));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+function matchesChain(el, chain, root) {
+    if (el.tagName !== chain[chain.length - 1]) return false;
+    let rest = chain.slice(0, -1);
+    for (let node = el.parentNode; rest.length > 0 && node && node !== root; node = node.parentNode) {
+        if (node.tagName === rest[rest.length - 1]) rest = rest.slice(0, -1);
+    }
+    return rest.length === 0;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#\d+|[a-z]+);/gi, (m, name) =>
+        name[0] === '#' ? String.fromCharCode(parseInt(name.slice(1), 10)) : (ENTITIES[name.toLowerCase()] || m));
+}
+
+function parseFixtureHtml(html) {
+    const doc = new FixtureElement('#document', null);
+    let current = doc;
+    const tokens = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/?([a-zA-Z][\w-]*)[^>]*>|[^<]+/g;
+    let m;
+
+    while ((m = tokens.exec(html)) !== null) {
+        const token = m[0];
+        if (!m[1]) {
+            if (!token.startsWith('<')) current.childNodes.push(decodeEntities(token));
+            continue;
+        }
+
+        const tag = m[1].toLowerCase();
+        if (token.startsWith('</')) {
+            for (let node = current; node !== doc; node = node.parentNode) {
+                if (node.tagName === tag) {
+                    current = node.parentNode;
+                    break;
+                }
+            }
+            continue;
+        }
+
+        while ((IMPLIED_CLOSE[tag] || []).includes(current.tagName)) current = current.parentNode;
+        const el = new FixtureElement(tag, current);
+        current.childNodes.push(el);
+        if (!VOID_TAGS.includes(tag) && !token.endsWith('/>')) current = el;
+    }
+    return doc;
+}
+
+function loadFixture(name) {
+    return parseFixtureHtml(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+function check(name, fn) {
+    fn();
+    console.log(`ok - ${name}`);
+}
+
+check("parseMarketNumber handles DSE number formats", () => {
+    assert.strictEqual(parseMarketNumber("1,250,300"), 1250300);
+    assert.strictEqual(parseMarketNumber("TZS 4,500.00"), 4500);
+    assert.strictEqual(parseMarketNumber("-40"), -40);
+    assert.strictEqual(parseMarketNumber("-"), null);
+    assert.strictEqual(parseMarketNumber(""), null);
+    assert.strictEqual(parseMarketNumber(null), null);
+});
+
+check("saved market page: skips the index table and maps the header aliases", () => {
+    const found = findEquitiesTable(loadFixture('dse_market_page.html'));
+    assert.ok(found, "equities table not found");
+    assert.deepStrictEqual(found.map, { security: 0, last: 1, time: 8, vol: 3, bid: 4, ask: 6, bidQty: 5, askQty: 7 });
+});
+
+check("saved market page: rows, malformed rows and the fallback time", () => {
+    const items = parseEquitiesTable(loadFixture('dse_market_page.html'), "11:30:00");
+    assert.deepStrictEqual(items, [
+        { security: "CRDB", last: 650, time: "10:42:15", vol: 1250300, bid: 645, ask: 650, bidQty: 12000, askQty: 3500 },
+        // Dashes and empty cells become 0, the missing trade time falls back
+        { security: "NMB", last: 4500, time: "11:30:00", vol: 0, bid: 4480, ask: 0, bidQty: 0, askQty: 0 },
+        // Short row: only the cells that exist are read
+        { security: "TPCC", last: 3960, time: "11:30:00", vol: 0, bid: 0, ask: 0, bidQty: 0, askQty: 0 },
+        { security: "VODA", last: 770, time: "11:01:44", vol: 2000, bid: 765, ask: 770, bidQty: 1000, askQty: 500 }
+    ]);
+});
+
+check("table without thead: header row of th cells and the alternative aliases", () => {
+    const root = parseFixtureHtml(`
+        <table>
+            <tr><th>Symbol</th><th>LTP</th><th>Volume</th><th>Bid</th><th>Ask</th><th>Bid Quantity</th><th>Ask Quantity</th><th>Time</th></tr>
+            <tr><td>DCB</td><td>185</td><td>40,000</td><td>180</td><td>190</td><td>100</td><td>250</td><td>14:59:59</td></tr>
+            <tr><td>MKCB</td><td>no trade</td><td>0</td><td></td><td></td><td></td><td></td><td></td></tr>
+        </table>`);
+    assert.deepStrictEqual(parseEquitiesTable(root, "15:00:00"), [
+        { security: "DCB", last: 185, time: "14:59:59", vol: 40000, bid: 180, ask: 190, bidQty: 100, askQty: 250 }
+    ]);
+});
+
+check("pages without an equities table give no rows", () => {
+    assert.deepStrictEqual(parseEquitiesTable(parseFixtureHtml("<p>Market closed</p>"), "10:00:00"), []);
+    const noPrice = parseFixtureHtml("<table><thead><tr><th>Security</th><th>Sector</th></tr></thead><tbody><tr><td>CRDB</td><td>Banks</td></tr></tbody></table>");
+    assert.strictEqual(findEquitiesTable(noPrice), null);
+});
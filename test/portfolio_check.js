@@ -0,0 +1,90 @@
+/**
+ * Fixture check for the portfolio holdings and day P&L (portfolio_backend.js), run through the local backend
+ *
+ *   node test/portfolio_check.js
+ *
+ * Uses the store of test/analytics_check.js, whose Transactions sheet holds a CRDB position across the 2:1 split
+ * that is partly sold on the last day (2026-09-30), an NMB position with a dividend, and TBL shares bought the
+ * day before plus a buy and a sale on the last day. The store is copied to a temporary directory first.
+ * Exits non-zero on the first mismatch.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../local_storage');
+const { createLocalBackend } = require('../local_services');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'analytics');
+
+function check(name, fn) {
+    fn();
+    console.log(`ok - ${name}`);
+}
+
+function openFixtureBackend() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dse-portfolio-'));
+    fs.cpSync(FIXTURE_DIR, dir, { recursive: true });
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return createLocalBackend({ store: openStore('csv', dir), timeZone: 'Africa/Dar_es_Salaam', backendDir: path.join(__dirname, '..') });
+}
+
+function main() {
+    const backend = openFixtureBackend();
+    // The analytics log every load; keep the output to the check results
+    const log = console.log;
+    console.log = () => {};
+    let holdings;
+    try {
+        // JSON round trip: the rows are objects of the backend's context
+        holdings = JSON.parse(JSON.stringify(backend.call('apiPortfolio', backend.call('parseApiParams', {})).data));
+    } finally {
+        console.log = log;
+    }
+    const holding = (security) => {
+        const found = holdings.find(h => h.SECURITY === security);
+        assert.ok(found, `no holding for ${security}`);
+        return found;
+    };
+
+    check("every traded security has a holding valued at the last close", () => {
+        assert.deepStrictEqual(holdings.map(h => h.SECURITY), ["CRDB", "NMB", "TBL"]);
+        holdings.forEach(h => assert.strictEqual(h.DATE, "2026-09-30", `${h.SECURITY} DATE`));
+    });
+
+    check("the split doubles the CRDB shares and keeps the cost", () => {
+        const h = holding("CRDB");
+        assert.strictEqual(h.quantity, 1500);
+        assert.strictEqual(h.avgCost, 300.5);
+        assert.strictEqual(h.costBasis, 450750);
+        assert.strictEqual(h.realised, 500 * (375 - 300.5) - 200);
+    });
+
+    check("a sale today counts only its difference to LAST in the day P&L", () => {
+        // 2000 shares held at the 377 close, LAST 372, 500 of them sold at 375
+        assert.strictEqual(holding("CRDB").dayPnl, 2000 * (372 - 377) + 500 * (375 - 372) - 200);
+    });
+
+    check("today's buys and sales on top of yesterday's shares", () => {
+        const h = holding("TBL");
+        assert.strictEqual(h.quantity, 120);
+        assert.strictEqual(h.dayPnl, 100 * (11220 - 10800) + 50 * (11220 - 11000) - 100 + 30 * (11200 - 11220) - 50);
+    });
+
+    check("the dividend is income, and a stale DoD still values the day from the last close", () => {
+        const h = holding("NMB");
+        assert.strictEqual(h.dividends, 100 * 200 - 2000);
+        assert.strictEqual(h.dayPnl, 100 * (4520 - 4510));
+    });
+
+    check("a full sale today: 100 held at a 10 close and sold at 11 with LAST at 12 make 100", () => {
+        const buy = { DATE: "2026-10-01", SECURITY: "X", TYPE: "BUY", QUANTITY: 100, PRICE: 9, FEES: 0 };
+        const sell = { DATE: "2026-10-02", SECURITY: "X", TYPE: "SELL", QUANTITY: 100, PRICE: 11, FEES: 0 };
+        const rows = backend.call('computeHoldings', [buy, sell], [], { X: { DATE: "2026-10-02", LAST: 12, DoD: 0.2 } });
+        assert.strictEqual(rows[0].quantity, 0);
+        assert.strictEqual(rows[0].dayPnl, 100);
+    });
+}
+
+main();
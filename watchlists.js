@@ -0,0 +1,124 @@
+/**
+ * DSE Watchlists
+ *
+ * Named lists of securities kept in chrome.storage.sync, so they follow the user's Chrome profile.
+ * 1. Each list is its own item ("watchlist:<name>" -> [SECURITY, ...]), so sync's 8 KB per-item quota applies
+ *    per list rather than to all of them together; the name of the list last shown is kept beside them.
+ * 2. Exported and imported as JSON ({ format, exportedAt, watchlists }) so lists can be shared;
+ *    importing merges into lists of the same name.
+ */
+
+const WATCHLIST_KEY_PREFIX = "watchlist:";
+// Every list used to share this one item; moved to per-list items on first read
+const LEGACY_WATCHLISTS_STORAGE_KEY = "watchlists";
+const ACTIVE_WATCHLIST_STORAGE_KEY = "activeWatchlist";
+const DEFAULT_WATCHLIST = "My Watchlist";
+const WATCHLIST_EXPORT_FORMAT = "dse-watchlists/1";
+
+function watchlistKey(name) {
+    return WATCHLIST_KEY_PREFIX + name;
+}
+
+/**
+ * True when a chrome.storage change touches any watchlist.
+ */
+function isWatchlistChange(changes) {
+    return Object.keys(changes).some(key => key.startsWith(WATCHLIST_KEY_PREFIX));
+}
+
+/**
+ * All lists as { name: [SECURITY, ...] }.
+ */
+async function getWatchlists() {
+    const stored = await chrome.storage.sync.get(null);
+    const legacy = stored[LEGACY_WATCHLISTS_STORAGE_KEY];
+    if (legacy) {
+        await saveWatchlists(legacy);
+        await chrome.storage.sync.remove(LEGACY_WATCHLISTS_STORAGE_KEY);
+    }
+
+    const watchlists = { ...(legacy || {}) };
+    Object.keys(stored).forEach(key => {
+        if (key.startsWith(WATCHLIST_KEY_PREFIX)) watchlists[key.slice(WATCHLIST_KEY_PREFIX.length)] = stored[key];
+    });
+    return watchlists;
+}
+
+/**
+ * Writes the given lists, one item each; lists not mentioned are left alone.
+ * Rejects (e.g. over the per-item quota) without writing any of them.
+ */
+async function saveWatchlists(watchlists) {
+    const items = {};
+    Object.entries(watchlists).forEach(([name, members]) => { items[watchlistKey(name)] = members; });
+    await chrome.storage.sync.set(items);
+}
+
+async function getActiveWatchlist() {
+    const watchlists = await getWatchlists();
+    const name = (await chrome.storage.sync.get(ACTIVE_WATCHLIST_STORAGE_KEY))[ACTIVE_WATCHLIST_STORAGE_KEY];
+    if (name && watchlists[name]) return name;
+    return Object.keys(watchlists)[0] || null;
+}
+
+async function setActiveWatchlist(name) {
+    await chrome.storage.sync.set({ [ACTIVE_WATCHLIST_STORAGE_KEY]: name });
+}
+
+async function createWatchlist(name) {
+    name = (name || "").trim();
+    if (!name) throw new Error("Watchlist name is empty");
+    const watchlists = await getWatchlists();
+    if (watchlists[name]) throw new Error(`Watchlist "${name}" already exists`);
+    await saveWatchlists({ [name]: [] });
+    await setActiveWatchlist(name);
+    return name;
+}
+
+async function deleteWatchlist(name) {
+    await chrome.storage.sync.remove(watchlistKey(name));
+}
+
+/**
+ * Adds the security to the list (created if missing) or removes it when already there.
+ * Resolves to true when the security is now a member.
+ */
+async function toggleWatchlistMember(name, security) {
+    const members = (await chrome.storage.sync.get(watchlistKey(name)))[watchlistKey(name)] || [];
+    const isMember = members.includes(security);
+    await saveWatchlists({ [name]: isMember ? members.filter(s => s !== security) : members.concat([security]).sort() });
+    return !isMember;
+}
+
+async function exportWatchlists() {
+    return JSON.stringify({
+        format: WATCHLIST_EXPORT_FORMAT,
+        exportedAt: new Date().toISOString(),
+        watchlists: await getWatchlists()
+    }, null, 2);
+}
+
+/**
+ * Merges exported JSON into the stored lists. Resolves to the names of the lists imported.
+ */
+async function importWatchlists(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error("Not a JSON file");
+    }
+    const incoming = parsed && parsed.format === WATCHLIST_EXPORT_FORMAT ? parsed.watchlists : null;
+    if (!incoming || typeof incoming !== 'object') throw new Error("Not a watchlist export");
+
+    const watchlists = await getWatchlists();
+    const merged = {};
+    Object.entries(incoming).forEach(([name, members]) => {
+        if (!name.trim() || !Array.isArray(members)) return;
+        const symbols = members.map(s => s.toString().trim().toUpperCase()).filter(Boolean);
+        const current = merged[name.trim()] || watchlists[name.trim()] || [];
+        merged[name.trim()] = Array.from(new Set(current.concat(symbols))).sort();
+    });
+    await saveWatchlists(merged);
+    return Object.keys(merged);
+}